@@ -345,7 +345,7 @@ window.SiteAdapters = [
             if (parentLink && parentLink.href) {
                 const href = parentLink.href;
                 const cleanHref = href.split('?')[0];
-                if (/\.(png|jpg|jpeg|webp|avif|gif)$/i.test(cleanHref)) {
+                if (/\.(png|jpg|jpeg|webp|avif|heic|heif|jxl|gif)$/i.test(cleanHref)) {
                     return href;
                 }
             }
@@ -438,9 +438,11 @@ const DEFAULT_SETTINGS = {
     debugMode: false,
     errorNotification: false,
     minPixelCount: 250000,
+    scanLossyStealth: false, // 非可逆 WebP / AVIF も全取得して壊れた Stealth 情報を検査する
     downloaderFolderMode: 'pageTitle', // 'pageTitle', 'domain', 'none'
     downloaderBaseFolder: 'AI_Meta_Viewer',
-    downloaderUseRoot: false
+    downloaderUseRoot: false,
+    downloaderFilenameTemplate: '' // 例: '{generator}_{seed}_{name}' (空なら元のファイル名)
 };
 
 // 現在の設定（起動時に読み込み）
@@ -463,6 +465,27 @@ async function loadSettings() {
 // 初期化時に設定を読み込む
 loadSettings();
 
+/**
+ * 以前の既定の除外キー (PNG iTXt の XMP)
+ */
+const LEGACY_XMP_METADATA_KEY = 'XML:com.adobe.xmp';
+
+/**
+ * 以前の既定値だった除外キー 'XML:com.adobe.xmp' を設定から取り除く
+ * PNG の XMP は 'XMP' キーに解析されるため一致しなくなり、AI 生成の情報を含まない XMP は除外キーなしでもバッジ対象外になった
+ */
+async function migrateIgnoredMetadataKeys() {
+    const { ignoredMetadataKeys } = await chrome.storage.sync.get({ ignoredMetadataKeys: [] });
+    if (!Array.isArray(ignoredMetadataKeys) || !ignoredMetadataKeys.includes(LEGACY_XMP_METADATA_KEY)) return;
+
+    const migrated = ignoredMetadataKeys.filter(key => key !== LEGACY_XMP_METADATA_KEY);
+    await chrome.storage.sync.set({ ignoredMetadataKeys: migrated });
+    debugLog('[AI Meta Viewer] Removed legacy ignored metadata key:', LEGACY_XMP_METADATA_KEY);
+}
+
+// 起動時の設定移行
+migrateIgnoredMetadataKeys().catch(error => console.error('[AI Meta Viewer] Failed to migrate settings:', error));
+
 // 起動時のCivitai.comドメインクリーンアップ
 CivitaiDomainManager.removeCivitaiFromBlockList();
 
@@ -538,6 +561,26 @@ chrome.runtime.onMessage.addListener((request, sender, sendResponse) => {
         return true;
     }
 
+    if (request.action === 'scanPickle') {
+        handleScanPickle(request.url)
+            .then(sendResponse)
+            .catch(error => {
+                console.error('Pickle scan error:', error);
+                sendResponse({ success: false, error: error.message });
+            });
+        return true;
+    }
+
+    if (request.action === 'listZip') {
+        handleListZip(request.url)
+            .then(sendResponse)
+            .catch(error => {
+                console.error('ZIP listing error:', error);
+                sendResponse({ success: false, error: error.message });
+            });
+        return true;
+    }
+
     if (request.action === 'getMediaSize') {
         handleGetMediaSize(request.url)
             .then(sendResponse)
@@ -637,7 +680,11 @@ async function handleDownloadImages(images, context) {
     let downloadedCount = 0;
     for (const img of images) {
         try {
-            let safeFilename = sanitize(img.filename);
+            // ファイル名テンプレート ({seed} 等) は正規化済みメタデータから展開
+            const filename = img.metadata && settings.downloaderFilenameTemplate
+                ? formatDownloadFilename(settings.downloaderFilenameTemplate, img.metadata, img.filename)
+                : img.filename;
+            let safeFilename = sanitize(filename);
             if (!safeFilename || safeFilename === '_') {
                 safeFilename = `image_${Date.now()}_${downloadedCount}.png`;
             }
@@ -765,6 +812,316 @@ async function handleCivitaiZipDownload(images, context) {
 }
 
 
+/**
+ * 先頭以外の範囲取得 (動画の moov / Tags、HEIF アイテム等) の最大回数
+ */
+const MAX_EXTRA_RANGE_REQUESTS = 8;
+
+/**
+ * 動画・音声の拡張子と形式 (数百 MB になりうるため、全取得へのフォールバックは行わない)
+ */
+const MEDIA_URL_PATTERN = /\.(?:mp4|m4v|mov|webm|mkv|mp3|m4a|aac|flac|ogg|oga|opus|wav)$/i;
+const MEDIA_FORMATS = ['mp4', 'matroska', 'flac', 'id3', 'ogg'];
+
+/**
+ * URL・Content-Type・先頭バイトのいずれかから動画・音声と判定
+ * @param {string} url
+ * @param {string|null} [contentType]
+ * @param {ArrayBuffer} [buffer] - 先頭から取得したデータ
+ * @returns {boolean}
+ */
+function isMediaResource(url, contentType = null, buffer = null) {
+    try {
+        if (MEDIA_URL_PATTERN.test(new URL(url).pathname)) return true;
+    } catch (e) { }
+    if (contentType && /^(?:video|audio)\//i.test(contentType)) return true;
+    return !!buffer && MEDIA_FORMATS.includes(detectImageFormat(buffer));
+}
+
+/**
+ * Content-Range ヘッダーからファイル全体のサイズを取得
+ * @param {string|null} contentRange - 例: "bytes 0-65535/1234567"
+ * @returns {number|null} - 不明 ("*") の場合は null
+ */
+function parseContentRangeTotal(contentRange) {
+    const match = /\/(\d+)\s*$/.exec(contentRange || '');
+    return match ? parseInt(match[1], 10) : null;
+}
+
+/**
+ * 指定範囲を Range Request で取得
+ * @param {string} url - 取得先URL
+ * @param {number} start - 開始位置
+ * @param {number} end - 終了位置 (含まない)
+ * @returns {Promise<Uint8Array|null>} - 206 で要求どおりの範囲が返らなかった場合は null
+ */
+async function fetchByteRange(url, start, end) {
+    const controller = new AbortController();
+    const timeoutId = setTimeout(() => controller.abort(), 10000);
+    try {
+        const response = await fetch(url, {
+            headers: { 'Range': `bytes=${start}-${end - 1}` },
+            signal: controller.signal
+        });
+        const contentRange = response.headers.get('Content-Range') || '';
+        if (response.status !== 206 || !contentRange.startsWith(`bytes ${start}-`)) {
+            debugLog('[AI Meta Viewer] Unexpected range response:', response.status, contentRange);
+            return null;
+        }
+        return new Uint8Array(await response.arrayBuffer());
+    } catch (e) {
+        debugLog('[AI Meta Viewer] Range fetch failed:', e.message);
+        return null;
+    } finally {
+        clearTimeout(timeoutId);
+    }
+}
+
+/**
+ * ファイル末尾を suffix Range Request (bytes=-N) で取得
+ * @param {string} url - 取得先URL
+ * @param {number} length - 末尾から取得するバイト数
+ * @returns {Promise<{data: Uint8Array, start: number, totalSize: number}|null>}
+ */
+async function fetchTailRange(url, length) {
+    const controller = new AbortController();
+    const timeoutId = setTimeout(() => controller.abort(), 10000);
+    try {
+        const response = await fetch(url, {
+            headers: { 'Range': `bytes=-${length}` },
+            signal: controller.signal
+        });
+        const match = /^bytes (\d+)-\d+\/(\d+)$/.exec((response.headers.get('Content-Range') || '').trim());
+        if (response.status !== 206 || !match) {
+            debugLog('[AI Meta Viewer] Unexpected suffix range response:', response.status);
+            return null;
+        }
+        return {
+            data: new Uint8Array(await response.arrayBuffer()),
+            start: parseInt(match[1], 10),
+            totalSize: parseInt(match[2], 10)
+        };
+    } catch (e) {
+        debugLog('[AI Meta Viewer] Suffix range fetch failed:', e.message);
+        return null;
+    } finally {
+        clearTimeout(timeoutId);
+    }
+}
+
+/**
+ * ZIP のセントラルディレクトリだけを Range Request で取得してエントリ一覧を返す
+ * @param {string} url - ZIP ファイルのURL
+ * @returns {Promise<{entries: Array, totalSize: number, readRange: function(number, number): Promise<Uint8Array|null>}|null>}
+ */
+async function fetchZipCentralDirectory(url) {
+    const tail = await fetchTailRange(url, ZIP_EOCD_SEARCH_SIZE);
+    if (!tail) return null;
+
+    // 取得済みの末尾に収まる範囲はそこから、それ以外は追加で Range Request
+    const readRange = async (start, end) => {
+        if (start >= tail.start && end <= tail.start + tail.data.length) {
+            return tail.data.subarray(start - tail.start, end - tail.start);
+        }
+        return fetchByteRange(url, start, end);
+    };
+
+    let eocd = findZipEndOfCentralDirectory(tail.data, tail.start);
+    if (eocd && eocd.zip64RecordOffset !== undefined) {
+        const record = await readRange(eocd.zip64RecordOffset, eocd.zip64RecordOffset + 56);
+        eocd = record && readZip64EndOfCentralDirectory(record);
+    }
+    if (!eocd || eocd.cdSize > MAX_ZIP_CENTRAL_DIRECTORY_SIZE || eocd.cdOffset + eocd.cdSize > tail.totalSize) {
+        debugLog('[AI Meta Viewer] ZIP central directory not found:', url);
+        return null;
+    }
+
+    const directory = await readRange(eocd.cdOffset, eocd.cdOffset + eocd.cdSize);
+    if (!directory) return null;
+
+    return {
+        entries: parseZipCentralDirectory(directory, eocd.entryCount),
+        totalSize: tail.totalSize,
+        readRange
+    };
+}
+
+/**
+ * ZIP エントリの中身を Range Request で取得 (無圧縮 / deflate)
+ * @param {Object} zip - fetchZipCentralDirectory の戻り値
+ * @param {Object} entry - parseZipCentralDirectory のエントリ
+ * @param {number} maxSize - 取得・展開するバイト数の上限
+ * @returns {Promise<{data: Uint8Array, truncated: boolean}|null>}
+ */
+async function fetchZipEntryData(zip, entry, maxSize) {
+    if (entry.encrypted || (entry.method !== 0 && entry.method !== 8)) return null;
+    // deflate は途中までだと展開できないため、上限超過時は読まない
+    if (entry.method === 8 && entry.compressedSize > maxSize) return null;
+
+    const readSize = Math.min(entry.compressedSize, maxSize);
+    const start = entry.localHeaderOffset;
+
+    // ローカルヘッダーの可変長部分 (ファイル名・拡張フィールド) は余裕を持たせて 1 回で取得を試みる
+    const guess = await zip.readRange(start, Math.min(start + 30 + 4096 + readSize, zip.totalSize));
+    const dataOffset = guess ? getZipLocalDataOffset(guess) : null;
+    if (dataOffset === null) return null;
+
+    let data = guess.subarray(dataOffset, dataOffset + readSize);
+    if (data.length < readSize) {
+        data = await zip.readRange(start + dataOffset, start + dataOffset + readSize);
+        if (!data) return null;
+    }
+
+    if (entry.method === 8) {
+        data = inflateWithLimit(data, maxSize, true);
+        if (!data) return null;
+    }
+    return { data, truncated: entry.compressedSize > readSize };
+}
+
+/**
+ * 読み込む pickle の上限 (data.pkl は通常 1MB 未満)
+ */
+const MAX_PICKLE_SCAN_SIZE = 16 * 1024 * 1024;
+
+/**
+ * 旧形式 (ZIP ではない torch.save) で先頭から読む範囲
+ */
+const LEGACY_PICKLE_SCAN_SIZE = 1024 * 1024;
+
+/**
+ * .ckpt / .pt / .bin 等の pickle を取得してインポートを検査
+ * ZIP 形式 (PyTorch 1.6+) はセントラルディレクトリから data.pkl の位置を求めてその範囲だけを読む
+ * 全体のダウンロードにはフォールバックしない
+ * @param {string} url - モデルファイルのURL
+ * @returns {Promise<Object>} - { success, result: { format, entry, status: 'safe'|'unsafe'|'unknown', imports, truncated } | null }
+ */
+async function handleScanPickle(url) {
+    const cacheKey = `pickle:${url}`;
+    const cached = await metadataCache.get(cacheKey);
+    if (cached) return { success: true, result: cached };
+
+    const head = await fetchByteRange(url, 0, 4);
+    if (!head) return { success: false, error: 'Range request not supported' };
+
+    let format;
+    let entryName = null;
+    let pickle = null;
+    let truncated = false;
+
+    if (head[0] === 0x50 && head[1] === 0x4B && head[2] === 0x03 && head[3] === 0x04) {
+        format = 'zip';
+        const zip = await fetchZipCentralDirectory(url);
+        const entry = zip && zip.entries.find(e => /(^|\/)data\.pkl$/.test(e.name));
+        if (!entry) return { success: true, result: null };
+
+        entryName = entry.name;
+        const content = await fetchZipEntryData(zip, entry, MAX_PICKLE_SCAN_SIZE);
+        if (content) {
+            pickle = content.data;
+            truncated = content.truncated;
+        }
+    } else if (head[0] === 0x80) {
+        // PROTO 命令で始まる素の pickle
+        format = 'pickle';
+        pickle = await fetchByteRange(url, 0, LEGACY_PICKLE_SCAN_SIZE);
+    } else {
+        return { success: true, result: null };
+    }
+
+    if (!pickle) return { success: false, error: 'Failed to read pickle data' };
+
+    const scan = scanPickleImports(pickle);
+    const result = {
+        format,
+        entry: entryName,
+        status: scan.unsafe ? 'unsafe' : ((scan.error || scan.truncated || truncated) ? 'unknown' : 'safe'),
+        imports: scan.imports,
+        opcodeCount: scan.opcodeCount,
+        truncated: truncated || scan.truncated,
+        error: scan.error
+    };
+    debugLog('[AI Meta Viewer] Pickle scan result:', url, result);
+
+    await metadataCache.set(cacheKey, result);
+    return { success: true, result };
+}
+
+/**
+ * ZIP 一覧で返すエントリ数の上限
+ */
+const MAX_ZIP_LISTING_ENTRIES = 5000;
+
+/**
+ * ZIP 内でメタデータを読むエントリ (PNG / JSON) のサイズと件数の上限
+ */
+const MAX_ZIP_METADATA_ENTRY_SIZE = 4 * 1024 * 1024;
+const MAX_ZIP_METADATA_ENTRIES = 16;
+
+/**
+ * ZIP の圧縮方式名
+ */
+const ZIP_METHOD_NAMES = { 0: 'stored', 8: 'deflate', 9: 'deflate64', 12: 'bzip2', 14: 'lzma', 93: 'zstd', 95: 'xz', 99: 'aes' };
+
+/**
+ * ZIP アーカイブの内容一覧を取得
+ * 末尾のセントラルディレクトリだけを Range Request で読み、小さな PNG / JSON はその範囲だけ取得してメタデータを抽出する
+ * @param {string} url - ZIP ファイルのURL
+ * @returns {Promise<Object>} - { success, listing: { totalSize, entryCount, entries: [{ name, size, compressedSize, method, encrypted, metadata }] } }
+ */
+async function handleListZip(url) {
+    const zip = await fetchZipCentralDirectory(url);
+    if (!zip) return { success: false, error: 'ZIP central directory could not be read' };
+
+    const files = zip.entries.filter(entry => !entry.name.endsWith('/'));
+    const entries = files.slice(0, MAX_ZIP_LISTING_ENTRIES).map(entry => ({
+        name: entry.name,
+        size: entry.size,
+        compressedSize: entry.compressedSize,
+        method: ZIP_METHOD_NAMES[entry.method] || `method ${entry.method}`,
+        encrypted: entry.encrypted,
+        metadata: null
+    }));
+
+    const targets = files
+        .map((entry, index) => ({ entry, index }))
+        .filter(({ entry, index }) => index < MAX_ZIP_LISTING_ENTRIES && /\.(png|json)$/i.test(entry.name) &&
+            !entry.encrypted && entry.size <= MAX_ZIP_METADATA_ENTRY_SIZE)
+        .slice(0, MAX_ZIP_METADATA_ENTRIES);
+
+    for (const { entry, index } of targets) {
+        const content = await fetchZipEntryData(zip, entry, MAX_ZIP_METADATA_ENTRY_SIZE);
+        if (!content || content.truncated) continue;
+
+        let metadata = null;
+        try {
+            if (/\.png$/i.test(entry.name)) {
+                metadata = extractMetadata(content.data.slice().buffer, { complete: true });
+                if (metadata.isIncomplete || metadata.requiredRange) metadata = null;
+            } else {
+                // JSON はオブジェクトならそのままキー/値として、それ以外は整形テキストとして表示
+                const json = JSON.parse(new TextDecoder('utf-8').decode(content.data));
+                metadata = (json && typeof json === 'object' && !Array.isArray(json)) ? json : { JSON: JSON.stringify(json, null, 2) };
+            }
+        } catch (e) {
+            debugLog('[AI Meta Viewer] ZIP entry metadata skipped:', entry.name, e.message);
+        }
+
+        if (metadata && Object.keys(metadata).length > 0) {
+            entries[index].metadata = metadata;
+        }
+    }
+
+    return {
+        success: true,
+        listing: {
+            totalSize: zip.totalSize,
+            entryCount: files.length,
+            entries
+        }
+    };
+}
+
 /**
  * 画像を取得してメタデータを抽出
  * Adaptive Range Request Logic 実装
@@ -802,6 +1159,8 @@ async function handleFetchImageMetadata(imageUrl, base64Data = null) {
     try {
         let buffer;
         let isRangeRequest = false;
+        let totalSize = null;
+        let isMedia = !base64Data && isMediaResource(imageUrl);
 
         if (base64Data) {
             // Base64データが提供されている場合（ローカルファイルなど）
@@ -832,12 +1191,20 @@ async function handleFetchImageMetadata(imageUrl, base64Data = null) {
                     clearTimeout(timeoutId);
 
                     debugLog('[AI Meta Viewer] Range request response status:', response.status);
+                    isMedia = isMedia || isMediaResource(imageUrl, response.headers.get('Content-Type'));
 
                     if (response.status === 206) {
                         // Range成功
                         isRangeRequest = true;
+                        totalSize = parseContentRangeTotal(response.headers.get('Content-Range'));
                         buffer = await response.arrayBuffer();
+                        isMedia = isMedia || isMediaResource(imageUrl, null, buffer);
                         debugLog(`[AI Meta Viewer] Range request success (0-${rangeSize}), buffer size:`, buffer.byteLength);
+                    } else if (response.status === 200 && isMedia) {
+                        // 動画・音声を丸ごと読み込まないよう、本文は破棄してメタデータなしとする
+                        debugLog('[AI Meta Viewer] Server ignored Range for media. Skipping full download:', imageUrl);
+                        response.body?.cancel();
+                        return { success: true, metadata: {} };
                     } else if (response.status === 200) {
                         // サーバーがRange無視して全データ返してきた
                         debugLog('[AI Meta Viewer] Server ignored Range, received full content, status 200');
@@ -855,6 +1222,12 @@ async function handleFetchImageMetadata(imageUrl, base64Data = null) {
                         domain: domain
                     });
 
+                    // 動画・音声はタイムアウトしやすく、全取得もしないため、ドメインをブロックせずに諦める
+                    if (isMedia) {
+                        debugLog('[AI Meta Viewer] Range request failed for media. Skipping full download:', imageUrl);
+                        return { success: true, metadata: {} };
+                    }
+
                     // Civitai.com と HuggingFace.co ドメインの特別処理: ブロックリストに追加しない
                     if (domain && (CivitaiDomainManager.shouldExemptFromBlocking(domain) || HuggingFaceDomainManager.shouldExemptFromBlocking(domain))) {
                         debugLog(`[AI Meta Viewer] ${domain} domain exempted from blocking. Range Request failure reason: ${e.message}`);
@@ -873,6 +1246,10 @@ async function handleFetchImageMetadata(imageUrl, base64Data = null) {
                     buffer = await fbResponse.arrayBuffer();
                     debugLog('[AI Meta Viewer] Fallback full fetch succeeded, buffer size:', buffer.byteLength);
                 }
+            } else if (isMedia) {
+                // Range 不可ドメインの動画・音声は全取得しない
+                debugLog('[AI Meta Viewer] Skipping media on Range-blocked domain:', domain);
+                return { success: true, metadata: {} };
             } else {
                 // 最初から Range 不可ドメイン
                 debugLog('[AI Meta Viewer] Skipping Range for blocked domain, fetching full...', domain);
@@ -893,7 +1270,9 @@ async function handleFetchImageMetadata(imageUrl, base64Data = null) {
         let metadata = {};
         try {
             debugLog('[AI Meta Viewer] Calling extractMetadata with buffer size:', buffer.byteLength);
-            metadata = extractMetadata(buffer);
+            // Range 取得でなければ (または Range がファイル全体を含んでいれば) ファイル全体を持っている
+            const hasWholeFile = !isRangeRequest || (totalSize !== null && buffer.byteLength >= totalSize);
+            metadata = extractMetadata(buffer, { totalSize, complete: hasWholeFile });
             debugLog('[AI Meta Viewer] extractMetadata returned:', {
                 metadataKeys: Object.keys(metadata),
                 metadataLength: Object.keys(metadata).length,
@@ -901,6 +1280,23 @@ async function handleFetchImageMetadata(imageUrl, base64Data = null) {
                 suggestedSize: metadata.suggestedSize,
                 fullMetadata: metadata
             });
+
+            // 動画の moov / Tags、AVIF・HEIC の iloc が指すアイテム等、先頭以外の範囲が必要な場合はその範囲だけを取得して再解析
+            const extraRanges = [];
+            while (metadata.requiredRange && isRangeRequest && extraRanges.length < MAX_EXTRA_RANGE_REQUESTS) {
+                const { start, end } = metadata.requiredRange;
+                debugLog(`[AI Meta Viewer] Fetching required range ${start}-${end - 1} for:`, imageUrl);
+                const data = await fetchByteRange(imageUrl, start, end);
+                if (!data) break;
+                extraRanges.push({ start, data });
+                metadata = extractMetadata(buffer, { totalSize, ranges: extraRanges });
+            }
+            if (metadata.requiredRange) {
+                // 動画全体のダウンロードになるため全取得にはフォールバックしない
+                debugLog('[AI Meta Viewer] Required range could not be fetched. Giving up:', metadata.requiredRange);
+                metadata = {};
+            }
+
             if (metadata.isIncomplete && isRangeRequest) {
                 const retrySize = metadata.suggestedSize || 131072; // 指定がない場合は 128KB 程度
                 debugLog(`[AI Meta Viewer] Metadata is incomplete. Retrying with larger range: 0-${retrySize}`);
@@ -917,33 +1313,47 @@ async function handleFetchImageMetadata(imageUrl, base64Data = null) {
 
                     if (retryResponse.status === 206) {
                         const newBuffer = await retryResponse.arrayBuffer();
-                        const nextMetadata = extractMetadata(newBuffer);
+                        const nextMetadata = extractMetadata(newBuffer, { totalSize, complete: totalSize !== null && newBuffer.byteLength >= totalSize });
 
-                        // 再度不完全と言われたら、流石に効率が悪いので全取得に移行する
-                        if (nextMetadata.isIncomplete) {
+                        // 再度不完全と言われたら、流石に効率が悪いので全取得に移行する (動画・音声は諦める)
+                        if (nextMetadata.isIncomplete && isMedia) {
+                            debugLog('[AI Meta Viewer] Media metadata still incomplete. Skipping full download.');
+                            metadata = {};
+                        } else if (nextMetadata.isIncomplete) {
                             debugLog('[AI Meta Viewer] Still incomplete. Falling back to full fetch.');
                             const fullResp = await fetch(imageUrl, { redirect: 'follow' });
                             const fullBuffer = await fullResp.arrayBuffer();
-                            metadata = extractMetadata(fullBuffer);
+                            metadata = extractMetadata(fullBuffer, { complete: true });
                             isRangeRequest = false;
                         } else {
                             metadata = nextMetadata;
                             buffer = newBuffer;
                             debugLog('[AI Meta Viewer] Successfully extracted metadata after larger range fetch');
                         }
+                    } else if (isMedia) {
+                        // 動画・音声は全取得しない
+                        debugLog('[AI Meta Viewer] Media Range retry failed with status:', retryResponse.status);
+                        retryResponse.body?.cancel();
+                        metadata = {};
                     } else {
                         // Rangeリトライ失敗 -> 全取得
                         const fullResp = await fetch(imageUrl, { redirect: 'follow' });
                         const fullBuffer = await fullResp.arrayBuffer();
-                        metadata = extractMetadata(fullBuffer);
+                        metadata = extractMetadata(fullBuffer, { complete: true });
                         isRangeRequest = false;
                     }
                 } catch (retryError) {
-                    debugLog('[AI Meta Viewer] Range retry failed, falling back to full fetch:', retryError.message);
-                    const fullResp = await fetch(imageUrl, { redirect: 'follow' });
-                    const fullBuffer = await fullResp.arrayBuffer();
-                    metadata = extractMetadata(fullBuffer);
-                    isRangeRequest = false;
+                    if (isMedia) {
+                        // 動画・音声は全取得しない
+                        debugLog('[AI Meta Viewer] Media Range retry failed. Skipping full download:', retryError.message);
+                        metadata = {};
+                    } else {
+                        debugLog('[AI Meta Viewer] Range retry failed, falling back to full fetch:', retryError.message);
+                        const fullResp = await fetch(imageUrl, { redirect: 'follow' });
+                        const fullBuffer = await fullResp.arrayBuffer();
+                        metadata = extractMetadata(fullBuffer, { complete: true });
+                        isRangeRequest = false;
+                    }
                 }
             } // Close if (metadata.isIncomplete && isRangeRequest)
         } catch (e) {
@@ -955,7 +1365,9 @@ async function handleFetchImageMetadata(imageUrl, base64Data = null) {
                 bufferSize: buffer.byteLength
             });
 
-            if (isRangeRequest) {
+            if (isRangeRequest && isMedia) {
+                debugLog('[AI Meta Viewer] Parse error on partial media data. Skipping full download:', e.message);
+            } else if (isRangeRequest) {
                 debugLog('[AI Meta Viewer] Parse error on partial data, retrying full fetch:', e.message);
                 try {
                     const fullResp = await fetch(imageUrl, { redirect: 'follow' });
@@ -963,7 +1375,7 @@ async function handleFetchImageMetadata(imageUrl, base64Data = null) {
                         const fullBuffer = await fullResp.arrayBuffer();
                         buffer = fullBuffer;
                         debugLog('[AI Meta Viewer] Full fetch succeeded, buffer size:', fullBuffer.byteLength);
-                        metadata = extractMetadata(buffer);
+                        metadata = extractMetadata(buffer, { complete: true });
                         debugLog('[AI Meta Viewer] extractMetadata on full buffer returned:', {
                             metadataKeys: Object.keys(metadata),
                             metadataLength: Object.keys(metadata).length,
@@ -981,6 +1393,14 @@ async function handleFetchImageMetadata(imageUrl, base64Data = null) {
 
         debugLog('[AI Meta Viewer] Extracted metadata:', metadata);
 
+        // C2PA 署名検証 (WebCrypto は非同期のため、同期の extractMetadata の後で実行)
+        if (metadata.C2PA) {
+            await verifyC2paManifest(metadata.C2PA);
+        }
+
+        // JPEG XL の Brotli 圧縮 (brob) された Exif / XMP を展開
+        await decodeJxlBrotliBoxes(metadata);
+
         // Stealth PNG Info チェック (常に全データが必要)
         // Range Requestで取得した64KBだけでは、画像サイズチェックや画素読み取りができない（不整合が起きる）
         // または、Stealth Infoは画像のピクセルデータ全体に散らばっているため、全取得必須。
@@ -992,8 +1412,15 @@ async function handleFetchImageMetadata(imageUrl, base64Data = null) {
         // -> なので、Rangeでメタデータが見つかれば高速化成功。無ければ全取得してStealthチェックへ。
 
         if (Object.keys(metadata).length === 0) {
-            const format = detectImageFormat(buffer);
-            if (format === 'png') {
+            // Stealth 情報を保持できる形式 (PNG / WebP / AVIF)。非可逆の WebP / AVIF は壊れたシグネチャの検出のみ
+            const carrier = getStealthCarrierInfo(buffer);
+            // 非可逆の画像は「復元不能」と報告するためだけの全取得・デコードになるため、
+            // 既にファイル全体を持っている場合か、設定で有効にした場合のみ検査する
+            const hasLosslessChannel = carrier && (carrier.lossless || (carrier.hasAlpha && carrier.alphaLossless));
+            const hasWholeFile = !isRangeRequest || (totalSize !== null && buffer.byteLength >= totalSize);
+            if (carrier && !hasLosslessChannel && !hasWholeFile && !settings.scanLossyStealth) {
+                debugLog(`[AI Meta Viewer] Skipping Stealth Info check for lossy ${carrier.format}:`, imageUrl);
+            } else if (carrier) {
                 // RangeデータだけでStealth解析はできないので、Rangeだった場合は全取得してから挑む
                 if (isRangeRequest) {
                     debugLog('[AI Meta Viewer] No standard metadata in partial data. Downloading full image for Stealth Info check...');
@@ -1003,12 +1430,10 @@ async function handleFetchImageMetadata(imageUrl, base64Data = null) {
                     }
                 }
 
-                const hasAlpha = checkPngIHDRHasAlpha(buffer);
-                if (hasAlpha) {
-                    const stealthData = await extractStealthPNGInfoAsync(imageUrl, buffer);
-                    if (stealthData) {
-                        Object.assign(metadata, stealthData);
-                    }
+                // アルファなしの PNG でも RGB モード (stealth_rgbinfo / stealth_rgbcomp) はありうる
+                const stealthData = await extractStealthPNGInfoAsync(imageUrl, buffer, carrier);
+                if (stealthData) {
+                    Object.assign(metadata, stealthData);
                 }
             }
         }
@@ -1035,13 +1460,18 @@ async function handleFetchImageMetadata(imageUrl, base64Data = null) {
 }
 
 /**
- * Stealth PNG Info を非同期で抽出
+ * Stealth PNG Info を非同期で抽出 (PNG / WebP / AVIF。非可逆の場合は壊れたシグネチャのみ検出)
+ * @param {string} imageUrl - 画像URL (ログ用)
+ * @param {ArrayBuffer} buffer - 画像全体のデータ
+ * @param {Object} carrier - getStealthCarrierInfo の結果
+ * @returns {Promise<Object|null>} - メタデータ
  */
-async function extractStealthPNGInfoAsync(imageUrl, buffer) {
+async function extractStealthPNGInfoAsync(imageUrl, buffer, carrier) {
     try {
-        const blob = new Blob([buffer], { type: 'image/png' });
+        const blob = new Blob([buffer], { type: carrier.mimeType });
         // createImageBitmap は壊れた（部分的な）PNGデータだと失敗する可能性がある
-        const imageBitmap = await createImageBitmap(blob);
+        // 色空間変換・乗算済みアルファで LSB が変わらないよう、画素値をそのまま取得する
+        const imageBitmap = await createImageBitmap(blob, { premultiplyAlpha: 'none', colorSpaceConversion: 'none' });
         const width = imageBitmap.width;
         const height = imageBitmap.height;
 
@@ -1051,41 +1481,43 @@ async function extractStealthPNGInfoAsync(imageUrl, buffer) {
         }
 
         const canvas = new OffscreenCanvas(width, height);
-        const ctx = canvas.getContext('2d');
+        const ctx = canvas.getContext('2d', { willReadFrequently: true });
         ctx.drawImage(imageBitmap, 0, 0);
 
         const imageData = ctx.getImageData(0, 0, width, height);
-        const data = imageData.data;
         imageBitmap.close();
 
-        // Alphaチャンネルのシグネチャチェック
-        const sigLength = 15; // "stealth_pnginfo".length
-        const sigBitsNeeded = sigLength * 8;
-        let alphaSig = "";
-        for (let i = 0; i < sigBitsNeeded; i++) {
-            alphaSig += (data[i * 4 + 3] & 1);
+        const result = decodeStealthInfo(imageData.data, width, height, {
+            hasAlpha: carrier.hasAlpha,
+            lossless: carrier.lossless,
+            alphaLossless: carrier.alphaLossless
+        });
+        if (!result || !result.data) {
+            return null;
         }
+        if (result.unrecoverable) {
+            debugLog(`[AI Meta Viewer] Damaged stealth signature found (${result.mode}, ${carrier.format}):`, imageUrl);
+            return { [`Stealth PNG Info (${result.mode})`]: result.data };
+        }
+        debugLog(`[AI Meta Viewer] Stealth signature found (${result.mode}, ${result.order}-major, compressed: ${result.compressed}):`, imageUrl);
 
-        const targetSig = "011100110111010001100101011000010110110001110100011010000101111101110000011011100110011101101001011011100110011001101111";
-
-        if (alphaSig === targetSig) {
-            debugLog('[AI Meta Viewer] Alpha signature match! Extracting full data...');
-            const totalPixels = width * height;
-            const alphaBits = new Uint8Array(totalPixels);
-
-            for (let i = 0; i < totalPixels; i++) {
-                alphaBits[i] = data[i * 4 + 3] & 1;
-            }
-
-            const bitStreamAlpha = Array.from(alphaBits).join('');
-            const resultAlpha = processStealthStream(bitStreamAlpha, 'Alpha');
-            if (resultAlpha && resultAlpha.data) {
-                return { 'Stealth PNG Info (Alpha)': resultAlpha.data };
+        // NovelAI は tEXt と同じ項目 (Comment, Software 等) を JSON で埋め込むため、通常のメタデータとして展開する
+        if (result.data.trim().startsWith('{')) {
+            try {
+                const json = JSON.parse(result.data);
+                if (json && typeof json === 'object' && !Array.isArray(json)) {
+                    const metadata = {};
+                    for (const [key, value] of Object.entries(json)) {
+                        metadata[key] = typeof value === 'string' ? value : JSON.stringify(value);
+                    }
+                    return metadata;
+                }
+            } catch (e) {
+                // JSON でなければそのまま表示
             }
         }
 
-        // RGBチェック (省略または必要なら実装、今回はAlphaのみで高速化重視)
-        return null;
+        return { [`Stealth PNG Info (${result.mode})`]: result.data };
 
     } catch (error) {
         // console.error('Stealth PNG Info extraction error:', error);
@@ -1108,6 +1540,13 @@ try {
     console.error('[AI Meta Viewer] Failed to load Pako:', e);
 }
 
+try {
+    importScripts('c2pa.js');
+    console.log('[AI Meta Viewer] C2PA reader loaded successfully');
+} catch (e) {
+    console.error('[AI Meta Viewer] Failed to load C2PA reader:', e);
+}
+
 try {
     importScripts('parser.js');
     console.log('[AI Meta Viewer] Parser loaded successfully');
@@ -1115,6 +1554,13 @@ try {
     console.error('[AI Meta Viewer] Failed to load Parser:', e);
 }
 
+try {
+    importScripts('metadata_normalizer.js');
+    console.log('[AI Meta Viewer] Metadata normalizer loaded successfully');
+} catch (e) {
+    console.error('[AI Meta Viewer] Failed to load metadata normalizer:', e);
+}
+
 console.log('[AI Meta Viewer] Background service worker loaded with imports');
 
 // Brave ブラウザ対応: Service Worker の keep-alive メカニズム
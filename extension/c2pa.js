@@ -0,0 +1,1006 @@
+// c2pa.js - C2PA (Content Credentials) マニフェスト解析・署名検証モジュール
+
+/**
+ * C2PA マニフェストストアの JUMBF ラベル
+ */
+const C2PA_STORE_LABEL = 'c2pa';
+
+/**
+ * 署名検証に必要なバイナリ (クレーム本体・COSE署名・アサーション) を解析結果ごとに保持
+ * 解析結果オブジェクトはそのままキャッシュ (chrome.storage) に保存されるため、バイナリは含めない
+ */
+const c2paVerificationInputs = new WeakMap();
+
+/**
+ * CBOR の入れ子上限 (破損データでのスタック溢れ防止)
+ */
+const MAX_CBOR_DEPTH = 64;
+
+/**
+ * 材料 (ingredient) チェーンを辿る深さの上限
+ */
+const MAX_INGREDIENT_DEPTH = 8;
+
+/**
+ * CBOR 不定長コンテナの終端マーカー
+ */
+const CBOR_BREAK = Symbol('CBOR_BREAK');
+
+/**
+ * COSE アルゴリズムID → WebCrypto パラメーター
+ */
+const COSE_ALGORITHMS = {
+  '-7': { label: 'ES256', name: 'ECDSA', hash: 'SHA-256' },
+  '-35': { label: 'ES384', name: 'ECDSA', hash: 'SHA-384' },
+  '-36': { label: 'ES512', name: 'ECDSA', hash: 'SHA-512' },
+  '-37': { label: 'PS256', name: 'RSA-PSS', hash: 'SHA-256', saltLength: 32 },
+  '-38': { label: 'PS384', name: 'RSA-PSS', hash: 'SHA-384', saltLength: 48 },
+  '-39': { label: 'PS512', name: 'RSA-PSS', hash: 'SHA-512', saltLength: 64 },
+  '-8': { label: 'Ed25519', name: 'Ed25519' }
+};
+
+/**
+ * X.509 証明書の署名アルゴリズム OID → WebCrypto パラメーター
+ */
+const X509_SIGNATURE_ALGORITHMS = {
+  '1.2.840.10045.4.3.2': { name: 'ECDSA', hash: 'SHA-256' },
+  '1.2.840.10045.4.3.3': { name: 'ECDSA', hash: 'SHA-384' },
+  '1.2.840.10045.4.3.4': { name: 'ECDSA', hash: 'SHA-512' },
+  '1.2.840.113549.1.1.11': { name: 'RSASSA-PKCS1-v1_5', hash: 'SHA-256' },
+  '1.2.840.113549.1.1.12': { name: 'RSASSA-PKCS1-v1_5', hash: 'SHA-384' },
+  '1.2.840.113549.1.1.13': { name: 'RSASSA-PKCS1-v1_5', hash: 'SHA-512' },
+  '1.2.840.113549.1.1.10': { name: 'RSA-PSS' }, // ハッシュ・ソルト長はパラメーターから取得
+  '1.3.101.112': { name: 'Ed25519' }
+};
+
+/**
+ * ハッシュアルゴリズム OID / C2PA 名 → WebCrypto 名
+ */
+const HASH_ALGORITHMS = {
+  '2.16.840.1.101.3.4.2.1': 'SHA-256',
+  '2.16.840.1.101.3.4.2.2': 'SHA-384',
+  '2.16.840.1.101.3.4.2.3': 'SHA-512',
+  'sha256': 'SHA-256',
+  'sha384': 'SHA-384',
+  'sha512': 'SHA-512'
+};
+
+/**
+ * 楕円曲線 OID → WebCrypto namedCurve と座標長 (バイト)
+ */
+const EC_CURVES = {
+  '1.2.840.10045.3.1.7': { name: 'P-256', size: 32 },
+  '1.3.132.0.34': { name: 'P-384', size: 48 },
+  '1.3.132.0.35': { name: 'P-521', size: 66 }
+};
+
+/**
+ * 識別名 (Distinguished Name) の属性 OID → 略称
+ */
+const X509_NAME_ATTRIBUTES = {
+  '2.5.4.3': 'CN',
+  '2.5.4.6': 'C',
+  '2.5.4.10': 'O',
+  '2.5.4.11': 'OU'
+};
+
+// ============================================================
+// CBOR
+// ============================================================
+
+/**
+ * CBOR (RFC 8949) をデコード
+ * バイト列は Uint8Array (元バッファの subarray)、マップはプレーンオブジェクト (キーは文字列化) として返す
+ * タグは中身のみを返す
+ * @param {Uint8Array} bytes - CBOR データ
+ * @returns {*} - デコード結果
+ */
+function decodeCbor(bytes) {
+  const dataView = new DataView(bytes.buffer, bytes.byteOffset, bytes.byteLength);
+  let pos = 0;
+
+  const ensure = (size) => {
+    if (pos + size > bytes.length) throw new Error('Truncated CBOR data');
+  };
+
+  const readLength = (info) => {
+    if (info < 24) return info;
+    let value;
+    switch (info) {
+      case 24: ensure(1); value = bytes[pos]; pos += 1; return value;
+      case 25: ensure(2); value = dataView.getUint16(pos); pos += 2; return value;
+      case 26: ensure(4); value = dataView.getUint32(pos); pos += 4; return value;
+      case 27: ensure(8); value = dataView.getUint32(pos) * 4294967296 + dataView.getUint32(pos + 4); pos += 8; return value;
+      case 31: return -1; // 不定長
+      default: throw new Error(`Invalid CBOR additional info: ${info}`);
+    }
+  };
+
+  const readItem = (depth) => {
+    if (depth > MAX_CBOR_DEPTH) throw new Error('CBOR nesting too deep');
+    ensure(1);
+    const initial = bytes[pos];
+    pos += 1;
+    const major = initial >> 5;
+    const info = initial & 0x1F;
+
+    if (major === 7) {
+      let value;
+      switch (info) {
+        case 20: return false;
+        case 21: return true;
+        case 22: return null;
+        case 23: return undefined;
+        case 24: ensure(1); value = bytes[pos]; pos += 1; return value;
+        case 25: ensure(2); value = decodeHalfFloat(dataView.getUint16(pos)); pos += 2; return value;
+        case 26: ensure(4); value = dataView.getFloat32(pos); pos += 4; return value;
+        case 27: ensure(8); value = dataView.getFloat64(pos); pos += 8; return value;
+        case 31: return CBOR_BREAK;
+        default:
+          if (info < 20) return info; // 未割り当ての simple value
+          throw new Error(`Invalid CBOR simple value: ${info}`);
+      }
+    }
+
+    const length = readLength(info);
+    if (length === -1 && (major === 0 || major === 1 || major === 6)) {
+      throw new Error('Invalid indefinite length');
+    }
+
+    switch (major) {
+      case 0:
+        return length;
+      case 1:
+        return -1 - length;
+      case 2:
+      case 3: {
+        if (length === -1) {
+          // 不定長文字列: 定長チャンクを連結
+          const parts = [];
+          for (;;) {
+            const part = readItem(depth + 1);
+            if (part === CBOR_BREAK) break;
+            parts.push(part);
+          }
+          return major === 2 ? concatBytes(parts) : parts.join('');
+        }
+        ensure(length);
+        const data = bytes.subarray(pos, pos + length);
+        pos += length;
+        return major === 2 ? data : new TextDecoder('utf-8').decode(data);
+      }
+      case 4: {
+        const array = [];
+        if (length === -1) {
+          for (;;) {
+            const item = readItem(depth + 1);
+            if (item === CBOR_BREAK) break;
+            array.push(item);
+          }
+        } else {
+          if (length > bytes.length - pos) throw new Error('CBOR array length overflow');
+          for (let i = 0; i < length; i++) array.push(readItem(depth + 1));
+        }
+        return array;
+      }
+      case 5: {
+        const map = {};
+        const count = length === -1 ? Infinity : length;
+        if (count !== Infinity && count * 2 > bytes.length - pos) throw new Error('CBOR map length overflow');
+        for (let i = 0; i < count; i++) {
+          const key = readItem(depth + 1);
+          if (key === CBOR_BREAK) break;
+          const value = readItem(depth + 1);
+          const keyStr = String(key);
+          if (keyStr !== '__proto__') map[keyStr] = value;
+        }
+        return map;
+      }
+      case 6:
+        return readItem(depth + 1);
+      default:
+        throw new Error(`Invalid CBOR major type: ${major}`);
+    }
+  };
+
+  const result = readItem(0);
+  if (result === CBOR_BREAK) throw new Error('Unexpected CBOR break');
+  return result;
+}
+
+/**
+ * IEEE 754 半精度浮動小数点数をデコード
+ * @param {number} half - 16ビット値
+ * @returns {number}
+ */
+function decodeHalfFloat(half) {
+  const exponent = (half >> 10) & 0x1F;
+  const fraction = half & 0x3FF;
+  const sign = half & 0x8000 ? -1 : 1;
+  if (exponent === 0) return sign * Math.pow(2, -14) * (fraction / 1024);
+  if (exponent === 0x1F) return fraction ? NaN : sign * Infinity;
+  return sign * Math.pow(2, exponent - 15) * (1 + fraction / 1024);
+}
+
+/**
+ * CBOR の型・長さヘッダーをエンコード
+ * @param {number} major - メジャータイプ
+ * @param {number} length - 長さ / 値
+ * @returns {Uint8Array}
+ */
+function encodeCborHead(major, length) {
+  const type = major << 5;
+  if (length < 24) return Uint8Array.of(type | length);
+  if (length < 0x100) return Uint8Array.of(type | 24, length);
+  if (length < 0x10000) return Uint8Array.of(type | 25, length >> 8, length & 0xFF);
+  return Uint8Array.of(type | 26, (length >>> 24) & 0xFF, (length >> 16) & 0xFF, (length >> 8) & 0xFF, length & 0xFF);
+}
+
+/**
+ * COSE_Sign1 の署名対象 Sig_structure を組み立て
+ * Sig_structure = ["Signature1", body_protected, external_aad (空), payload]
+ * @param {Uint8Array} protectedBytes - 保護ヘッダー (CBOR エンコード済み)
+ * @param {Uint8Array} payload - ペイロード (C2PA ではクレーム本体)
+ * @returns {Uint8Array}
+ */
+function encodeCoseSigStructure(protectedBytes, payload) {
+  const context = new TextEncoder().encode('Signature1');
+  return concatBytes([
+    encodeCborHead(4, 4),
+    encodeCborHead(3, context.length), context,
+    encodeCborHead(2, protectedBytes.length), protectedBytes,
+    encodeCborHead(2, 0),
+    encodeCborHead(2, payload.length), payload
+  ]);
+}
+
+/**
+ * 複数の Uint8Array を連結
+ * @param {Uint8Array[]} parts - 連結するバイト列
+ * @returns {Uint8Array}
+ */
+function concatBytes(parts) {
+  const total = parts.reduce((sum, part) => sum + part.length, 0);
+  const result = new Uint8Array(total);
+  let pos = 0;
+  for (const part of parts) {
+    result.set(part, pos);
+    pos += part.length;
+  }
+  return result;
+}
+
+// ============================================================
+// JUMBF
+// ============================================================
+
+/**
+ * JUMBF (ISO 19566-5) ボックスのサイズを読み取り
+ * @param {Uint8Array} view - バイナリデータ
+ * @param {number} offset - ボックス開始位置
+ * @returns {{size: number, headerSize: number}|null} - 読み取れない場合はnull
+ */
+function readJumbfBoxHeader(view, offset) {
+  if (offset + 8 > view.length) return null;
+  let size = ((view[offset] << 24) | (view[offset + 1] << 16) | (view[offset + 2] << 8) | view[offset + 3]) >>> 0;
+  let headerSize = 8;
+  if (size === 1) {
+    if (offset + 16 > view.length) return null;
+    const high = ((view[offset + 8] << 24) | (view[offset + 9] << 16) | (view[offset + 10] << 8) | view[offset + 11]) >>> 0;
+    const low = ((view[offset + 12] << 24) | (view[offset + 13] << 16) | (view[offset + 14] << 8) | view[offset + 15]) >>> 0;
+    size = high * 4294967296 + low;
+    headerSize = 16;
+  }
+  return { size, headerSize };
+}
+
+/**
+ * 範囲内の JUMBF ボックスを列挙
+ * @param {Uint8Array} view - バイナリデータ
+ * @param {number} start - 開始位置
+ * @param {number} end - 終了位置
+ * @returns {Array<{type: string, start: number, headerEnd: number, end: number}>}
+ */
+function readJumbfBoxes(view, start, end) {
+  const boxes = [];
+  let offset = start;
+
+  while (offset + 8 <= end) {
+    const header = readJumbfBoxHeader(view, offset);
+    if (!header) break;
+    const size = header.size === 0 ? end - offset : header.size; // 0: 末尾まで
+    if (size < header.headerSize || offset + size > end) break;
+
+    const type = String.fromCharCode(view[offset + 4], view[offset + 5], view[offset + 6], view[offset + 7]);
+    boxes.push({ type, start: offset, headerEnd: offset + header.headerSize, end: offset + size });
+    offset += size;
+  }
+
+  return boxes;
+}
+
+/**
+ * JUMBF スーパーボックス (jumb) をツリーとして読み取り
+ * @param {Uint8Array} view - バイナリデータ
+ * @param {{start: number, headerEnd: number, end: number}} box - jumb ボックス
+ * @param {number} depth - 入れ子の深さ
+ * @returns {{label: string, payloadStart: number, end: number, children: Array, contents: Array}}
+ *   children: 子スーパーボックス、contents: 内容ボックス ({type, data})
+ */
+function readJumbfSuperbox(view, box, depth = 0) {
+  const boxes = readJumbfBoxes(view, box.headerEnd, box.end);
+  const node = { label: '', payloadStart: box.headerEnd, end: box.end, children: [], contents: [] };
+
+  boxes.forEach((child, index) => {
+    if (index === 0 && child.type === 'jumd') {
+      node.label = readJumbfLabel(view, child);
+    } else if (child.type === 'jumb') {
+      if (depth < 16) node.children.push(readJumbfSuperbox(view, child, depth + 1));
+    } else {
+      node.contents.push({ type: child.type, data: view.subarray(child.headerEnd, child.end) });
+    }
+  });
+
+  return node;
+}
+
+/**
+ * JUMBF 記述ボックス (jumd) からラベルを取得
+ * jumd = コンテンツタイプUUID (16) + トグル (1) + [ラベル (NULL終端)] + ...
+ * @param {Uint8Array} view - バイナリデータ
+ * @param {{headerEnd: number, end: number}} box - jumd ボックス
+ * @returns {string}
+ */
+function readJumbfLabel(view, box) {
+  const togglesPos = box.headerEnd + 16;
+  if (togglesPos >= box.end || !(view[togglesPos] & 0x02)) return '';
+
+  const labelStart = togglesPos + 1;
+  let labelEnd = labelStart;
+  while (labelEnd < box.end && view[labelEnd] !== 0) labelEnd++;
+  return new TextDecoder('utf-8').decode(view.subarray(labelStart, labelEnd));
+}
+
+/**
+ * JUMBF の内容ボックス (cbor / json) をデコード
+ * @param {{contents: Array}} node - スーパーボックス
+ * @returns {*} - デコード結果、対応する内容が無い場合はnull
+ */
+function decodeJumbfContent(node) {
+  for (const content of node.contents) {
+    try {
+      if (content.type === 'cbor') return decodeCbor(content.data);
+      if (content.type === 'json') return JSON.parse(new TextDecoder('utf-8').decode(content.data));
+    } catch (e) {
+      console.warn('[AI Meta Viewer] C2PA content decode failed:', node.label, e.message);
+      return null;
+    }
+  }
+  return null;
+}
+
+// ============================================================
+// マニフェストストア
+// ============================================================
+
+/**
+ * C2PA マニフェストストア (JUMBF スーパーボックス) を解析し、表示用の概要を作成
+ * 署名検証用のバイナリは c2paVerificationInputs に保持し、verifyC2paManifest で検証する
+ * @param {Uint8Array} bytes - マニフェストストアの JUMBF データ
+ * @returns {Object|null} - 解析結果、C2PA マニフェストストアでない場合はnull
+ */
+function readC2paManifestStore(bytes) {
+  const [storeBox] = readJumbfBoxes(bytes, 0, bytes.length);
+  if (!storeBox || storeBox.type !== 'jumb') return null;
+
+  const store = readJumbfSuperbox(bytes, storeBox);
+  if (store.label !== C2PA_STORE_LABEL || store.children.length === 0) return null;
+
+  // マニフェストをラベル (urn:uuid:...) で索引
+  const manifests = new Map();
+  for (const node of store.children) {
+    manifests.set(node.label, readC2paManifest(node));
+  }
+
+  // 最後のマニフェストがアクティブマニフェスト
+  const active = manifests.get(store.children[store.children.length - 1].label);
+  if (!active.claim) return null;
+
+  const summary = {
+    activeManifest: active.label,
+    manifestCount: manifests.size,
+    claimGenerator: describeClaimGenerator(active.claim),
+    title: active.claim['dc:title'] || '',
+    format: active.claim['dc:format'] || '',
+    actions: collectC2paActions(active),
+    ingredients: collectC2paIngredients(active, manifests, new Set([active.label]), 0),
+    assertions: Array.from(active.assertions.keys()),
+    signature: { status: 'unverified', message: 'Signature has not been verified' }
+  };
+
+  c2paVerificationInputs.set(summary, {
+    storeBytes: bytes,
+    claim: active.claim,
+    claimBytes: active.claimBytes,
+    signatureBytes: active.signatureBytes,
+    assertions: active.assertions
+  });
+
+  return summary;
+}
+
+/**
+ * 1つのマニフェスト (クレーム・署名・アサーション) を読み取り
+ * @param {Object} node - マニフェストのスーパーボックス
+ * @returns {Object} - { label, claim, claimBytes, signatureBytes, assertions: Map<label, {node, value}> }
+ */
+function readC2paManifest(node) {
+  const manifest = { label: node.label, claim: null, claimBytes: null, signatureBytes: null, assertions: new Map() };
+
+  for (const child of node.children) {
+    if (child.label === 'c2pa.claim' || child.label === 'c2pa.claim.v2') {
+      const content = child.contents.find(c => c.type === 'cbor');
+      if (content) {
+        manifest.claimBytes = content.data;
+        manifest.claim = decodeJumbfContent(child);
+      }
+    } else if (child.label === 'c2pa.signature') {
+      const content = child.contents.find(c => c.type === 'cbor');
+      if (content) manifest.signatureBytes = content.data;
+    } else if (child.label === 'c2pa.assertions') {
+      for (const assertion of child.children) {
+        manifest.assertions.set(assertion.label, { node: assertion, value: null, decoded: false });
+      }
+    }
+  }
+
+  return manifest;
+}
+
+/**
+ * アサーションの内容を取得 (必要になった時点でデコード)
+ * @param {Object} manifest - readC2paManifest の結果
+ * @param {string} label - アサーションラベル
+ * @returns {*}
+ */
+function getC2paAssertion(manifest, label) {
+  const entry = manifest.assertions.get(label);
+  if (!entry) return null;
+  if (!entry.decoded) {
+    entry.value = decodeJumbfContent(entry.node);
+    entry.decoded = true;
+  }
+  return entry.value;
+}
+
+/**
+ * クレーム生成ツール名を取得 (v1: claim_generator, v2: claim_generator_info)
+ * @param {Object} claim - クレーム
+ * @returns {string}
+ */
+function describeClaimGenerator(claim) {
+  if (!claim) return '';
+  if (typeof claim.claim_generator === 'string') return claim.claim_generator;
+
+  const info = Array.isArray(claim.claim_generator_info) ? claim.claim_generator_info : [claim.claim_generator_info];
+  return info
+    .filter(item => item && item.name)
+    .map(item => item.version ? `${item.name} ${item.version}` : item.name)
+    .join(', ');
+}
+
+/**
+ * c2pa.actions アサーションから操作履歴を取得
+ * @param {Object} manifest - readC2paManifest の結果
+ * @returns {Array<{action: string, digitalSourceType: string, softwareAgent: string, when: string, description: string}>}
+ */
+function collectC2paActions(manifest) {
+  const actions = [];
+
+  for (const label of manifest.assertions.keys()) {
+    if (!/^c2pa\.actions(\.v\d+)?(__\d+)?$/.test(label)) continue;
+    const value = getC2paAssertion(manifest, label);
+    if (!value || !Array.isArray(value.actions)) continue;
+
+    for (const item of value.actions) {
+      if (!item || typeof item.action !== 'string') continue;
+      const agent = item.softwareAgent;
+      actions.push({
+        action: item.action,
+        digitalSourceType: typeof item.digitalSourceType === 'string' ? item.digitalSourceType : '',
+        softwareAgent: typeof agent === 'string' ? agent : (agent && agent.name) || '',
+        when: typeof item.when === 'string' ? item.when : '',
+        description: typeof item.description === 'string' ? item.description : ''
+      });
+    }
+  }
+
+  return actions;
+}
+
+/**
+ * c2pa.ingredient アサーションから材料チェーンを取得
+ * 材料が同じストア内にマニフェストを持つ場合は、そのマニフェストの材料も再帰的に辿る
+ * @param {Object} manifest - readC2paManifest の結果
+ * @param {Map} manifests - ストア内の全マニフェスト
+ * @param {Set<string>} visited - 循環参照防止用
+ * @param {number} depth - 深さ
+ * @returns {Array<{title: string, format: string, relationship: string, claimGenerator: string, ingredients: Array}>}
+ */
+function collectC2paIngredients(manifest, manifests, visited, depth) {
+  const ingredients = [];
+  if (depth >= MAX_INGREDIENT_DEPTH) return ingredients;
+
+  for (const label of manifest.assertions.keys()) {
+    if (!/^c2pa\.ingredient(\.v\d+)?(__\d+)?$/.test(label)) continue;
+    const value = getC2paAssertion(manifest, label);
+    if (!value || typeof value !== 'object') continue;
+
+    const ingredient = {
+      title: value['dc:title'] || value.title || '',
+      format: value['dc:format'] || value.format || '',
+      relationship: value.relationship || 'componentOf',
+      claimGenerator: '',
+      ingredients: []
+    };
+
+    // 材料のマニフェスト参照 (例: "self#jumbf=c2pa/urn:uuid:...")
+    const ref = value.active_manifest || value.c2pa_manifest;
+    const match = ref && typeof ref.url === 'string' ? ref.url.match(/c2pa\/([^/]+)/) : null;
+    const child = match ? manifests.get(match[1]) : null;
+    if (child && !visited.has(child.label)) {
+      visited.add(child.label);
+      ingredient.claimGenerator = describeClaimGenerator(child.claim);
+      ingredient.ingredients = collectC2paIngredients(child, manifests, visited, depth + 1);
+    }
+
+    ingredients.push(ingredient);
+  }
+
+  return ingredients;
+}
+
+// ============================================================
+// DER / X.509
+// ============================================================
+
+/**
+ * DER の TLV を1つ読み取り
+ * @param {Uint8Array} der - DER データ
+ * @param {number} offset - 読み取り位置
+ * @returns {{tag: number, start: number, contentStart: number, end: number}}
+ */
+function readDer(der, offset) {
+  if (offset + 2 > der.length) throw new Error('Truncated DER data');
+  const tag = der[offset];
+  let length = der[offset + 1];
+  let contentStart = offset + 2;
+
+  if (length & 0x80) {
+    const lengthBytes = length & 0x7F;
+    if (lengthBytes === 0 || lengthBytes > 4 || contentStart + lengthBytes > der.length) {
+      throw new Error('Invalid DER length');
+    }
+    length = 0;
+    for (let i = 0; i < lengthBytes; i++) {
+      length = length * 256 + der[contentStart + i];
+    }
+    contentStart += lengthBytes;
+  }
+
+  const end = contentStart + length;
+  if (end > der.length) throw new Error('Truncated DER data');
+  return { tag, start: offset, contentStart, end };
+}
+
+/**
+ * DER 構造型 (SEQUENCE / SET 等) の子要素を列挙
+ * @param {Uint8Array} der - DER データ
+ * @param {{contentStart: number, end: number}} node - 親要素
+ * @returns {Array}
+ */
+function readDerChildren(der, node) {
+  const children = [];
+  let offset = node.contentStart;
+  while (offset < node.end) {
+    const child = readDer(der, offset);
+    children.push(child);
+    offset = child.end;
+  }
+  return children;
+}
+
+/**
+ * DER の OBJECT IDENTIFIER を文字列化
+ * @param {Uint8Array} der - DER データ
+ * @param {{contentStart: number, end: number}} node - OID 要素
+ * @returns {string}
+ */
+function decodeDerOid(der, node) {
+  const parts = [];
+  let value = 0;
+  for (let i = node.contentStart; i < node.end; i++) {
+    value = value * 128 + (der[i] & 0x7F);
+    if (!(der[i] & 0x80)) {
+      if (parts.length === 0) {
+        const first = Math.min(Math.floor(value / 40), 2);
+        parts.push(first, value - first * 40);
+      } else {
+        parts.push(value);
+      }
+      value = 0;
+    }
+  }
+  return parts.join('.');
+}
+
+/**
+ * DER の文字列型をデコード
+ * @param {Uint8Array} der - DER データ
+ * @param {{tag: number, contentStart: number, end: number}} node - 文字列要素
+ * @returns {string}
+ */
+function decodeDerString(der, node) {
+  const data = der.subarray(node.contentStart, node.end);
+  if (node.tag === 0x1E) return new TextDecoder('utf-16be').decode(data); // BMPString
+  if (node.tag === 0x14) return new TextDecoder('latin1').decode(data); // TeletexString
+  return new TextDecoder('utf-8').decode(data); // UTF8String / PrintableString / IA5String
+}
+
+/**
+ * DER の UTCTime / GeneralizedTime を ISO 8601 文字列に変換
+ * @param {Uint8Array} der - DER データ
+ * @param {{tag: number, contentStart: number, end: number}} node - 時刻要素
+ * @returns {string}
+ */
+function decodeDerTime(der, node) {
+  const str = new TextDecoder('ascii').decode(der.subarray(node.contentStart, node.end));
+  let year, rest;
+  if (node.tag === 0x17) {
+    const yy = parseInt(str.substring(0, 2), 10);
+    year = yy < 50 ? 2000 + yy : 1900 + yy;
+    rest = str.substring(2);
+  } else {
+    year = parseInt(str.substring(0, 4), 10);
+    rest = str.substring(4);
+  }
+  const [month, day, hour, minute, second] = [0, 2, 4, 6, 8].map(i => parseInt(rest.substring(i, i + 2), 10) || 0);
+  return new Date(Date.UTC(year, month - 1, day, hour, minute, second)).toISOString();
+}
+
+/**
+ * 識別名 (Name) を "CN=..., O=..." 形式の文字列に変換
+ * @param {Uint8Array} der - DER データ
+ * @param {Object} node - Name 要素 (SEQUENCE OF SET)
+ * @returns {string}
+ */
+function decodeDerName(der, node) {
+  const parts = [];
+  for (const rdn of readDerChildren(der, node)) {
+    for (const attribute of readDerChildren(der, rdn)) {
+      const [oidNode, valueNode] = readDerChildren(der, attribute);
+      if (!oidNode || !valueNode) continue;
+      const name = X509_NAME_ATTRIBUTES[decodeDerOid(der, oidNode)];
+      if (name) parts.push(`${name}=${decodeDerString(der, valueNode)}`);
+    }
+  }
+  return parts.join(', ');
+}
+
+/**
+ * X.509 証明書を解析
+ * @param {Uint8Array} der - DER エンコードされた証明書
+ * @returns {Object} - 署名検証・表示に必要なフィールド
+ */
+function parseX509Certificate(der) {
+  const certificate = readDer(der, 0);
+  const [tbs, signatureAlgorithm, signatureValue] = readDerChildren(der, certificate);
+  if (!tbs || !signatureAlgorithm || !signatureValue) throw new Error('Invalid certificate structure');
+
+  const fields = readDerChildren(der, tbs);
+  let index = fields[0] && fields[0].tag === 0xA0 ? 1 : 0; // version [0] は省略可能
+  index += 2; // serialNumber, signature
+  const issuer = fields[index++];
+  const validity = fields[index++];
+  const subject = fields[index++];
+  const spki = fields[index++];
+  if (!spki) throw new Error('Invalid certificate structure');
+
+  const [notBefore, notAfter] = readDerChildren(der, validity);
+  const [spkiAlgorithm] = readDerChildren(der, spki);
+  const [keyOid, keyParams] = readDerChildren(der, spkiAlgorithm);
+  const [sigOid, sigParams] = readDerChildren(der, signatureAlgorithm);
+
+  return {
+    der,
+    tbs: der.subarray(tbs.start, tbs.end),
+    signatureAlgorithm: decodeDerOid(der, sigOid),
+    signatureParams: sigParams && sigParams.tag === 0x30 ? der.subarray(sigParams.start, sigParams.end) : null,
+    // BIT STRING の先頭1バイトは未使用ビット数
+    signature: der.subarray(signatureValue.contentStart + 1, signatureValue.end),
+    issuerBytes: der.subarray(issuer.start, issuer.end),
+    subjectBytes: der.subarray(subject.start, subject.end),
+    issuer: decodeDerName(der, issuer),
+    subject: decodeDerName(der, subject),
+    notBefore: decodeDerTime(der, notBefore),
+    notAfter: decodeDerTime(der, notAfter),
+    spki: der.subarray(spki.start, spki.end),
+    keyAlgorithm: decodeDerOid(der, keyOid),
+    keyCurve: keyParams && keyParams.tag === 0x06 ? decodeDerOid(der, keyParams) : ''
+  };
+}
+
+/**
+ * 証明書の公開鍵を WebCrypto にインポート
+ * @param {Object} cert - parseX509Certificate の結果
+ * @param {{name: string, hash?: string}} algorithm - 署名アルゴリズム
+ * @returns {Promise<CryptoKey>}
+ */
+async function importCertificateKey(cert, algorithm) {
+  let spki = cert.spki;
+  let params;
+
+  switch (cert.keyAlgorithm) {
+    case '1.2.840.10045.2.1': { // id-ecPublicKey
+      const curve = EC_CURVES[cert.keyCurve];
+      if (!curve) throw new Error(`Unsupported EC curve: ${cert.keyCurve}`);
+      params = { name: 'ECDSA', namedCurve: curve.name };
+      break;
+    }
+    case '1.2.840.113549.1.1.10': // id-RSASSA-PSS (WebCrypto は rsaEncryption 形式の SPKI のみ受け付ける)
+      spki = toRsaEncryptionSpki(cert.der, cert.spki);
+      params = { name: algorithm.name, hash: algorithm.hash };
+      break;
+    case '1.2.840.113549.1.1.1': // rsaEncryption
+      params = { name: algorithm.name, hash: algorithm.hash };
+      break;
+    case '1.3.101.112': // Ed25519
+      params = { name: 'Ed25519' };
+      break;
+    default:
+      throw new Error(`Unsupported key algorithm: ${cert.keyAlgorithm}`);
+  }
+
+  return crypto.subtle.importKey('spki', spki, params, false, ['verify']);
+}
+
+/**
+ * id-RSASSA-PSS の SPKI を rsaEncryption の SPKI に書き換え
+ * @param {Uint8Array} der - 証明書 DER
+ * @param {Uint8Array} spki - 元の SPKI
+ * @returns {Uint8Array}
+ */
+function toRsaEncryptionSpki(der, spki) {
+  const [, publicKey] = readDerChildren(spki, readDer(spki, 0));
+  const algorithm = Uint8Array.of(0x30, 0x0D, 0x06, 0x09, 0x2A, 0x86, 0x48, 0x86, 0xF7, 0x0D, 0x01, 0x01, 0x01, 0x05, 0x00);
+  const keyBytes = spki.subarray(publicKey.start, publicKey.end);
+  return concatBytes([encodeDerHeader(0x30, algorithm.length + keyBytes.length), algorithm, keyBytes]);
+}
+
+/**
+ * DER のタグ・長さヘッダーをエンコード
+ * @param {number} tag - タグ
+ * @param {number} length - 内容の長さ
+ * @returns {Uint8Array}
+ */
+function encodeDerHeader(tag, length) {
+  if (length < 0x80) return Uint8Array.of(tag, length);
+  const bytes = [];
+  for (let value = length; value > 0; value = Math.floor(value / 256)) {
+    bytes.unshift(value & 0xFF);
+  }
+  return Uint8Array.of(tag, 0x80 | bytes.length, ...bytes);
+}
+
+/**
+ * DER エンコードされた ECDSA 署名 (SEQUENCE { r, s }) を WebCrypto 用の r||s 形式に変換
+ * @param {Uint8Array} signature - DER 署名
+ * @param {number} size - 座標長 (バイト)
+ * @returns {Uint8Array}
+ */
+function ecdsaDerToRaw(signature, size) {
+  const [r, s] = readDerChildren(signature, readDer(signature, 0));
+  const raw = new Uint8Array(size * 2);
+  [r, s].forEach((integer, i) => {
+    let value = signature.subarray(integer.contentStart, integer.end);
+    while (value.length > size && value[0] === 0) value = value.subarray(1); // 符号用の先頭 0x00 を除去
+    if (value.length > size) throw new Error('Invalid ECDSA signature');
+    raw.set(value, (i + 1) * size - value.length);
+  });
+  return raw;
+}
+
+/**
+ * 証明書の署名を発行者の公開鍵で検証
+ * @param {Object} cert - 検証対象の証明書
+ * @param {Object} issuerCert - 発行者の証明書
+ * @returns {Promise<boolean>}
+ */
+async function verifyCertificateSignature(cert, issuerCert) {
+  const base = X509_SIGNATURE_ALGORITHMS[cert.signatureAlgorithm];
+  if (!base) throw new Error(`Unsupported certificate signature algorithm: ${cert.signatureAlgorithm}`);
+
+  const algorithm = { ...base };
+  let signature = cert.signature;
+
+  if (algorithm.name === 'RSA-PSS') {
+    Object.assign(algorithm, readRsaPssParams(cert.signatureParams));
+  }
+
+  const key = await importCertificateKey(issuerCert, algorithm);
+
+  if (algorithm.name === 'ECDSA') {
+    signature = ecdsaDerToRaw(signature, EC_CURVES[issuerCert.keyCurve].size);
+  }
+
+  return crypto.subtle.verify(algorithm, key, signature, cert.tbs);
+}
+
+/**
+ * RSASSA-PSS-params からハッシュアルゴリズムとソルト長を取得
+ * @param {Uint8Array|null} params - RSASSA-PSS-params (SEQUENCE)
+ * @returns {{hash: string, saltLength: number}}
+ */
+function readRsaPssParams(params) {
+  const result = { hash: 'SHA-1', saltLength: 20 }; // RFC 4055 の既定値
+  if (!params) return result;
+
+  for (const field of readDerChildren(params, readDer(params, 0))) {
+    if (field.tag === 0xA0) {
+      const hashAlgorithm = readDer(params, field.contentStart);
+      const oid = readDer(params, hashAlgorithm.contentStart);
+      result.hash = HASH_ALGORITHMS[decodeDerOid(params, oid)] || result.hash;
+    } else if (field.tag === 0xA2) {
+      const integer = readDer(params, field.contentStart);
+      result.saltLength = params.subarray(integer.contentStart, integer.end).reduce((value, b) => value * 256 + b, 0);
+    }
+  }
+  return result;
+}
+
+// ============================================================
+// 署名検証
+// ============================================================
+
+/**
+ * C2PA マニフェストの署名を検証し、結果を c2pa.signature に設定
+ * WebCrypto が非同期のため、同期の extractMetadata の後に Service Worker から呼び出す
+ * @param {Object} c2pa - readC2paManifestStore の結果
+ * @returns {Promise<Object>} - 検証結果を設定した c2pa
+ */
+async function verifyC2paManifest(c2pa) {
+  const inputs = c2paVerificationInputs.get(c2pa);
+  if (!inputs) return c2pa;
+  c2paVerificationInputs.delete(c2pa);
+
+  try {
+    c2pa.signature = await verifyC2paSignature(inputs);
+  } catch (e) {
+    console.warn('[AI Meta Viewer] C2PA signature verification failed:', e);
+    c2pa.signature = { status: 'unverified', message: `Could not verify signature: ${e.message}` };
+  }
+  return c2pa;
+}
+
+/**
+ * COSE_Sign1 署名・証明書チェーン・アサーションハッシュを検証
+ * 信頼リスト (C2PA Trust List) との照合と、画像本体のハッシュ (c2pa.hash.data) の照合は行わないため、
+ * 検証に成功しても 'valid' ではなく 'signature-only' (署名は改ざんされていないが、画像との結び付きと署名者は未確認) とする
+ * @param {Object} inputs - c2paVerificationInputs の値
+ * @returns {Promise<Object>} - { status: 'signature-only'|'invalid'|'unverified', message, algorithm, signer, issuer, chain, warnings }
+ */
+async function verifyC2paSignature(inputs) {
+  if (!inputs.claimBytes || !inputs.signatureBytes) {
+    return { status: 'unverified', message: 'Claim or signature is missing' };
+  }
+
+  // COSE_Sign1 = [protected, unprotected, payload, signature]
+  const cose = decodeCbor(inputs.signatureBytes);
+  if (!Array.isArray(cose) || cose.length !== 4 || !(cose[0] instanceof Uint8Array) || !(cose[3] instanceof Uint8Array)) {
+    return { status: 'unverified', message: 'Signature is not a COSE_Sign1 structure' };
+  }
+  const [protectedBytes, unprotectedHeader, , signature] = cose;
+  const protectedHeader = protectedBytes.length > 0 ? decodeCbor(protectedBytes) : {};
+  const unprotected = unprotectedHeader || {};
+
+  const algorithm = COSE_ALGORITHMS[String(protectedHeader['1'])];
+  if (!algorithm) {
+    return { status: 'unverified', message: `Unsupported signature algorithm: ${protectedHeader['1']}` };
+  }
+
+  // 証明書チェーン (x5chain: ラベル 33、旧仕様では文字列キー)
+  const x5chain = protectedHeader['33'] || unprotected['33'] || protectedHeader['x5chain'] || unprotected['x5chain'];
+  const chainBytes = (Array.isArray(x5chain) ? x5chain : [x5chain]).filter(cert => cert instanceof Uint8Array);
+  if (chainBytes.length === 0) {
+    return { status: 'unverified', message: 'No signing certificate embedded', algorithm: algorithm.label };
+  }
+  const chain = chainBytes.map(parseX509Certificate);
+  const leaf = chain[0];
+
+  const result = {
+    status: 'signature-only',
+    message: '',
+    algorithm: algorithm.label,
+    signer: leaf.subject,
+    issuer: leaf.issuer,
+    chain: chain.map(cert => ({ subject: cert.subject, issuer: cert.issuer, notBefore: cert.notBefore, notAfter: cert.notAfter })),
+    warnings: []
+  };
+
+  // 1. クレーム署名 (ペイロードは切り離されており、クレーム本体が署名対象)
+  const key = await importCertificateKey(leaf, algorithm);
+  const signatureValid = await crypto.subtle.verify(algorithm, key, signature,
+    encodeCoseSigStructure(protectedBytes, inputs.claimBytes));
+  if (!signatureValid) {
+    return { ...result, status: 'invalid', message: 'Signature does not match the claim' };
+  }
+
+  // 2. 証明書チェーン (各証明書が次の証明書の鍵で署名されているか)
+  for (let i = 0; i < chain.length - 1; i++) {
+    const linked = bytesEqual(chain[i].issuerBytes, chain[i + 1].subjectBytes) &&
+      await verifyCertificateSignature(chain[i], chain[i + 1]);
+    if (!linked) {
+      return { ...result, status: 'invalid', message: `Certificate chain is broken at "${chain[i].subject}"` };
+    }
+  }
+
+  const root = chain[chain.length - 1];
+  if (bytesEqual(root.issuerBytes, root.subjectBytes)) {
+    if (!await verifyCertificateSignature(root, root)) {
+      return { ...result, status: 'invalid', message: 'Self-signed root certificate signature is invalid' };
+    }
+    result.warnings.push(`Chain ends at self-signed "${root.subject}", not checked against a trust list`);
+  } else {
+    result.warnings.push(`Chain ends at "${root.issuer}" (root not embedded, not checked against a trust list)`);
+  }
+
+  // 署名時刻のタイムスタンプは検証しないため、現在時刻で有効期限を確認 (警告のみ)
+  const now = new Date().toISOString();
+  for (const cert of chain) {
+    if (now < cert.notBefore || now > cert.notAfter) {
+      result.warnings.push(`Certificate "${cert.subject}" is outside its validity period (${cert.notBefore.substring(0, 10)} - ${cert.notAfter.substring(0, 10)})`);
+    }
+  }
+
+  // 3. アサーションハッシュ (クレーム内のハッシュ付き URI とアサーション本体の照合)
+  const claim = inputs.claim || {};
+  const references = [].concat(claim.assertions || [], claim.created_assertions || [], claim.gathered_assertions || []);
+  for (const ref of references) {
+    if (!ref || typeof ref.url !== 'string' || !(ref.hash instanceof Uint8Array)) continue;
+    const label = ref.url.split('/').pop();
+    const entry = inputs.assertions.get(label);
+    if (!entry) {
+      return { ...result, status: 'invalid', message: `Assertion "${label}" referenced by the claim is missing` };
+    }
+
+    const hashName = HASH_ALGORITHMS[ref.alg || claim.alg || 'sha256'];
+    if (!hashName) {
+      result.warnings.push(`Assertion "${label}" uses unsupported hash algorithm "${ref.alg || claim.alg}"`);
+      continue;
+    }
+
+    // ハッシュ対象はスーパーボックスのヘッダーを除いた内容 (jumd + 内容ボックス)
+    const payload = inputs.storeBytes.subarray(entry.node.payloadStart, entry.node.end);
+    const digest = new Uint8Array(await crypto.subtle.digest(hashName, payload));
+    if (!bytesEqual(digest, ref.hash)) {
+      return { ...result, status: 'invalid', message: `Assertion "${label}" has been modified (hash mismatch)` };
+    }
+  }
+
+  result.message = `Signed by ${leaf.subject || 'unknown signer'}`;
+  return result;
+}
+
+/**
+ * 2つのバイト列が等しいか判定
+ * @param {Uint8Array} a
+ * @param {Uint8Array} b
+ * @returns {boolean}
+ */
+function bytesEqual(a, b) {
+  if (a.length !== b.length) return false;
+  for (let i = 0; i < a.length; i++) {
+    if (a[i] !== b[i]) return false;
+  }
+  return true;
+}
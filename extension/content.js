@@ -327,33 +327,9 @@ async function checkImageMetadata(img) {
         // --- メタデータフィルタリング (除外判定) ---
 
         if (metadata && Object.keys(metadata).length > 0) {
-            // 1. キーによる除外 (Ignored Metadata Keys)
-            if (settings.ignoredMetadataKeys && Array.isArray(settings.ignoredMetadataKeys) && settings.ignoredMetadataKeys.length > 0) {
-                const hasIgnoredKey = Object.keys(metadata).some(key =>
-                    settings.ignoredMetadataKeys.includes(key)
-                );
-
-                if (hasIgnoredKey) {
-                    if (settings.debugMode) {
-                        console.log('[AI Meta Viewer] Ignored image due to ignored metadata key');
-                    }
-                    processedImages.delete(img);
-                    return;
-                }
-            }
-
-            // 2. ソフトウェア名による除外 (Ignored Software)
-            if (metadata['Software'] && settings.ignoredSoftware && Array.isArray(settings.ignoredSoftware) && settings.ignoredSoftware.length > 0) {
-                const software = metadata['Software'];
-                const isIgnoredSoftware = settings.ignoredSoftware.some(s => software.includes(s));
-
-                if (isIgnoredSoftware) {
-                    if (settings.debugMode) {
-                        console.log('[AI Meta Viewer] Ignored software:', software);
-                    }
-                    processedImages.delete(img);
-                    return;
-                }
+            if (isIgnoredMetadata(metadata)) {
+                processedImages.delete(img);
+                return;
             }
 
             // バッジを追加
@@ -388,6 +364,130 @@ async function checkImageMetadata(img) {
     }
 }
 
+/**
+ * 設定による除外判定 (画像・動画共通)
+ * @param {Object} metadata - 取得したメタデータ
+ * @returns {boolean} - 除外対象なら true
+ */
+function isIgnoredMetadata(metadata) {
+    // 0. カメラの Exif のみ等、AI 生成のメタデータを含まないものはバッジを付けない
+    if (!hasAiRelevantMetadata(metadata)) {
+        if (settings.debugMode) {
+            console.log('[AI Meta Viewer] Ignored image without AI-relevant metadata:', Object.keys(metadata).join(', '));
+        }
+        return true;
+    }
+
+    // 1. キーによる除外 (Ignored Metadata Keys)
+    if (settings.ignoredMetadataKeys && Array.isArray(settings.ignoredMetadataKeys) && settings.ignoredMetadataKeys.length > 0) {
+        const hasIgnoredKey = Object.keys(metadata).some(key =>
+            settings.ignoredMetadataKeys.includes(key)
+        );
+
+        if (hasIgnoredKey) {
+            if (settings.debugMode) {
+                console.log('[AI Meta Viewer] Ignored image due to ignored metadata key');
+            }
+            return true;
+        }
+    }
+
+    // 2. ソフトウェア名による除外 (Ignored Software)
+    // XMP のみのファイルは xmp:CreatorTool をソフトウェア名として扱う
+    const software = metadata['Software'] || (metadata['XMP'] && metadata['XMP']['xmp:CreatorTool']);
+    if (software && settings.ignoredSoftware && Array.isArray(settings.ignoredSoftware) && settings.ignoredSoftware.length > 0) {
+        const isIgnoredSoftware = settings.ignoredSoftware.some(s => software.includes(s));
+
+        if (isIgnoredSoftware) {
+            if (settings.debugMode) {
+                console.log('[AI Meta Viewer] Ignored software:', software);
+            }
+            return true;
+        }
+    }
+
+    return false;
+}
+
+/**
+ * 動画・音声要素のソースURLを取得
+ * blob: (MediaSource) 等は Background から取得できないため対象外
+ * @param {HTMLMediaElement} media - 対象の video / audio 要素
+ * @returns {string|null}
+ */
+function getMediaSourceUrl(media) {
+    const source = media.querySelector('source[src]');
+    const url = media.currentSrc || media.src || (source && source.src);
+    if (!url || !/^(https?|file):/.test(url)) return null;
+    return url;
+}
+
+/**
+ * 動画・音声のメタデータをチェックしてバッジを追加
+ * MP4 / MOV / WebM のコメントや FLAC / MP3 / Ogg のタグから取得したメタデータを画像と同じバッジで表示する
+ * @param {HTMLMediaElement} media - 対象の video / audio 要素
+ */
+async function checkMediaMetadata(media) {
+    if (!isExtensionContextValid()) {
+        console.warn('[AI Meta Viewer] Extension context invalidated, stopping media metadata check');
+        return;
+    }
+
+    if (processedImages.has(media)) return;
+
+    const url = getMediaSourceUrl(media);
+    if (!url) {
+        console.log('[AI Meta Viewer] No fetchable media source, skipping');
+        return;
+    }
+
+    // サイズチェック (動画のみ。メタデータ読み込み前は表示サイズで判定)
+    // 音声プレイヤーは小さいため対象外
+    if (media.tagName === 'VIDEO') {
+        const actualWidth = media.videoWidth || media.clientWidth;
+        const actualHeight = media.videoHeight || media.clientHeight;
+        if (actualWidth * actualHeight < settings.minPixelCount) {
+            return;
+        }
+    }
+
+    processedImages.set(media, null);
+
+    let analyzingBadge = null;
+    if (settings.analyzeEverywhere && settings.showAnalyzingBadge) {
+        analyzingBadge = addAnalyzingBadge(media);
+    }
+
+    try {
+        let metadata = metadataCache.get(url);
+        if (metadata === undefined) {
+            const response = await sendMessageToBrave({ action: 'fetchImageMetadata', imageUrl: url });
+            metadata = response && response.success && response.metadata ? response.metadata : {};
+            if (Object.keys(metadata).length > 0) {
+                metadataCache.set(url, metadata);
+            }
+        }
+
+        if (analyzingBadge) {
+            removeAnalyzingBadge(analyzingBadge);
+        }
+
+        if (Object.keys(metadata).length > 0 && !isIgnoredMetadata(metadata)) {
+            addBadgeToImage(media, metadata, url);
+        } else {
+            processedImages.delete(media);
+        }
+    } catch (error) {
+        if (analyzingBadge) {
+            removeAnalyzingBadge(analyzingBadge);
+        }
+        if (settings.debugMode) {
+            console.log('[AI Meta Viewer] Error checking media metadata:', error);
+        }
+        processedImages.delete(media);
+    }
+}
+
 /**
  * サイト別のアダプターからターゲットを取得してメタデータをチェック
  */
@@ -617,9 +717,65 @@ function observeSiteSpecificElements() {
 
 /**
  * 汎用的なsafetensorsリンクを監視
+ * GGUF (量子化モデル) のリンクも同じくヘッダーだけを読んでバッジを付ける
+ * pickle 形式 (.ckpt / .pt、モデル配布サイトでは .bin も) のリンクはインポートを検査し、危険な場合のみ警告バッジを付ける
  */
 let safetensorsObserver = null; // グローバル変数でObserverを管理
 
+const MODEL_LINK_SELECTOR = 'a[href*=".safetensors"], a[href*=".gguf"], a[href*=".ckpt"], a[href*=".pt"], a[href*=".bin"]';
+
+// .bin はモデル以外 (ファームウェア・汎用バイナリ等) でも一般的なため、
+// モデル配布サイトのページ上、またはそのサイトへのリンクに限って検査する
+const MODEL_HOSTING_HOSTS = ['civitai.com', 'huggingface.co', 'hf.co'];
+
+/**
+ * ホスト名がモデル配布サイトのものか判定
+ * @param {string} hostname
+ * @returns {boolean}
+ */
+function isModelHostingHost(hostname) {
+    return MODEL_HOSTING_HOSTS.some(host => hostname === host || hostname.endsWith('.' + host));
+}
+
+/**
+ * pickle 形式のモデルファイルへのリンクか判定 (拡張子はパス末尾のみで判定)
+ * @param {Element} node
+ * @returns {boolean}
+ */
+function isPickleFileLink(node) {
+    if (node.tagName !== 'A' || !node.href) return false;
+    try {
+        const url = new URL(node.href);
+        if (/\.(ckpt|pt|pth)$/i.test(url.pathname)) return true;
+        return /\.bin$/i.test(url.pathname) &&
+            (isModelHostingHost(window.location.hostname) || isModelHostingHost(url.hostname));
+    } catch (e) {
+        return false;
+    }
+}
+
+/**
+ * モデルファイル (safetensors / gguf / pickle) へのリンクか判定
+ * @param {Element} node
+ * @returns {boolean}
+ */
+function isModelFileLink(node) {
+    return node.tagName === 'A' && !!node.href &&
+        (node.href.includes('.safetensors') || node.href.includes('.gguf') || isPickleFileLink(node));
+}
+
+/**
+ * モデルファイルのリンクを種類に応じて検査
+ * @param {HTMLAnchorElement} link
+ */
+function checkModelLink(link) {
+    if (isPickleFileLink(link)) {
+        checkPickleForElement(link);
+    } else if (isModelFileLink(link)) {
+        checkMetadataForElement(link);
+    }
+}
+
 function observeGenericSafetensorsLinks() {
     // 既にObserverが作成されている場合は何もしない
     if (safetensorsObserver) {
@@ -631,11 +787,11 @@ function observeGenericSafetensorsLinks() {
 
     // 既存のsafetensorsリンクをチェック
     const checkExistingLinks = () => {
-        const safetensorsLinks = document.querySelectorAll('a[href*=".safetensors"]');
+        const safetensorsLinks = document.querySelectorAll(MODEL_LINK_SELECTOR);
         safetensorsLinks.forEach(link => {
             if (!processedImages.has(link)) {
                 debugLog('[AI Meta Viewer] Found safetensors link:', link.href);
-                checkMetadataForElement(link);
+                checkModelLink(link);
             }
         });
     };
@@ -676,19 +832,19 @@ function observeGenericSafetensorsLinks() {
             mutation.addedNodes.forEach((node) => {
                 if (node.nodeType === Node.ELEMENT_NODE) {
                     // 追加されたノード自体がsafetensorsリンクの場合
-                    if (node.tagName === 'A' && node.href && node.href.includes('.safetensors')) {
+                    if (isModelFileLink(node)) {
                         if (!processedImages.has(node)) {
                             debugLog('[AI Meta Viewer] New safetensors link detected:', node.href);
-                            checkMetadataForElement(node);
+                            checkModelLink(node);
                         }
                     }
 
                     // 追加されたノード内のsafetensorsリンクをチェック
-                    const innerLinks = node.querySelectorAll?.('a[href*=".safetensors"]');
+                    const innerLinks = node.querySelectorAll?.(MODEL_LINK_SELECTOR);
                     innerLinks?.forEach(link => {
                         if (!processedImages.has(link)) {
                             debugLog('[AI Meta Viewer] New inner safetensors link detected:', link.href);
-                            checkMetadataForElement(link);
+                            checkModelLink(link);
                         }
                     });
                 }
@@ -697,10 +853,10 @@ function observeGenericSafetensorsLinks() {
             // 削除されたノードからバッジを削除
             mutation.removedNodes.forEach((node) => {
                 if (node.nodeType === Node.ELEMENT_NODE) {
-                    if (node.tagName === 'A' && node.href && node.href.includes('.safetensors')) {
+                    if (isModelFileLink(node)) {
                         processedImages.delete(node);
                     }
-                    const innerLinks = node.querySelectorAll?.('a[href*=".safetensors"]');
+                    const innerLinks = node.querySelectorAll?.(MODEL_LINK_SELECTOR);
                     innerLinks?.forEach(link => {
                         processedImages.delete(link);
                     });
@@ -871,6 +1027,35 @@ async function checkMetadataForElement(el) {
     }
 }
 
+/**
+ * pickle 形式のモデルリンクを検査し、許可リスト外のインポートがあれば警告バッジを付ける
+ * @param {HTMLAnchorElement} el
+ */
+async function checkPickleForElement(el) {
+    if (!isExtensionContextValid()) return;
+    if (processedImages.has(el)) return;
+
+    processedImages.set(el, { processing: true });
+
+    try {
+        const response = await sendMessageToBrave({
+            action: 'scanPickle',
+            url: el.href
+        });
+
+        if (response && response.success && response.result && response.result.status === 'unsafe') {
+            processedImages.delete(el);
+            addBadgeToElement(el, { PickleScan: response.result }, el.href);
+        } else {
+            // 安全・判定不能な場合はバッジなし (結果は background でキャッシュ済み)
+            processedImages.delete(el);
+        }
+    } catch (e) {
+        console.warn('[AI Meta Viewer] Pickle scan failed:', e.message);
+        processedImages.delete(el);
+    }
+}
+
 // バッジ生成機能(addAnalyzingBadge, addBadgeToImage)などは badge_controller.js に移動しました
 
 /**
@@ -884,14 +1069,17 @@ function observeImages() {
                 checkImageMetadata(entry.target);
                 // 一度処理したら監視解除
                 intersectionObserver.unobserve(entry.target);
+            } else if (entry.isIntersecting && (entry.target.tagName === 'VIDEO' || entry.target.tagName === 'AUDIO')) {
+                checkMediaMetadata(entry.target);
+                intersectionObserver.unobserve(entry.target);
             }
         });
     }, {
         rootMargin: '50px' // 画面外50pxまで先読み
     });
 
-    // 既存の画像を監視対象に追加
-    document.querySelectorAll('img').forEach((img) => {
+    // 既存の画像・動画・音声を監視対象に追加
+    document.querySelectorAll('img, video, audio').forEach((img) => {
         intersectionObserver.observe(img);
     });
 
@@ -901,10 +1089,10 @@ function observeImages() {
 
     const processPendingNodes = () => {
         pendingNodes.forEach((node) => {
-            if (node.tagName === 'IMG') {
+            if (['IMG', 'VIDEO', 'AUDIO'].includes(node.tagName)) {
                 intersectionObserver.observe(node);
             } else {
-                node.querySelectorAll?.('img').forEach((img) => {
+                node.querySelectorAll?.('img, video, audio').forEach((img) => {
                     intersectionObserver.observe(img);
                 });
             }
@@ -951,17 +1139,17 @@ function observeImages() {
 
             mutation.removedNodes.forEach((node) => {
                 if (node.nodeType === 1) {
-                    if (node.tagName === 'IMG') {
+                    if (['IMG', 'VIDEO', 'AUDIO'].includes(node.tagName)) {
                         removeBadge(node);
                     } else {
-                        const imgs = node.querySelectorAll('img');
+                        const imgs = node.querySelectorAll('img, video, audio');
                         imgs.forEach(img => removeBadge(img));
                     }
                 }
             });
             if (mutation.type === 'attributes') {
                 const target = mutation.target;
-                if (target.tagName === 'IMG') {
+                if (['IMG', 'VIDEO', 'AUDIO'].includes(target.tagName)) {
                     if (mutation.attributeName === 'src') {
                         removeBadge(target);
                         pendingNodes.add(target);
@@ -0,0 +1,1027 @@
+// metadata_normalizer.js - 生成ツールごとのメタデータを共通スキーマに正規化
+
+/**
+ * 正規化済みメタデータのキャッシュ (同じメタデータをバッジ・モーダル・スキャナーで何度も使うため)
+ */
+const normalizedMetadataCache = new WeakMap();
+
+/**
+ * メタデータを共通スキーマに正規化
+ * 取得できない項目は文字列なら ''、それ以外は null (配列は空配列)
+ * @param {Object} metadata - parser が返す生のメタデータ
+ * @returns {{
+ *   generator: string, version: string, prompt: string, negative: string,
+ *   seed: number|string|null, steps: number|null, cfg: number|null, sampler: string, scheduler: string,
+ *   model: {name: string, hash: string}, size: {width: number, height: number}|null,
+ *   loras: Array<{name: string, weight: number|null, hash: string}>,
+ *   embeddings: Array<{name: string, weight: number|null, hash: string}>,
+ *   hires: {upscale: number|null, upscaler: string, steps: number|null, denoise: number|null}|null,
+ *   refiner: {model: string, switchAt: number|null}|null,
+ *   samplers: Array<Object>, settings: Object, raw: Object
+ * }} - samplers は ComfyUI の各サンプラーの設定 (walkComfyGraph の結果)
+ */
+function normalizeMetadata(metadata) {
+    if (!metadata || typeof metadata !== 'object') {
+        return createEmptyNormalizedMetadata({});
+    }
+    if (normalizedMetadataCache.has(metadata)) {
+        return normalizedMetadataCache.get(metadata);
+    }
+
+    const normalized = createEmptyNormalizedMetadata(metadata);
+    Object.assign(normalized, detectGeneratorInfo(metadata));
+
+    const xmp = (metadata.XMP && typeof metadata.XMP === 'object') ? metadata.XMP : {};
+    if (metadata.parameters) {
+        normalizeInfotext(metadata.parameters, normalized);
+    } else if (metadata.prompt || metadata.workflow) {
+        normalizeComfyPrompt(metadata.prompt, normalized);
+    } else if (metadata.Comment || metadata.Description) {
+        normalizeNovelAiComment(metadata, normalized);
+    }
+
+    // Midjourney のプロンプトは Description (JPEG/WebP では XMP の dc:description) にフラグ付きで入る
+    if (normalized.generator === 'Midjourney') {
+        normalizeMidjourneyDescription(metadata.Description || xmp['dc:description'] || '', normalized);
+    }
+
+    // XMP のみのファイル (Firefly, Draw Things 等) は dc:description / exif:UserComment をプロンプトとする
+    if (!normalized.prompt) {
+        normalized.prompt = xmp['dc:description'] || xmp['exif:UserComment'] || '';
+    }
+
+    // モデルファイル (Safetensors) はモデル自身の名前
+    if (!normalized.model.name) {
+        normalized.model.name = String(metadata['modelspec.title'] || metadata['ss_output_name'] || '');
+    }
+
+    normalizedMetadataCache.set(metadata, normalized);
+    return normalized;
+}
+
+/**
+ * 表示はするが、それだけでは AI 生成のメタデータとみなさないキー
+ * (カメラ・編集ソフトが書き込む Exif、JPEG の COM (著作権表記・CMS のコメント等)、音声・動画の通常のコメントタグ、解析時の警告)
+ * JPEG の COM にある infotext / ComfyUI の JSON は parser.js で parameters / prompt / workflow に振り分け済み
+ */
+const NON_AI_METADATA_KEYS = [
+    'Make', 'Model', 'DateTime', 'Artist', 'Software', 'ImageDescription', 'XPComment', 'XPKeywords',
+    'JPEGComment',
+    'comment', 'description', 'synopsis',
+    'ParseWarnings'
+];
+
+/**
+ * AI 生成を示す IPTC DigitalSourceType (trainedAlgorithmicMedia / compositeWithTrainedAlgorithmicMedia / algorithmicMedia)
+ */
+const AI_DIGITAL_SOURCE_TYPE_PATTERN = /algorithmicMedia$/i;
+
+/**
+ * AI 画像生成ツールの xmp:CreatorTool
+ */
+const AI_CREATOR_TOOL_PATTERN = /Midjourney|DALL[·\-\s]?E|Firefly|Stable Diffusion|ComfyUI|NovelAI|Draw Things|InvokeAI|Fooocus|Imagen|Ideogram|Leonardo|Krita AI|Civitai|Tensor\.art|SeaArt|Bing Image Creator|Gemini/i;
+
+/**
+ * XMP に AI 生成の情報が含まれるか判定
+ * Photoshop / Lightroom 等の書き出しでも XMP は付くため、DigitalSourceType・生成ツール名・プロンプトのいずれかがある場合のみ対象とする
+ * @param {Object} xmp - 解析済みの XMP (名前空間付きキー -> 値)
+ * @returns {boolean}
+ */
+function isAiRelevantXmp(xmp) {
+    if (!xmp || typeof xmp !== 'object') return false;
+    const text = (key) => typeof xmp[key] === 'string' ? xmp[key] : '';
+
+    if (AI_DIGITAL_SOURCE_TYPE_PATTERN.test(text('Iptc4xmpExt:DigitalSourceType').trim())) return true;
+    if (AI_CREATOR_TOOL_PATTERN.test(text('xmp:CreatorTool'))) return true;
+    // dc:description / exif:UserComment のプロンプト (Midjourney のフラグ・Job ID、A1111 形式の infotext)
+    return ['dc:description', 'exif:UserComment'].some(key => {
+        const value = text(key);
+        return /Job ID:|--(?:ar|v|seed|stylize|chaos)\s+|Steps:\s*\d/.test(value);
+    });
+}
+
+/**
+ * バッジ表示・AI 判定の対象となるメタデータを含むか判定
+ * カメラの Exif のみの画像 (Make / Model / DateTime 等) や、AI 生成の情報を含まない XMP のみの画像は対象外。
+ * ただし Exif のテキストに A1111 形式の infotext (Steps: ...) が入っている場合は対象とする
+ * @param {Object} metadata - 生のメタデータ
+ * @returns {boolean}
+ */
+function hasAiRelevantMetadata(metadata) {
+    if (!metadata || typeof metadata !== 'object') return false;
+    return Object.keys(metadata).some(key => {
+        if (key === 'XMP') return isAiRelevantXmp(metadata[key]);
+        if (!NON_AI_METADATA_KEYS.includes(key)) return true;
+        return typeof metadata[key] === 'string' && /Steps:\s*\d/.test(metadata[key]);
+    });
+}
+
+/**
+ * 空の正規化済みメタデータを作成
+ * @param {Object} raw - 元のメタデータ (正規化できない項目の参照用)
+ * @returns {Object}
+ */
+function createEmptyNormalizedMetadata(raw) {
+    return {
+        generator: '',
+        version: '',
+        prompt: '',
+        negative: '',
+        seed: null,
+        steps: null,
+        cfg: null,
+        sampler: '',
+        scheduler: '',
+        model: { name: '', hash: '' },
+        size: null,
+        loras: [],
+        embeddings: [],
+        hires: null,
+        refiner: null,
+        samplers: [],
+        settings: {},
+        raw
+    };
+}
+
+/**
+ * 生成ツールとバージョンを判別
+ * @param {Object} metadata - 生のメタデータ
+ * @returns {{generator: string, version: string}} - 例: { generator: 'NovelAI', version: 'V4.5' }
+ */
+function detectGeneratorInfo(metadata) {
+    const xmp = (metadata.XMP && typeof metadata.XMP === 'object') ? metadata.XMP : {};
+    const result = (generator, version = '') => ({ generator, version });
+
+    // Midjourney
+    // Description (JPEG/WebP の場合は XMP の dc:description) に "Job ID:" または "--v" (バージョンフラグ) が含まれている場合
+    if (metadata.Description || xmp['dc:description']) {
+        const desc = metadata.Description || xmp['dc:description'];
+
+        // Job ID の存在チェック（最も確実）
+        // Midjourneyパラメータの存在チェック（--ar, --profile など）
+        if (desc.includes('Job ID:') || desc.match(/--(?:ar|v|profile|chaos|quality|style|stylize|weird|tile|no|stop|video|seed|sref|cref)\s+/)) {
+            // バージョン抽出 (例: "--v 7" -> "V7")
+            const versionMatch = desc.match(/--v\s+(\d+(?:\.\d+)?)/);
+            return result('Midjourney', versionMatch ? `V${versionMatch[1]}` : '');
+        }
+    }
+
+    // NovelAI
+    // Comment キーが存在する、または Description に NovelAI 特有のパターンがある場合
+    if (metadata.Comment) {
+        let version = '';
+        try {
+            const json = JSON.parse(metadata.Comment);
+            // inputフィールドなどからバージョンを探すヒューリスティック
+            // 例: "NovelAI Diffusion V4.5 1229B44F"
+            const match = JSON.stringify(json).match(/NovelAI Diffusion V([\d.]+)/);
+            if (match) {
+                version = `V${match[1]}`;
+            }
+        } catch (e) { }
+        return result('NovelAI', version);
+    }
+
+    // Description のみでは NovelAI と判定しない（Midjourneyと区別するため）
+    // ただし、Description に "NovelAI" という文字列が含まれている場合は例外
+    if (metadata.Description && metadata.Description.includes('NovelAI')) {
+        return result('NovelAI');
+    }
+
+    // Tensor.art
+    // generation_dataキーがあり、かつprompt内にECHOCheckpointLoaderSimpleがある場合
+    if (metadata.generation_data && metadata.prompt && metadata.prompt.includes('ECHOCheckpointLoaderSimple')) {
+        return result('Tensor.art');
+    }
+
+    // ComfyUI
+    // workflowまたはgeneration_dataキーが存在する場合（Tensor.artでない場合）
+    // または parameters 内に ComfyUI という文字列が含まれている場合
+    if (metadata.workflow || metadata.generation_data || (metadata.parameters && metadata.parameters.includes('ComfyUI'))) {
+        return result('ComfyUI');
+    }
+    // workflow を含まない保存ノードでも prompt が ComfyUI のノードグラフ (class_type を持つ) なら ComfyUI
+    if (metadata.prompt && !metadata.parameters) {
+        const graph = parseComfyPrompt(metadata.prompt);
+        if (graph && Object.values(graph).some(node => node && typeof node.class_type === 'string')) {
+            return result('ComfyUI');
+        }
+    }
+
+    // Civitai
+    // parameters内に「Civitai metadata」がある、または Version: v... がある場合
+    if (metadata.parameters) {
+        if (metadata.parameters.includes('Civitai metadata')) {
+            return result('Civitai');
+        }
+        // Version: v1.10.xxxxx などのパターンを検出 (Civitai生成画像の特徴)
+        if (metadata.parameters.match(/Version:\s*v1\.10\./)) {
+            return result('Civitai');
+        }
+    }
+
+    // C2PA (Content Credentials) のみのファイル (DALL·E, Firefly 等) はクレーム生成ツール名を表示
+    if (!metadata.parameters && metadata.C2PA && metadata.C2PA.claimGenerator) {
+        return result(metadata.C2PA.claimGenerator);
+    }
+
+    // pickle 検査結果 (危険なインポートがある場合のみ "Unsafe")
+    if (metadata.PickleScan && typeof metadata.PickleScan === 'object') {
+        if (metadata.PickleScan.status === 'unsafe') {
+            const unsafeCount = (metadata.PickleScan.imports || []).filter(entry => !entry.safe).length;
+            return result(`Unsafe pickle (${unsafeCount} import${unsafeCount === 1 ? '' : 's'} outside allowlist)`);
+        }
+        return result(metadata.PickleScan.status === 'safe' ? 'Pickle (allowlisted imports only)' : 'Pickle (not scanned)');
+    }
+
+    // GGUF はアーキテクチャと量子化 (例: "GGUF llama Q4_K_M")
+    if (!metadata.parameters && metadata.GGUF && typeof metadata.GGUF === 'object') {
+        return result(['GGUF', metadata.GGUF.architecture, metadata.GGUF.quantization].filter(Boolean).join(' '));
+    }
+
+    // ModelSpec のあるモデルはタイトル (なければアーキテクチャ) を表示
+    if (!metadata.parameters && (metadata['modelspec.title'] || metadata['modelspec.architecture'])) {
+        return result(String(metadata['modelspec.title'] || metadata['modelspec.architecture']));
+    }
+
+    // メタデータのない Safetensors はテンソル解析結果 (例: "SDXL LoRA") を表示
+    if (!metadata.parameters && metadata.ModelAnalysis) {
+        const { architecture, modelType } = metadata.ModelAnalysis;
+        return result([architecture, modelType].filter(v => v && v !== 'Unknown').join(' ') || 'Safetensors');
+    }
+
+    // XMP のみのファイル (Adobe Firefly, Draw Things 等) は CreatorTool をそのまま表示
+    if (!metadata.parameters && xmp['xmp:CreatorTool']) {
+        return result(xmp['xmp:CreatorTool']);
+    }
+
+    // Stable Diffusion WebUI (デフォルト)
+    // Forge は "Version: f2.0.1v1.10.1-..." のように f で始まるバージョンを書き込む
+    const versionMatch = metadata.parameters && metadata.parameters.match(/(?:^|,\s*)Version:\s*([^,\n]+)/);
+    if (versionMatch && /^f\d/.test(versionMatch[1])) {
+        return result('Stable Diffusion WebUI Forge', versionMatch[1].match(/^f[\d.]*\d/)[0]);
+    }
+    return result('Stable Diffusion WebUI', versionMatch ? versionMatch[1].trim() : '');
+}
+
+/**
+ * 生成ツールを判別
+ * @param {Object} metadata - 生のメタデータ
+ * @returns {string} - ツール名とバージョン（例: "NovelAI V4.5", "ComfyUI", "Civitai", "Stable Diffusion WebUI v1.10.1"）
+ */
+function detectGenerator(metadata) {
+    const { generator, version } = detectGeneratorInfo(metadata);
+    return version ? `${generator} ${version}` : generator;
+}
+
+/**
+ * 設定行の後に複数行で続くセクションのキー (Dynamic Prompts 拡張の Template / Negative Template)
+ */
+const INFOTEXT_MULTILINE_KEYS = ['Template', 'Negative Template'];
+
+/**
+ * A1111 形式の infotext をプロンプト・ネガティブプロンプト・設定行に分割
+ * 設定行は行頭が "Steps:" の行 (プロンプト中の "Steps:" で誤分割しないよう行頭のみ見る)。
+ * 設定行の後に続く Template: / Negative Template: セクションも設定行に含める
+ * @param {string} text - parameters の値
+ * @returns {{prompt: string, negative: string, settingsText: string}}
+ */
+function splitInfotext(text) {
+    const lines = String(text).trim().split('\n');
+    const isSettingsLine = (line) => /^Steps:\s*\d/.test(line.trim());
+    const isTemplateLine = (line) => INFOTEXT_MULTILINE_KEYS.some(key => line.startsWith(`${key}:`));
+
+    // Template セクション (中身は複数行のプロンプト) より上にある最後の設定行を採用
+    const firstSettingsIndex = lines.findIndex(isSettingsLine);
+    let settingsIndex = -1;
+    if (firstSettingsIndex !== -1) {
+        const templateIndex = lines.findIndex((line, i) => i > firstSettingsIndex && isTemplateLine(line));
+        const searchEnd = templateIndex === -1 ? lines.length : templateIndex;
+        for (let i = searchEnd - 1; i >= firstSettingsIndex; i--) {
+            if (isSettingsLine(lines[i])) {
+                settingsIndex = i;
+                break;
+            }
+        }
+    }
+    const settingsText = settingsIndex === -1 ? '' : lines.slice(settingsIndex).join('\n').trim();
+    const promptLines = settingsIndex === -1 ? lines : lines.slice(0, settingsIndex);
+
+    const negativeIndex = promptLines.findIndex(line => line.startsWith('Negative prompt:'));
+    if (negativeIndex === -1) {
+        return { prompt: promptLines.join('\n').trim(), negative: '', settingsText };
+    }
+    const negativeLines = promptLines.slice(negativeIndex);
+    negativeLines[0] = negativeLines[0].substring('Negative prompt:'.length);
+    return {
+        prompt: promptLines.slice(0, negativeIndex).join('\n').trim(),
+        negative: negativeLines.join('\n').trim(),
+        settingsText
+    };
+}
+
+/**
+ * ダブルクォートで始まる値の終端 (閉じクォートの次の位置) を探す
+ * @param {string} text
+ * @param {number} start - 開きクォートの位置
+ * @returns {number} - 閉じられていない場合は -1
+ */
+function findInfotextQuoteEnd(text, start) {
+    for (let i = start + 1; i < text.length; i++) {
+        if (text[i] === '\\') {
+            i++;
+        } else if (text[i] === '"') {
+            return i + 1;
+        }
+    }
+    return -1;
+}
+
+/**
+ * { または [ で始まる JSON 値の終端 (対応する括弧の次の位置) を探す
+ * @param {string} text
+ * @param {number} start - 開き括弧の位置
+ * @returns {number} - 括弧が閉じられていない場合は -1
+ */
+function findInfotextBracketEnd(text, start) {
+    let depth = 0;
+    for (let i = start; i < text.length; i++) {
+        const char = text[i];
+        if (char === '"') {
+            const end = findInfotextQuoteEnd(text, i);
+            if (end === -1) return -1;
+            i = end - 1;
+        } else if (char === '{' || char === '[') {
+            depth++;
+        } else if (char === '}' || char === ']') {
+            depth--;
+            if (depth === 0) return i + 1;
+        }
+    }
+    return -1;
+}
+
+/**
+ * infotext の設定行を key/value の並びに分解
+ * - "key: value" をカンマ区切りで読む (値の中のコロンはそのまま)
+ * - ダブルクォートで囲まれた値はカンマ・改行・エスケープを含められる (ADetailer prompt, Lora hashes 等)
+ * - { / [ で始まる値は JSON として括弧の対応まで読む (Hashes, Civitai resources 等)
+ * - Template: / Negative Template: は次のセクションまでの複数行を値とする
+ * @param {string} settingsText - splitInfotext の settingsText
+ * @returns {Array<{key: string, value: string|Object}>} - 出現順
+ */
+function tokenizeInfotextSettings(settingsText) {
+    const text = String(settingsText || '');
+    const entries = [];
+    let pos = 0;
+
+    while (pos < text.length) {
+        // 区切り (カンマ・空白・改行) を読み飛ばす
+        while (pos < text.length && /[\s,]/.test(text[pos])) pos++;
+        if (pos >= text.length) break;
+
+        // キー (次のコロンまで)。カンマや改行を含む場合は値のない断片なので読み飛ばす
+        const colon = text.indexOf(':', pos);
+        const key = colon === -1 ? '' : text.substring(pos, colon).trim();
+        if (!key || /[,\n"]/.test(key)) {
+            const next = text.slice(pos).search(/[,\n]/);
+            if (next === -1) break;
+            pos += next + 1;
+            continue;
+        }
+        pos = colon + 1;
+        while (text[pos] === ' ' || text[pos] === '\t') pos++;
+
+        let value = null;
+        if (INFOTEXT_MULTILINE_KEYS.includes(key)) {
+            const nextSection = key === 'Template' ? text.indexOf('\nNegative Template:', pos) : -1;
+            const end = nextSection === -1 ? text.length : nextSection;
+            value = text.substring(pos, end).trim();
+            pos = end;
+        } else if (text[pos] === '"') {
+            const end = findInfotextQuoteEnd(text, pos);
+            const raw = text.substring(pos, end === -1 ? text.length : end);
+            try {
+                value = JSON.parse(raw);
+            } catch (e) {
+                value = raw.replace(/^"|"$/g, '');
+            }
+            pos = end === -1 ? text.length : end;
+        } else if (text[pos] === '{' || text[pos] === '[') {
+            const end = findInfotextBracketEnd(text, pos);
+            if (end !== -1) {
+                try {
+                    value = JSON.parse(text.substring(pos, end));
+                    pos = end;
+                } catch (e) {
+                    value = null; // JSON でなければ通常の値として読む
+                }
+            }
+        }
+
+        if (value === null) {
+            let end = pos;
+            while (end < text.length && text[end] !== ',' && text[end] !== '\n') end++;
+            value = text.substring(pos, end).trim();
+            pos = end;
+        }
+        entries.push({ key, value });
+    }
+    return entries;
+}
+
+/**
+ * infotext の設定行をオブジェクトに変換 (同じキーが複数ある場合は後のものを採用)
+ * @param {string} settingsText - splitInfotext の settingsText
+ * @returns {Object} - { 'Steps': '20', 'Sampler': 'Euler a', 'Hashes': { model: '...' }, ... }
+ */
+function parseInfotextSettings(settingsText) {
+    const settings = {};
+    for (const { key, value } of tokenizeInfotextSettings(settingsText)) {
+        settings[key] = value;
+    }
+    return settings;
+}
+
+/**
+ * 数値に変換 (変換できない場合は null)
+ * @param {*} value
+ * @returns {number|null}
+ */
+function toNormalizedNumber(value) {
+    if (value === undefined || value === null || value === '') return null;
+    const number = Number(value);
+    return Number.isFinite(number) ? number : null;
+}
+
+/**
+ * 文字列に変換 (JSON 値など文字列でないものは '')
+ * @param {*} value
+ * @returns {string}
+ */
+function toNormalizedText(value) {
+    return typeof value === 'string' ? value : (typeof value === 'number' ? String(value) : '');
+}
+
+/**
+ * シード値に変換 (安全な整数を超える ComfyUI のシードは文字列のまま保持)
+ * @param {*} value
+ * @returns {number|string|null}
+ */
+function toNormalizedSeed(value) {
+    if (value === undefined || value === null || value === '') return null;
+    const number = Number(value);
+    if (Number.isSafeInteger(number)) return number;
+    return /^\d+$/.test(String(value).trim()) ? String(value).trim() : null;
+}
+
+/**
+ * "name: hash, name2: hash2" 形式 (Lora hashes / TI hashes) を Map に変換
+ * @param {string} text
+ * @returns {Map<string, string>}
+ */
+function parseNameHashList(text) {
+    const hashes = new Map();
+    if (typeof text !== 'string') return hashes;
+    for (const part of String(text).split(',')) {
+        const separator = part.lastIndexOf(':');
+        if (separator === -1) continue;
+        const name = part.substring(0, separator).trim();
+        if (name) hashes.set(name, part.substring(separator + 1).trim());
+    }
+    return hashes;
+}
+
+/**
+ * A1111 / Forge / Civitai の infotext を正規化
+ * @param {string} text - parameters の値
+ * @param {Object} normalized - 書き込み先
+ */
+function normalizeInfotext(text, normalized) {
+    const { prompt, negative, settingsText } = splitInfotext(text);
+    const settings = parseInfotextSettings(settingsText);
+
+    normalized.prompt = prompt;
+    normalized.negative = negative;
+    normalized.settings = settings;
+    normalized.seed = toNormalizedSeed(settings['Seed']);
+    normalized.steps = toNormalizedNumber(settings['Steps']);
+    normalized.cfg = toNormalizedNumber(settings['CFG scale']);
+    normalized.sampler = toNormalizedText(settings['Sampler']);
+    normalized.scheduler = toNormalizedText(settings['Schedule type']);
+    normalized.model = { name: toNormalizedText(settings['Model']), hash: toNormalizedText(settings['Model hash']) };
+
+    const sizeMatch = /^(\d+)x(\d+)$/.exec(toNormalizedText(settings['Size']));
+    if (sizeMatch) {
+        normalized.size = { width: Number(sizeMatch[1]), height: Number(sizeMatch[2]) };
+    }
+
+    // LoRA: プロンプト中の <lora:name:weight> (LyCORIS の <lyco:...> も) と "Lora hashes"
+    const loraHashes = parseNameHashList(settings['Lora hashes']);
+    const loraRegex = /<(?:lora|lyco):([^:>]+)(?::([^:>]+))?[^>]*>/gi;
+    let match;
+    while ((match = loraRegex.exec(prompt)) !== null) {
+        const name = match[1].trim();
+        if (normalized.loras.some(lora => lora.name === name)) continue;
+        normalized.loras.push({ name, weight: toNormalizedNumber(match[2] === undefined ? 1 : match[2]), hash: loraHashes.get(name) || '' });
+    }
+    for (const [name, hash] of loraHashes) {
+        if (!normalized.loras.some(lora => lora.name === name)) {
+            normalized.loras.push({ name, weight: null, hash });
+        }
+    }
+
+    // Textual Inversion (埋め込み) は "TI hashes" のみ (プロンプト中では通常の単語と区別できない)
+    for (const [name, hash] of parseNameHashList(settings['TI hashes'])) {
+        normalized.embeddings.push({ name, weight: null, hash });
+    }
+
+    // Civitai 等の "Hashes" (JSON): { "model": ..., "lora:name": ..., "embed:name": ... }
+    const hashes = settings['Hashes'];
+    if (hashes && typeof hashes === 'object' && !Array.isArray(hashes)) {
+        for (const [hashKey, hash] of Object.entries(hashes)) {
+            if (typeof hash !== 'string') continue;
+            if (hashKey === 'model') {
+                normalized.model.hash = normalized.model.hash || hash;
+                continue;
+            }
+            const [type, ...nameParts] = hashKey.split(':');
+            const name = nameParts.join(':');
+            const list = type === 'lora' ? normalized.loras : (type === 'embed' ? normalized.embeddings : null);
+            if (!list || !name) continue;
+            const existing = list.find(entry => entry.name === name);
+            if (existing) {
+                existing.hash = existing.hash || hash;
+            } else {
+                list.push({ name, weight: null, hash });
+            }
+        }
+    }
+
+    if (settings['Hires upscale'] || settings['Hires upscaler'] || settings['Hires steps']) {
+        normalized.hires = {
+            upscale: toNormalizedNumber(settings['Hires upscale']),
+            upscaler: toNormalizedText(settings['Hires upscaler']),
+            steps: toNormalizedNumber(settings['Hires steps']),
+            denoise: toNormalizedNumber(settings['Denoising strength'])
+        };
+    }
+
+    if (settings['Refiner']) {
+        normalized.refiner = {
+            model: toNormalizedText(settings['Refiner']),
+            switchAt: toNormalizedNumber(settings['Refiner switch at'])
+        };
+    }
+}
+
+/**
+ * ComfyUI のサンプラーノードの class_type
+ * (KSampler / KSamplerAdvanced / SamplerCustom / SamplerCustomAdvanced と、同じ入力を持つ派生ノード)
+ */
+const COMFY_SAMPLER_PATTERN = /^KSampler(?!Select)|^SamplerCustom(?:Advanced)?$/;
+
+/**
+ * テキストエンコードノードでプロンプトが入る入力名
+ * (CLIPTextEncode: text, SDXL: text_g / text_l, Flux / SD3: clip_l / clip_g / t5xxl)
+ */
+const COMFY_TEXT_INPUT_KEYS = ['text', 'text_g', 'text_l', 't5xxl', 'clip_l', 'clip_g', 'prompt'];
+
+/**
+ * リンク先を辿るときの最大の深さ (循環や巨大なグラフ対策)
+ */
+const COMFY_MAX_WALK_DEPTH = 32;
+
+/**
+ * ComfyUI の prompt (API 形式のノードグラフ) を JSON として読む
+ * 安全な整数を超えるシードは精度が落ちないよう文字列として読む
+ * @param {string} promptText - prompt の値 (JSON 文字列)
+ * @returns {Object|null} - { ノードID: { class_type, inputs } }
+ */
+function parseComfyPrompt(promptText) {
+    if (typeof promptText !== 'string') return null;
+    try {
+        const graph = JSON.parse(promptText.replace(/("(?:seed|noise_seed)"\s*:\s*)(\d{16,})(?=\s*[,}])/g, '$1"$2"'));
+        return graph && typeof graph === 'object' && !Array.isArray(graph) ? graph : null;
+    } catch (e) {
+        return null;
+    }
+}
+
+/**
+ * ComfyUI のノードグラフを各サンプラーから辿り、実際に使われた生成設定を取り出す
+ * conditioning のリンクをテキストエンコードノードまで遡ってポジティブ / ネガティブを得て、
+ * モデル入力を LoRA ローダーの連鎖ごとチェックポイントまで、潜在画像を空の潜在画像 (または前段のサンプラー) まで辿る
+ * @param {Object} graph - parseComfyPrompt の結果
+ * @returns {Array<{
+ *   id: string, type: string, positive: string, negative: string,
+ *   seed: number|string|null, steps: number|null, cfg: number|null, guidance: number|null,
+ *   sampler: string, scheduler: string, denoise: number|null,
+ *   model: string, loras: Array<{name: string, weight: number|null, hash: string}>,
+ *   size: {width: number, height: number}|null, stage: number
+ * }>} - 生成順 (前段のサンプラーが先) に並べたサンプラー
+ */
+function walkComfyGraph(graph) {
+    if (!graph || typeof graph !== 'object') return [];
+
+    const isLink = (value) => Array.isArray(value) && value.length === 2 && Object.prototype.hasOwnProperty.call(graph, String(value[0]));
+    const nodeAt = (link) => {
+        const node = isLink(link) ? graph[String(link[0])] : null;
+        return node && typeof node === 'object' && node.inputs && typeof node.inputs === 'object' ? node : null;
+    };
+    const classOf = (node) => (node && typeof node.class_type === 'string') ? node.class_type : '';
+
+    // 入力値を解決 (プリミティブ・シード・文字列ノード等へのリンクは、その値を読む)
+    const resolveValue = (value, key, depth = 0) => {
+        if (!isLink(value)) return value;
+        const node = nodeAt(value);
+        if (!node || depth > COMFY_MAX_WALK_DEPTH) return undefined;
+        const inputs = node.inputs;
+        const candidate = [key, 'value', 'seed', 'noise_seed', 'int', 'float', 'number', 'string', 'text']
+            .find(name => inputs[name] !== undefined);
+        return candidate ? resolveValue(inputs[candidate], key, depth + 1) : undefined;
+    };
+
+    // テキスト入力を解決 (文字列の連結ノードは string_a / string_b 等を順に結合)
+    const resolveText = (value, depth = 0) => {
+        if (typeof value === 'string') return value;
+        const node = nodeAt(value);
+        if (!node || depth > COMFY_MAX_WALK_DEPTH) return '';
+        const inputs = node.inputs;
+        const direct = ['text', 'string', 'value', 'prompt', 'populated_text', 'wildcard_text'].find(name => inputs[name] !== undefined);
+        if (direct) return resolveText(inputs[direct], depth + 1);
+        const parts = Object.keys(inputs)
+            .filter(name => /^(?:string|text)_?(?:[a-z]|\d+)$/.test(name))
+            .map(name => resolveText(inputs[name], depth + 1))
+            .filter(Boolean);
+        const delimiter = typeof inputs.delimiter === 'string' ? inputs.delimiter : ' ';
+        return parts.join(delimiter);
+    };
+
+    // conditioning を遡ってテキストエンコードノードのテキストを集める
+    // ControlNet 等ポジティブ・ネガティブを両方通すノードは、出力番号 (0: positive, 1: negative) で辿る入力を選ぶ
+    const collectConditioning = (link, found, visited = new Set(), depth = 0) => {
+        const node = nodeAt(link);
+        if (!node || visited.has(node) || depth > COMFY_MAX_WALK_DEPTH) return;
+        visited.add(node);
+        const inputs = node.inputs;
+
+        if (found.guidance === null && typeof inputs.guidance === 'number') {
+            found.guidance = inputs.guidance;
+        }
+
+        const textKeys = COMFY_TEXT_INPUT_KEYS.filter(key => inputs[key] !== undefined);
+        if (textKeys.length > 0 && (/TextEncode|Prompt/i.test(classOf(node)) || inputs.clip !== undefined)) {
+            for (const key of textKeys) {
+                const text = resolveText(inputs[key]).trim();
+                if (text && !found.texts.includes(text)) found.texts.push(text);
+            }
+            return;
+        }
+
+        if (inputs.positive !== undefined && inputs.negative !== undefined) {
+            collectConditioning(link[1] === 1 ? inputs.negative : inputs.positive, found, visited, depth + 1);
+            return;
+        }
+        for (const [key, value] of Object.entries(inputs)) {
+            if (/^(?:conditioning|cond)\w*$/i.test(key) && isLink(value)) {
+                collectConditioning(value, found, visited, depth + 1);
+            }
+        }
+    };
+    const conditioningText = (link, guidance = null) => {
+        const found = { texts: [], guidance };
+        collectConditioning(link, found);
+        return found;
+    };
+
+    // モデル入力を LoRA ローダー経由でチェックポイント / UNet まで辿る
+    const walkModel = (link) => {
+        const result = { model: '', loras: [] };
+        const visited = new Set();
+        let node = nodeAt(link);
+        while (node && !visited.has(node) && visited.size <= COMFY_MAX_WALK_DEPTH) {
+            visited.add(node);
+            const inputs = node.inputs;
+            if (typeof inputs.lora_name === 'string') {
+                result.loras.push({ name: inputs.lora_name, weight: toNormalizedNumber(resolveValue(inputs.strength_model, 'strength_model')), hash: '' });
+            }
+            // rgthree Power Lora Loader 等: lora_1: { on, lora, strength }
+            for (const value of Object.values(inputs)) {
+                if (value && typeof value === 'object' && !Array.isArray(value) && typeof value.lora === 'string' && value.on !== false) {
+                    result.loras.push({ name: value.lora, weight: toNormalizedNumber(value.strength), hash: '' });
+                }
+            }
+            const modelName = [inputs.ckpt_name, inputs.unet_name, inputs.model_name].find(value => typeof value === 'string');
+            if (modelName) {
+                result.model = modelName;
+                break;
+            }
+            node = nodeAt(inputs.model);
+        }
+        // 生成時の適用順 (チェックポイントに近いものが先)
+        result.loras.reverse();
+        return result;
+    };
+
+    // サンプラーノードごとの設定を読む
+    const samplerIds = Object.keys(graph).filter(id => {
+        const node = graph[id];
+        return node && node.inputs && COMFY_SAMPLER_PATTERN.test(classOf(node));
+    });
+    const samplerIdSet = new Set(samplerIds);
+
+    // 潜在画像を遡って出力サイズと前段のサンプラーを得る
+    // (LatentUpscaleBy 等の倍率は scale に掛け合わせ、前段のサンプラーのサイズに適用する)
+    const walkLatent = (link, depth = 0) => {
+        const node = nodeAt(link);
+        if (!node || depth > COMFY_MAX_WALK_DEPTH) return { size: null, previous: null, scale: 1 };
+        const inputs = node.inputs;
+        if (samplerIdSet.has(String(link[0]))) {
+            return { size: null, previous: String(link[0]), scale: 1 };
+        }
+        const width = toNormalizedNumber(resolveValue(inputs.width, 'width'));
+        const height = toNormalizedNumber(resolveValue(inputs.height, 'height'));
+        const upstreamLink = [inputs.samples, inputs.latent_image, inputs.latent].find(isLink);
+        const upstream = upstreamLink ? walkLatent(upstreamLink, depth + 1) : { size: null, previous: null, scale: 1 };
+        if (width && height) {
+            return { size: { width, height }, previous: upstream.previous, scale: 1 };
+        }
+        const scaleBy = toNormalizedNumber(resolveValue(inputs.scale_by, 'scale_by'));
+        if (scaleBy) {
+            const size = upstream.size && { width: Math.round(upstream.size.width * scaleBy), height: Math.round(upstream.size.height * scaleBy) };
+            return { size, previous: upstream.previous, scale: upstream.scale * scaleBy };
+        }
+        return upstream;
+    };
+
+    const samplers = samplerIds.map(id => {
+        const node = graph[id];
+        const inputs = node.inputs;
+        const type = classOf(node);
+
+        // SamplerCustomAdvanced は guider / noise / sampler / sigmas を別ノードで受け取る
+        const guider = nodeAt(inputs.guider);
+        const guiderInputs = guider ? guider.inputs : {};
+        const samplerSelect = nodeAt(inputs.sampler);
+        const sigmas = nodeAt(inputs.sigmas);
+        const noise = nodeAt(inputs.noise);
+
+        const positiveLink = [inputs.positive, guiderInputs.positive, guiderInputs.conditioning, guiderInputs.cond1].find(isLink);
+        const negativeLink = [inputs.negative, guiderInputs.negative].find(isLink);
+        const positive = conditioningText(positiveLink);
+        if (isLink(guiderInputs.cond2)) {
+            conditioningText(guiderInputs.cond2).texts.forEach(text => {
+                if (!positive.texts.includes(text)) positive.texts.push(text);
+            });
+        }
+        const negative = conditioningText(negativeLink);
+
+        const seedValue = [inputs.seed, inputs.noise_seed, noise && noise.inputs.noise_seed].find(value => value !== undefined);
+        const samplerName = resolveValue(inputs.sampler_name !== undefined ? inputs.sampler_name : samplerSelect && samplerSelect.inputs.sampler_name, 'sampler_name');
+        const schedulerName = resolveValue(inputs.scheduler !== undefined ? inputs.scheduler : sigmas && sigmas.inputs.scheduler, 'scheduler');
+        const cfgValue = [inputs.cfg, guiderInputs.cfg, guiderInputs.cfg_conds].find(value => value !== undefined);
+        const modelInfo = walkModel([inputs.model, guiderInputs.model, sigmas && sigmas.inputs.model].find(isLink));
+        const latent = walkLatent(inputs.latent_image);
+
+        return {
+            id,
+            type,
+            positive: positive.texts.join('\n'),
+            negative: negative.texts.join('\n'),
+            seed: toNormalizedSeed(resolveValue(seedValue, 'seed')),
+            steps: toNormalizedNumber(resolveValue(inputs.steps !== undefined ? inputs.steps : sigmas && sigmas.inputs.steps, 'steps')),
+            cfg: toNormalizedNumber(resolveValue(cfgValue, 'cfg')),
+            guidance: positive.guidance,
+            // KSamplerSelect 以外のサンプラーノード (SamplerEulerAncestral 等) はクラス名から
+            sampler: toNormalizedText(samplerName) || (samplerSelect ? classOf(samplerSelect).replace(/^Sampler/, '') : ''),
+            scheduler: toNormalizedText(schedulerName) || (sigmas ? classOf(sigmas).replace(/Scheduler$/, '') : ''),
+            denoise: toNormalizedNumber(resolveValue(inputs.denoise !== undefined ? inputs.denoise : sigmas && sigmas.inputs.denoise, 'denoise')),
+            model: modelInfo.model,
+            loras: modelInfo.loras,
+            size: latent.size,
+            previous: latent.previous,
+            scale: latent.scale,
+            stage: 0
+        };
+    });
+
+    // 前段のサンプラーの数を段数として、生成順に並べる (同じ段はノード ID 順)
+    const byId = new Map(samplers.map(sampler => [sampler.id, sampler]));
+    for (const sampler of samplers) {
+        const visited = new Set([sampler.id]);
+        let previous = byId.get(sampler.previous);
+        while (previous && !visited.has(previous.id)) {
+            visited.add(previous.id);
+            sampler.stage++;
+            previous = byId.get(previous.previous);
+        }
+    }
+    samplers.sort((a, b) => a.stage - b.stage || Number(a.id) - Number(b.id) || a.id.localeCompare(b.id));
+
+    // 前段から引き継ぐ潜在画像はサイズも (拡大倍率を掛けて) 引き継ぐ
+    for (const sampler of samplers) {
+        const previous = byId.get(sampler.previous);
+        if (!sampler.size && previous && previous.size) {
+            sampler.size = {
+                width: Math.round(previous.size.width * sampler.scale),
+                height: Math.round(previous.size.height * sampler.scale)
+            };
+        }
+    }
+    return samplers.map(({ previous, scale, ...sampler }) => sampler);
+}
+
+/**
+ * ComfyUI の prompt (API 形式のノードグラフ) を正規化
+ * 最初の段のサンプラーのプロンプト・設定を代表とし、出力サイズは最後の段のサンプラーから取る
+ * @param {string} promptText - prompt の値 (JSON 文字列)
+ * @param {Object} normalized - 書き込み先
+ */
+function normalizeComfyPrompt(promptText, normalized) {
+    const samplers = walkComfyGraph(parseComfyPrompt(promptText));
+    if (samplers.length === 0) return;
+
+    const first = samplers[0];
+    const last = samplers[samplers.length - 1];
+    normalized.samplers = samplers;
+    normalized.prompt = first.positive;
+    normalized.negative = first.negative;
+    normalized.seed = first.seed;
+    normalized.steps = first.steps;
+    normalized.cfg = first.cfg !== null ? first.cfg : first.guidance;
+    normalized.sampler = first.sampler;
+    normalized.scheduler = first.scheduler;
+    normalized.model.name = first.model;
+    normalized.size = last.size || first.size;
+
+    // 全サンプラーの LoRA (同じ LoRA は 1 回だけ)
+    for (const lora of samplers.flatMap(sampler => sampler.loras)) {
+        if (!normalized.loras.some(existing => existing.name === lora.name)) {
+            normalized.loras.push(lora);
+        }
+    }
+
+    // 後段のサンプラーは、別のモデルなら Refiner、同じモデルなら Hires fix 相当 (潜在画像の拡大 + 再サンプリング)
+    if (last !== first && last.stage > 0) {
+        if (last.model && last.model !== first.model) {
+            normalized.refiner = { model: last.model, switchAt: null };
+        } else {
+            normalized.hires = {
+                upscale: first.size && last.size ? Math.round(last.size.width / first.size.width * 100) / 100 : null,
+                upscaler: '',
+                steps: last.steps,
+                denoise: last.denoise
+            };
+        }
+    }
+}
+
+/**
+ * ComfyUI のサンプラー 1 つ分の設定を行単位のテキストにする
+ * @param {Object} sampler - walkComfyGraph の要素
+ * @returns {string}
+ */
+function formatComfySamplerSummary(sampler) {
+    const lines = [`${sampler.type} #${sampler.id}`];
+    const add = (label, value) => {
+        if (value !== null && value !== undefined && value !== '') lines.push(`${label}: ${value}`);
+    };
+    add('Model', sampler.model);
+    add('LoRAs', sampler.loras.map(lora => lora.weight === null ? lora.name : `${lora.name} (${lora.weight})`).join(', '));
+    add('Seed', sampler.seed);
+    add('Steps', sampler.steps);
+    add('CFG', sampler.cfg);
+    add('Guidance', sampler.guidance);
+    add('Sampler', [sampler.sampler, sampler.scheduler].filter(Boolean).join(' / '));
+    add('Denoise', sampler.denoise);
+    add('Size', sampler.size && `${sampler.size.width}x${sampler.size.height}`);
+    return lines.join('\n');
+}
+
+/**
+ * NovelAI の Comment (生成パラメータの JSON) を正規化
+ * @param {Object} metadata - 生のメタデータ
+ * @param {Object} normalized - 書き込み先
+ */
+function normalizeNovelAiComment(metadata, normalized) {
+    normalized.prompt = metadata.Description || '';
+    normalized.model.name = metadata.Source || '';
+
+    let comment;
+    try {
+        comment = JSON.parse(metadata.Comment);
+    } catch (e) {
+        return;
+    }
+    if (!comment || typeof comment !== 'object') return;
+
+    // V4 以降はキャプション構造 (v4_prompt.caption.base_caption) にも入る
+    const caption = (key) => comment[key] && comment[key].caption && comment[key].caption.base_caption;
+    normalized.prompt = normalized.prompt || comment.prompt || caption('v4_prompt') || '';
+    // 優先度1: "uc" キー (Undesired Content)、優先度2: "negative" を含むキー
+    const negativeKey = comment.uc ? 'uc' : Object.keys(comment).find(key => key.includes('negative'));
+    const negativeValue = negativeKey ? comment[negativeKey] : '';
+    if (typeof negativeValue === 'string') {
+        normalized.negative = negativeValue;
+    } else if (negativeValue && typeof negativeValue === 'object') {
+        // v4_negative_prompt: { caption: { base_caption: "..." } }、構造が不明な場合はJSON文字列化
+        normalized.negative = (negativeValue.caption && negativeValue.caption.base_caption) || JSON.stringify(negativeValue, null, 2);
+    }
+    normalized.seed = toNormalizedSeed(comment.seed);
+    normalized.steps = toNormalizedNumber(comment.steps);
+    normalized.cfg = toNormalizedNumber(comment.scale);
+    normalized.sampler = comment.sampler || '';
+    normalized.scheduler = comment.noise_schedule || '';
+    if (typeof comment.width === 'number' && typeof comment.height === 'number') {
+        normalized.size = { width: comment.width, height: comment.height };
+    }
+}
+
+/**
+ * Midjourney の Description ("prompt --ar 16:9 --v 7 Job ID: ...") を正規化
+ * @param {string} description
+ * @param {Object} normalized - 書き込み先
+ */
+function normalizeMidjourneyDescription(description, normalized) {
+    const flagIndex = description.search(/\s--\w/);
+    const jobIndex = description.indexOf('Job ID:');
+    const end = [flagIndex, jobIndex].filter(index => index !== -1);
+    normalized.prompt = (end.length ? description.substring(0, Math.min(...end)) : description).trim();
+
+    const seedMatch = description.match(/--seed\s+(\d+)/);
+    if (seedMatch) normalized.seed = toNormalizedSeed(seedMatch[1]);
+}
+
+/**
+ * 正規化済みメタデータの要約 (モデル・シード・サンプラー等) を行単位のテキストにする
+ * @param {Object} normalized - normalizeMetadata の結果
+ * @returns {string} - 表示する項目がない場合は ''
+ */
+function formatNormalizedSummary(normalized) {
+    const lines = [];
+    const add = (label, value) => {
+        if (value !== null && value !== undefined && value !== '') lines.push(`${label}: ${value}`);
+    };
+    const formatWeighted = (entries) => entries
+        .map(entry => entry.weight === null ? entry.name : `${entry.name} (${entry.weight})`)
+        .join(', ');
+
+    add('Model', [normalized.model.name, normalized.model.hash && `[${normalized.model.hash}]`].filter(Boolean).join(' '));
+    add('Seed', normalized.seed);
+    add('Steps', normalized.steps);
+    add('CFG', normalized.cfg);
+    add('Sampler', [normalized.sampler, normalized.scheduler].filter(Boolean).join(' / '));
+    add('Size', normalized.size && `${normalized.size.width}x${normalized.size.height}`);
+    add('LoRAs', formatWeighted(normalized.loras));
+    add('Embeddings', formatWeighted(normalized.embeddings));
+    if (normalized.hires) {
+        const { upscale, upscaler, steps, denoise } = normalized.hires;
+        add('Hires', [upscale !== null && `${upscale}x`, upscaler, steps !== null && `${steps} steps`, denoise !== null && `denoise ${denoise}`].filter(Boolean).join(', '));
+    }
+    if (normalized.refiner) {
+        add('Refiner', [normalized.refiner.model, normalized.refiner.switchAt !== null && `switch at ${normalized.refiner.switchAt}`].filter(Boolean).join(', '));
+    }
+    return lines.join('\n');
+}
+
+/**
+ * ダウンロード時のファイル名テンプレートを展開
+ * 使用できるプレースホルダー: {name} {generator} {model} {seed} {steps} {cfg} {sampler} {width} {height} {prompt}
+ * 拡張子は元のファイル名のものを維持する
+ * @param {string} template - 例: "{generator}_{seed}_{name}"
+ * @param {Object|null} metadata - 生のメタデータ (なければ未取得の項目は空になる)
+ * @param {string} filename - 元のファイル名
+ * @returns {string} - 展開後のファイル名 (テンプレートが空なら元のファイル名)
+ */
+function formatDownloadFilename(template, metadata, filename) {
+    if (!template) return filename;
+
+    const extensionMatch = /(\.[A-Za-z0-9]{1,5})$/.exec(filename || '');
+    const extension = extensionMatch ? extensionMatch[1] : '';
+    const baseName = extension ? filename.slice(0, -extension.length) : (filename || '');
+    const normalized = normalizeMetadata(metadata);
+    // モデル名はパスや拡張子を除く (例: "models/foo.safetensors" -> "foo")
+    const modelName = normalized.model.name.split(/[\\/]/).pop().replace(/\.(safetensors|ckpt|pt|pth|gguf|sft)$/i, '');
+
+    const values = {
+        name: baseName,
+        generator: normalized.generator,
+        model: modelName,
+        seed: normalized.seed === null ? '' : String(normalized.seed),
+        steps: normalized.steps === null ? '' : String(normalized.steps),
+        cfg: normalized.cfg === null ? '' : String(normalized.cfg),
+        sampler: normalized.sampler,
+        width: normalized.size ? String(normalized.size.width) : '',
+        height: normalized.size ? String(normalized.size.height) : '',
+        prompt: normalized.prompt.replace(/\s+/g, ' ').trim().substring(0, 40)
+    };
+
+    const expanded = template
+        .replace(/\{(\w+)\}/g, (placeholder, key) => Object.prototype.hasOwnProperty.call(values, key) ? values[key] : placeholder)
+        .replace(/[\r\n\t]+/g, ' ')
+        .replace(/_{2,}/g, '_')
+        .replace(/^[\s_-]+|[\s_-]+$/g, '');
+    return (expanded || baseName) + extension;
+}
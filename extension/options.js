@@ -8,12 +8,14 @@ const DEFAULT_SETTINGS = {
     minImageSize: 200,
     showAnalyzingBadge: true,
     analyzeEverywhere: false,
+    scanLossyStealth: false,
     excludedSites: [],
-    ignoredMetadataKeys: ['XML:com.adobe.xmp'],
+    ignoredMetadataKeys: [],
     ignoredSoftware: ['Adobe Photoshop', 'Adobe ImageReady', 'Celsys Studio Tool', 'GIMP', 'Paint.NET'],
     downloaderFolderMode: 'pageTitle',
     downloaderBaseFolder: 'AI_Meta_Viewer',
-    downloaderUseRoot: false
+    downloaderUseRoot: false,
+    downloaderFilenameTemplate: ''
 };
 
 // DOM Elements
@@ -23,6 +25,7 @@ const minPixelCountInput = document.getElementById('minPixelCount');
 const minImageSizeInput = document.getElementById('minImageSize');
 const showAnalyzingBadgeCheckbox = document.getElementById('showAnalyzingBadge');
 const analyzeEverywhereCheckbox = document.getElementById('analyzeEverywhere');
+const scanLossyStealthCheckbox = document.getElementById('scanLossyStealth');
 const excludedSitesTextarea = document.getElementById('excludedSites');
 const ignoredMetadataKeysTextarea = document.getElementById('ignoredMetadataKeys');
 const ignoredSoftwareTextarea = document.getElementById('ignoredSoftware');
@@ -34,6 +37,7 @@ const statusMessage = document.getElementById('statusMessage');
 const downloaderFolderModeSelect = document.getElementById('downloaderFolderMode');
 const downloaderBaseFolderInput = document.getElementById('downloaderBaseFolder');
 const downloaderUseRootCheckbox = document.getElementById('downloaderUseRoot');
+const downloaderFilenameTemplateInput = document.getElementById('downloaderFilenameTemplate');
 const baseFolderContainer = document.getElementById('baseFolderContainer');
 
 // Data Statistics Elements
@@ -191,6 +195,7 @@ async function loadSettings() {
     if (minImageSizeInput) minImageSizeInput.value = settings.minImageSize;
     if (showAnalyzingBadgeCheckbox) showAnalyzingBadgeCheckbox.checked = settings.showAnalyzingBadge;
     if (analyzeEverywhereCheckbox) analyzeEverywhereCheckbox.checked = settings.analyzeEverywhere;
+    if (scanLossyStealthCheckbox) scanLossyStealthCheckbox.checked = settings.scanLossyStealth;
     if (excludedSitesTextarea) excludedSitesTextarea.value = settings.excludedSites.join('\n');
     if (ignoredMetadataKeysTextarea) ignoredMetadataKeysTextarea.value = settings.ignoredMetadataKeys.join('\n');
     if (ignoredSoftwareTextarea) ignoredSoftwareTextarea.value = settings.ignoredSoftware.join('\n');
@@ -200,6 +205,7 @@ async function loadSettings() {
         downloaderUseRootCheckbox.checked = settings.downloaderUseRoot;
         updateBaseFolderVisibility();
     }
+    if (downloaderFilenameTemplateInput) downloaderFilenameTemplateInput.value = settings.downloaderFilenameTemplate || '';
 
     // データ統計を表示
     await OptionsPageEnhancer.displayDataStatistics();
@@ -229,12 +235,14 @@ async function saveSettings() {
         minImageSize: parseInt(minImageSizeInput ? minImageSizeInput.value : '200', 10) || 200,
         showAnalyzingBadge: showAnalyzingBadgeCheckbox ? showAnalyzingBadgeCheckbox.checked : true,
         analyzeEverywhere: analyzeEverywhereCheckbox ? analyzeEverywhereCheckbox.checked : false,
+        scanLossyStealth: scanLossyStealthCheckbox ? scanLossyStealthCheckbox.checked : false,
         excludedSites: excludedSites,
         ignoredMetadataKeys: ignoredMetadataKeys,
         ignoredSoftware: ignoredSoftware,
         downloaderFolderMode: downloaderFolderModeSelect ? downloaderFolderModeSelect.value : 'pageTitle',
         downloaderBaseFolder: downloaderBaseFolderInput ? downloaderBaseFolderInput.value.trim() : 'AI_Meta_Viewer',
-        downloaderUseRoot: downloaderUseRootCheckbox ? downloaderUseRootCheckbox.checked : false
+        downloaderUseRoot: downloaderUseRootCheckbox ? downloaderUseRootCheckbox.checked : false,
+        downloaderFilenameTemplate: downloaderFilenameTemplateInput ? downloaderFilenameTemplateInput.value.trim() : ''
     };
 
     // Validation
@@ -5,10 +5,131 @@
  */
 // const TARGET_KEYWORDS = [ ... ];
 
+/**
+ * 圧縮テキスト (zTXt / 圧縮 iTXt) の展開後サイズ上限
+ * 巨大な ComfyUI ワークフロー等で Service Worker のメモリを使い果たさないための制限
+ */
+const MAX_INFLATED_TEXT_SIZE = 16 * 1024 * 1024; // 16MB
+
+/**
+ * 1 回の extractMetadata でデコードするテキストの合計上限
+ * 小さなチャンクを大量に並べたファイルで、個々の上限をすり抜けて巨大な文字列を作らせないための制限
+ */
+const MAX_DECODED_TEXT_SIZE = 32 * 1024 * 1024; // 32MB
+
+/**
+ * 1 回の extractMetadata に許容する解析時間
+ * 超過した時点で各ループを打ち切り、それまでに読めた分だけを返す
+ */
+const MAX_PARSE_TIME_MS = 2000;
+
+/**
+ * 1 回の解析で保持する警告の最大件数
+ */
+const MAX_PARSE_WARNINGS = 50;
+
+/**
+ * 解析中の診断情報 ({ warnings, deadline, decodedTextSize, timedOut })
+ * extractMetadata の実行中だけ設定される。background.js から個別の関数を直接呼ぶ場合は null
+ */
+let parseDiagnostics = null;
+
+/**
+ * 破損・不正なファイルの警告を記録 (モーダルの Parser Warnings に表示)
+ * @param {string} type - 'CRC mismatch' / 'truncated chunk' / 'length overflow' など
+ * @param {string} detail - 位置などの補足
+ */
+function addParseWarning(type, detail) {
+  if (!parseDiagnostics) return;
+  const warnings = parseDiagnostics.warnings;
+  if (warnings.length >= MAX_PARSE_WARNINGS) return;
+  if (warnings.some(warning => warning.type === type && warning.detail === detail)) return;
+  warnings.push({ type, detail });
+}
+
+/**
+ * 解析時間の上限を超えたか判定 (超えた最初の 1 回だけ警告を記録)
+ * @returns {boolean}
+ */
+function isParseTimeExceeded() {
+  if (!parseDiagnostics) return false;
+  if (parseDiagnostics.timedOut) return true;
+  if (Date.now() <= parseDiagnostics.deadline) return false;
+  parseDiagnostics.timedOut = true;
+  addParseWarning('time limit exceeded', `Parsing stopped after ${MAX_PARSE_TIME_MS} ms; showing what was read so far`);
+  return true;
+}
+
+/**
+ * エンコーディングごとの TextDecoder (ストリームを使わないので使い回せる)
+ */
+const textDecoders = new Map();
+
+/**
+ * バイト列をテキストにデコード (1 回の解析での合計サイズ上限付き)
+ * @param {Uint8Array} bytes - バイト列
+ * @param {string} encoding - TextDecoder のエンコーディング名
+ * @returns {string} - 上限を超えた場合は空文字列
+ */
+function decodeTextWithLimit(bytes, encoding = 'utf-8') {
+  if (parseDiagnostics) {
+    parseDiagnostics.decodedTextSize += bytes.length;
+    if (parseDiagnostics.decodedTextSize > MAX_DECODED_TEXT_SIZE) {
+      addParseWarning('text limit exceeded', `Decoded text exceeds ${MAX_DECODED_TEXT_SIZE} bytes; remaining values skipped`);
+      return '';
+    }
+  }
+  if (!textDecoders.has(encoding)) {
+    textDecoders.set(encoding, new TextDecoder(encoding));
+  }
+  return textDecoders.get(encoding).decode(bytes);
+}
+
+/**
+ * 末尾の NULL 文字を除去
+ * /\0+$/ は NULL が長く続いた後に別の文字がある入力でバックトラックが二乗時間になるため、後ろから走査する
+ * @param {string} text - 対象文字列
+ * @returns {string}
+ */
+function trimTrailingNulls(text) {
+  let end = text.length;
+  while (end > 0 && text.charCodeAt(end - 1) === 0) end--;
+  return end === text.length ? text : text.slice(0, end);
+}
+
+/**
+ * CRC-32 (PNG / ZIP と同じ多項式 0xEDB88320) のテーブル。初回使用時に作成
+ */
+let crc32Table = null;
+
+/**
+ * CRC-32 を計算
+ * @param {Uint8Array} bytes - 対象のバイト列
+ * @returns {number} - 符号なし 32bit 値
+ */
+function crc32(bytes) {
+  if (!crc32Table) {
+    crc32Table = new Uint32Array(256);
+    for (let n = 0; n < 256; n++) {
+      let c = n;
+      for (let k = 0; k < 8; k++) {
+        c = (c & 1) ? 0xEDB88320 ^ (c >>> 1) : c >>> 1;
+      }
+      crc32Table[n] = c >>> 0;
+    }
+  }
+
+  let crc = 0xFFFFFFFF;
+  for (let i = 0; i < bytes.length; i++) {
+    crc = crc32Table[(crc ^ bytes[i]) & 0xFF] ^ (crc >>> 8);
+  }
+  return (crc ^ 0xFFFFFFFF) >>> 0;
+}
+
 /**
  * 画像形式を判定
  * @param {ArrayBuffer} buffer - 画像バイナリデータ
- * @returns {string|null} - 'png', 'jpeg', 'webp', 'avif', または null
+ * @returns {string|null} - 'png', 'jpeg', 'webp', 'avif', 'heic', 'jxl', 'mp4', 'matroska', 'flac', 'id3', 'ogg', 'gguf', 'safetensors', または null
  */
 function detectImageFormat(buffer) {
   const view = new Uint8Array(buffer);
@@ -29,21 +150,66 @@ function detectImageFormat(buffer) {
     return 'webp';
   }
 
-  // AVIF: ... ftyp ... avif
-  const ftypIndex = findSequence(view, [0x66, 0x74, 0x79, 0x70]); // 'ftyp'
-  if (ftypIndex !== -1 && ftypIndex + 8 < view.length) {
-    const brand = view.slice(ftypIndex + 4, ftypIndex + 8);
-    const brandStr = String.fromCharCode(...brand);
-    if (brandStr === 'avif' || brandStr === 'avis') {
+  // AVIF / HEIC: 先頭ボックスが ftyp。メジャーブランドと互換ブランドで判定
+  if (view.length >= 16 && matchesAscii(view, 4, 'ftyp')) {
+    const ftypSize = Math.min(view.length, new DataView(view.buffer, view.byteOffset, 4).getUint32(0));
+    const brands = [String.fromCharCode(view[8], view[9], view[10], view[11])];
+    for (let i = 16; i + 4 <= ftypSize; i += 4) {
+      brands.push(String.fromCharCode(view[i], view[i + 1], view[i + 2], view[i + 3]));
+    }
+    if (brands.includes('avif') || brands.includes('avis')) {
       return 'avif';
     }
+    // HEIC / HEIF (iPhone 等): AVIF と同じ HEIF コンテナ。mif1 / msf1 はメジャーブランドの場合のみ
+    if (brands.some(brand => ['heic', 'heix', 'heim', 'heis', 'hevc', 'hevx', 'hevm', 'hevs'].includes(brand)) ||
+      brands[0] === 'mif1' || brands[0] === 'msf1') {
+      return 'heic';
+    }
+  }
+
+  // JPEG XL: コンテナ形式 (生コードストリーム FF 0A はメタデータを持たないため対象外)
+  if (JXL_CONTAINER_SIGNATURE.every((b, i) => view[i] === b)) {
+    return 'jxl';
+  }
+
+  // MP4 / MOV: 先頭ボックスが ftyp (AVIF 以外のブランド)。古い QuickTime は ftyp なしで moov/mdat/wide/free から始まる
+  if (view.length >= 8) {
+    const firstBox = String.fromCharCode(view[4], view[5], view[6], view[7]);
+    if (['ftyp', 'moov', 'mdat', 'wide', 'free', 'skip'].includes(firstBox)) {
+      return 'mp4';
+    }
+  }
+
+  // Matroska / WebM: EBML ヘッダー 1A 45 DF A3
+  if (view[0] === 0x1A && view[1] === 0x45 && view[2] === 0xDF && view[3] === 0xA3) {
+    return 'matroska';
+  }
+
+  // FLAC: 'fLaC'
+  if (matchesAscii(view, 0, 'fLaC')) {
+    return 'flac';
+  }
+
+  // MP3 等: ID3v2 タグ 'ID3'
+  if (matchesAscii(view, 0, 'ID3')) {
+    return 'id3';
+  }
+
+  // Ogg (Vorbis / Opus / FLAC): 'OggS'
+  if (matchesAscii(view, 0, 'OggS')) {
+    return 'ogg';
+  }
+
+  // GGUF (llama.cpp / ComfyUI-GGUF の量子化モデル): 'GGUF'
+  if (matchesAscii(view, 0, 'GGUF')) {
+    return 'gguf';
   }
 
   // Safetensors: First 8 bytes is a little-endian Uint64 for header size
   if (view.length >= 8) {
     const headerSize = getUint64LE(view, 0);
-    // 数字として妥当な範囲か (0より大きく、100MB以下程度)
-    if (headerSize > 0 && headerSize < 100 * 1024 * 1024) {
+    // 数字として妥当な範囲か (0より大きく、ヘッダーサイズ上限以下)
+    if (headerSize > 0 && headerSize <= MAX_SAFETENSORS_HEADER_SIZE) {
       // 最初の8バイトの直後、または数バイトのパディングの後に '{' (JSONの開始) があれば Safetensors
       // 通常は 8バイト目(index 8)にあるが、念のため 12バイト目まで確認
       for (let i = 8; i < Math.min(view.length, 12); i++) {
@@ -62,10 +228,10 @@ function detectImageFormat(buffer) {
 }
 
 /**
- * Little Endian Uint64 を読み取り (数値精度に注意)
+ * Little Endian Uint64 を読み取り
+ * JavaScript の整数精度 (53bit) を超える値は Infinity を返し、呼び出し側のサイズ上限チェックで必ず弾かれるようにする
  */
 function getUint64LE(view, offset) {
-  // JavaScriptの整数精度(53bit)に収まる範囲のみ対応
   // ビット演算(<<)は32bit符号付きとして扱われるため、大きな値で正しく動作させるために乗算と加算を使用
   const b0 = view[offset];
   const b1 = view[offset + 1];
@@ -78,339 +244,2903 @@ function getUint64LE(view, offset) {
 
   const low = b0 + (b1 * 256) + (b2 * 65536) + (b3 * 16777216);
   const high = b4 + (b5 * 256) + (b6 * 65536) + (b7 * 16777216);
+  if (high > 0x1FFFFF) return Infinity;
   return low + (high * 4294967296);
 }
 
 /**
- * バイト配列内でシーケンスを検索
- * @param {Uint8Array} array - 検索対象配列
- * @param {number[]} sequence - 検索するシーケンス
- * @returns {number} - 見つかった位置、見つからない場合は -1
+ * メタデータを保持する PNG チャンク (バッファ外なら再取得し、CRC を検証する)
  */
-function findSequence(array, sequence) {
-  for (let i = 0; i <= array.length - sequence.length; i++) {
-    let found = true;
-    for (let j = 0; j < sequence.length; j++) {
-      if (array[i + j] !== sequence[j]) {
-        found = false;
-        break;
-      }
-    }
-    if (found) return i;
-  }
-  return -1;
-}
+const PNG_METADATA_CHUNKS = ['tEXt', 'iTXt', 'zTXt', 'eXIf', 'caBX'];
+
+/**
+ * PNG チャンク長の上限 (仕様上 2^31 - 1)
+ */
+const PNG_MAX_CHUNK_LENGTH = 0x7FFFFFFF;
 
 /**
  * PNG形式のメタデータを抽出
  * @param {ArrayBuffer} buffer - 画像バイナリデータ
+ * @param {Object} options - { complete: buffer がファイル全体なら true (途切れたチャンクは再取得せず警告にする) }
  * @returns {Object} - 抽出されたメタデータ
  */
-function extractPngMetadata(buffer) {
+function extractPngMetadata(buffer, options = {}) {
   const view = new Uint8Array(buffer);
+  const dataView = new DataView(view.buffer, view.byteOffset, view.byteLength);
   const metadata = {};
+  let exifMetadata = null;
 
   // PNGシグネチャをスキップ (8バイト)
   let offset = 8;
 
   while (offset < view.length) {
-    // チャンク長を読み取るための最低4バイトがあるか
-    if (offset + 4 > view.length) break;
+    if (isParseTimeExceeded()) break;
 
-    // チャンク長を読み取り (Big Endian)
-    const length = (view[offset] << 24) | (view[offset + 1] << 16) |
-      (view[offset + 2] << 8) | view[offset + 3];
+    // チャンク長 (4) + チャンク型 (4) が読めるか
+    if (offset + 8 > view.length) {
+      if (options.complete) addParseWarning('truncated chunk', `Chunk header at offset ${offset} is cut off by the end of the file`);
+      break;
+    }
 
-    // チャンク型を読み取るための8バイトがあるかチェック
-    if (offset + 8 > view.length) break;
+    // チャンク長を読み取り (Big Endian、符号なし)
+    const length = dataView.getUint32(offset);
+    const type = String.fromCharCode(view[offset + 4], view[offset + 5],
+      view[offset + 6], view[offset + 7]);
+    const isMetadataChunk = PNG_METADATA_CHUNKS.includes(type);
 
-    // データが不足しているかチェック (チャンク長4 + タイプ4 + データ + CRC4)
-    if (offset + 4 + 4 + length + 4 > view.length) {
-      // 興味のあるチャンク（tEXt, iTXt）であれば再取得を指示
-      const type = String.fromCharCode(view[offset + 4], view[offset + 5],
-        view[offset + 6], view[offset + 7]);
+    if (length > PNG_MAX_CHUNK_LENGTH || (isMetadataChunk && length > MAX_INFLATED_TEXT_SIZE)) {
+      addParseWarning('length overflow', `${type} chunk at offset ${offset} declares ${length} bytes`);
+      break;
+    }
 
-      if (type === 'tEXt' || type === 'iTXt') {
-        return { isIncomplete: true, suggestedSize: offset + 4 + 4 + length + 4 + 1024 };
+    // データが不足しているかチェック (チャンク長4 + タイプ4 + データ + CRC4)
+    const chunkEnd = offset + 8 + length + 4;
+    if (chunkEnd > view.length) {
+      // 興味のあるチャンク（tEXt, iTXt 等）であれば再取得を指示
+      if (isMetadataChunk && !options.complete) {
+        return { isIncomplete: true, suggestedSize: chunkEnd + 1024 };
+      }
+      // ファイル全体を読んでいるのに足りない場合は破損
+      if (options.complete) {
+        addParseWarning('truncated chunk', `${type} chunk at offset ${offset} needs ${chunkEnd - view.length} more bytes`);
       }
-      // それ以外（画像データなど）なら単に終了
+      // それ以外（Range 取得中の画像データなど）なら単に終了
       break;
     }
 
-    offset += 4;
+    offset += 8;
 
-    // チャンク型を読み取り
-    const type = String.fromCharCode(view[offset], view[offset + 1],
-      view[offset + 2], view[offset + 3]);
-    offset += 4;
+    // メタデータチャンクは CRC (チャンク型 + データ) を検証。不一致でも内容は読む
+    if (isMetadataChunk && crc32(view.subarray(offset - 4, offset + length)) !== dataView.getUint32(offset + length)) {
+      addParseWarning('CRC mismatch', `${type} chunk at offset ${offset - 8}`);
+    }
+
+    const chunkData = view.subarray(offset, offset + length);
 
     // tEXtチャンク処理
     if (type === 'tEXt') {
-      const chunkData = view.slice(offset, offset + length);
       const nullIndex = chunkData.indexOf(0);
       if (nullIndex !== -1) {
-        const keyword = new TextDecoder('utf-8').decode(chunkData.slice(0, nullIndex));
-        const text = new TextDecoder('utf-8').decode(chunkData.slice(nullIndex + 1));
+        const keyword = decodeTextWithLimit(chunkData.subarray(0, nullIndex));
+        const text = decodeTextWithLimit(chunkData.subarray(nullIndex + 1));
 
         // フィルタリングを廃止し、すべて保存
         metadata[keyword] = text;
       }
     }
 
+    // zTXtチャンク処理 (キーワード + NULL + 圧縮メソッド + zlib圧縮テキスト)
+    if (type === 'zTXt') {
+      const nullIndex = chunkData.indexOf(0);
+      // 圧縮メソッドは 0 (deflate) のみ定義されている
+      if (nullIndex !== -1 && chunkData[nullIndex + 1] === 0) {
+        const keyword = decodeTextWithLimit(chunkData.subarray(0, nullIndex));
+        const inflated = inflateWithLimit(chunkData.subarray(nullIndex + 2));
+        if (inflated) {
+          metadata[keyword] = decodeTextWithLimit(inflated);
+        }
+      }
+    }
+
     // iTXtチャンク処理
     if (type === 'iTXt') {
-      const chunkData = view.slice(offset, offset + length);
-      let pos = 0;
+      const text = readPngInternationalText(chunkData);
+      if (text) {
+        // フィルタリングを廃止し、すべて保存
+        metadata[text.keyword] = text.value;
+      }
+    }
 
-      // キーワード抽出
-      const keywordEnd = chunkData.indexOf(0, pos);
-      if (keywordEnd === -1) {
-        offset += length + 4; // CRCをスキップ
-        continue;
+    // eXIfチャンク処理 (TIFFヘッダーから始まる Exif。"Exif\0\0" 付きで書き込むツールもある)
+    if (type === 'eXIf' && !exifMetadata) {
+      exifMetadata = extractExifMetadata(isExifHeader(chunkData, 0) ? chunkData.subarray(6) : chunkData);
+    }
+
+    // caBXチャンク処理 (C2PA マニフェストストアの JUMBF)
+    if (type === 'caBX') {
+      const c2pa = readC2paJumbf(chunkData);
+      if (c2pa) {
+        metadata['C2PA'] = c2pa;
       }
-      const keyword = new TextDecoder('utf-8').decode(chunkData.slice(pos, keywordEnd));
-      pos = keywordEnd + 1;
+    }
 
-      // 圧縮フラグ
-      const compressionFlag = chunkData[pos];
-      pos += 1;
+    // IENDチャンクで終了
+    if (type === 'IEND') {
+      break;
+    }
 
-      // 圧縮メソッド
-      pos += 1; // スキップ
+    offset += length + 4; // データ + CRC
+  }
 
-      // LanguageTag
-      const langEnd = chunkData.indexOf(0, pos);
-      if (langEnd === -1) {
-        offset += length + 4;
-        continue;
-      }
-      pos = langEnd + 1;
+  // Exif は tEXt / iTXt と同じキー (parameters 等) を持ちうるため、テキストチャンク側を優先
+  if (exifMetadata) {
+    const hasTextParameters = 'parameters' in metadata;
+    for (const [key, value] of Object.entries(exifMetadata)) {
+      // UserComment の文字コード情報は parameters が UserComment 由来の場合のみ意味を持つ
+      if (key === 'UserCommentEncoding' && hasTextParameters) continue;
+      if (!(key in metadata)) metadata[key] = value;
+    }
+  }
 
-      // TranslatedKeyword
-      const transEnd = chunkData.indexOf(0, pos);
-      if (transEnd === -1) {
-        offset += length + 4;
-        continue;
+  // XMP (iTXt "XML:com.adobe.xmp") は生の XML ではなく解析済みのキー/値ペアとして保持
+  if (metadata['XML:com.adobe.xmp']) {
+    const xmp = decodeXmpText(metadata['XML:com.adobe.xmp']);
+    delete metadata['XML:com.adobe.xmp'];
+    if (xmp) {
+      metadata['XMP'] = xmp;
+    }
+  }
+
+  return metadata;
+}
+
+/**
+ * iTXt チャンク (キーワード\0 + 圧縮フラグ + 圧縮メソッド + 言語タグ\0 + 翻訳キーワード\0 + テキスト) を読み取り
+ * @param {Uint8Array} chunkData - チャンクのデータ部
+ * @returns {{keyword: string, value: string}|null} - 区切りが欠けている・展開できない場合は null
+ */
+function readPngInternationalText(chunkData) {
+  // キーワード抽出
+  const keywordEnd = chunkData.indexOf(0);
+  if (keywordEnd === -1 || keywordEnd + 3 > chunkData.length) return null;
+  const keyword = decodeTextWithLimit(chunkData.subarray(0, keywordEnd));
+  let pos = keywordEnd + 1;
+
+  // 圧縮フラグと圧縮メソッド (0: deflate のみ定義)
+  const compressionFlag = chunkData[pos];
+  const compressionMethod = chunkData[pos + 1];
+  pos += 2;
+
+  // LanguageTag
+  const langEnd = chunkData.indexOf(0, pos);
+  if (langEnd === -1) return null;
+  pos = langEnd + 1;
+
+  // TranslatedKeyword
+  const transEnd = chunkData.indexOf(0, pos);
+  if (transEnd === -1) return null;
+  pos = transEnd + 1;
+
+  // テキストデータ
+  if (compressionFlag === 0) {
+    return { keyword, value: decodeTextWithLimit(chunkData.subarray(pos)) };
+  }
+  if (compressionFlag === 1 && compressionMethod === 0) {
+    // 圧縮 iTXt (ComfyUI の一部保存ノード、InvokeAI、最適化ツールによる再圧縮など)
+    const inflated = inflateWithLimit(chunkData.subarray(pos));
+    if (inflated) {
+      return { keyword, value: decodeTextWithLimit(inflated) };
+    }
+  }
+  return null;
+}
+
+/**
+ * zlib 圧縮データをサイズ上限付きで展開
+ * 上限を超えた時点で展開を打ち切り、巨大な出力バッファを確保しないようにする
+ * @param {Uint8Array} data - zlib 圧縮データ
+ * @param {number} maxSize - 展開後の最大バイト数
+ * @param {boolean} raw - ヘッダーなしの deflate (ZIP エントリ) の場合 true
+ * @returns {Uint8Array|null} - 展開結果、失敗・上限超過時は null
+ */
+function inflateWithLimit(data, maxSize = MAX_INFLATED_TEXT_SIZE, raw = false) {
+  if (typeof pako === 'undefined') {
+    console.warn('[AI Meta Viewer] pako not loaded, skipping compressed text');
+    return null;
+  }
+
+  const inflator = new pako.Inflate(raw ? { raw: true } : undefined);
+  const chunks = [];
+  let totalSize = 0;
+
+  // onData で出力サイズを監視し、上限超過時は例外で push を中断する
+  inflator.onData = (chunk) => {
+    totalSize += chunk.length;
+    if (totalSize > maxSize) {
+      throw new Error(`Inflated size exceeds limit (${maxSize} bytes)`);
+    }
+    chunks.push(chunk);
+  };
+
+  try {
+    inflator.push(data, true);
+  } catch (e) {
+    console.warn('[AI Meta Viewer] Compressed text skipped:', e.message);
+    addParseWarning('length overflow', `Compressed data inflates to more than ${maxSize} bytes`);
+    return null;
+  }
+
+  if (inflator.err) {
+    console.warn('[AI Meta Viewer] Failed to inflate compressed text:', inflator.msg);
+    addParseWarning('corrupt compressed data', inflator.msg || 'zlib error');
+    return null;
+  }
+
+  const result = new Uint8Array(totalSize);
+  let pos = 0;
+  for (const chunk of chunks) {
+    result.set(chunk, pos);
+    pos += chunk.length;
+  }
+  return result;
+}
+
+/**
+ * JPEG形式のメタデータを抽出
+ * @param {ArrayBuffer} buffer - 画像バイナリデータ
+ * @param {Object} options - { complete: buffer がファイル全体なら true (途切れたセグメントは再取得せず警告にする) }
+ * @returns {Object} - 抽出されたメタデータ
+ */
+function extractJpegMetadata(buffer, options = {}) {
+  const view = new Uint8Array(buffer);
+  const segments = readJpegSegments(view);
+  const metadata = {};
+
+  // ファイル全体を読んでいるのにセグメントが途切れている場合は破損 (再取得しても変わらない)
+  if (options.complete && segments.truncatedAt !== undefined) {
+    addParseWarning('truncated chunk', `JPEG segment at offset ${segments.truncatedAt} is cut off by the end of the file`);
+    const last = segments[segments.length - 1];
+    if (last && last.dataEnd > view.length) segments.pop();
+    delete segments.truncatedAt;
+  }
+
+  // APP1 (Exif) セグメントを探す ("Exif\0\0" + TIFFヘッダー)
+  const exifSegment = segments.find(seg => seg.marker === 0xE1 && isExifHeader(view, seg.dataStart));
+  if (exifSegment && exifSegment.dataEnd > view.length) {
+    return { isIncomplete: true, suggestedSize: exifSegment.dataEnd + 1024 };
+  }
+  if (exifSegment) {
+    Object.assign(metadata, extractExifMetadata(view.subarray(exifSegment.dataStart + 6, exifSegment.dataEnd)));
+  }
+
+  // COM (コメント)。UserComment が無い場合の parameters にもなる
+  const commentSegments = segments.filter(seg => seg.marker === 0xFE);
+  if (commentSegments.some(seg => seg.dataEnd > view.length)) {
+    return { isIncomplete: true, suggestedSize: commentSegments[commentSegments.length - 1].dataEnd + 1024 };
+  }
+  for (const [key, value] of Object.entries(extractJpegComment(view, commentSegments))) {
+    if (!(key in metadata)) metadata[key] = value;
+  }
+
+  // APP1 (XMP / Extended XMP)
+  const xmpResult = extractJpegXmp(view, segments);
+  if (xmpResult.xmp) {
+    metadata['XMP'] = xmpResult.xmp;
+  }
+
+  // APP11 (C2PA / JUMBF)
+  const c2paResult = extractJpegC2pa(view, segments);
+  if (c2paResult.c2pa) {
+    metadata['C2PA'] = c2paResult.c2pa;
+  }
+
+  // SOS に到達する前にバッファが尽きた場合、後続セグメントにメタデータがある可能性がある
+  // (何も見つかっていない、または Extended XMP / C2PA の続きが未取得の場合のみ再取得を指示)
+  const pendingSize = Math.max(xmpResult.pendingSize, c2paResult.pendingSize);
+  if (segments.truncatedAt !== undefined && (Object.keys(metadata).length === 0 || pendingSize)) {
+    const lastSegment = segments[segments.length - 1];
+    const knownEnd = lastSegment && lastSegment.dataEnd > view.length ? lastSegment.dataEnd : segments.truncatedAt;
+    return { isIncomplete: true, suggestedSize: Math.max(knownEnd, pendingSize) + 65536 };
+  }
+
+  return metadata;
+}
+
+/**
+ * エンコーダーが自動で書き込む COM の定型文 (これだけでは AI 生成画像と判定しない)
+ */
+const JPEG_ENCODER_COMMENT_PATTERN = /^(?:CREATOR: gd-jpeg|Created with (?:GIMP|The GIMP)|File written by Adobe Photoshop|Optimized by JPEGmini|LEAD Technologies|Intel\(R\) JPEG Library|AppleMark|Lav[cf]\d|Compressed by jpeg-recompress|Handmade Software)/;
+
+/**
+ * JPEG の COM セグメント (Easy Diffusion、旧 NMKD、一部のモバイルアプリ) からメタデータを抽出
+ * A1111 形式の infotext は parameters、ComfyUI の JSON は prompt / workflow、それ以外は JPEGComment として保持 (表示のみで AI 判定には使わない)
+ * @param {Uint8Array} view - JPEGバイナリデータ
+ * @param {Array} segments - COM セグメント (readJpegSegments の結果のうち marker 0xFE)
+ * @returns {Object} - 抽出されたメタデータ
+ */
+function extractJpegComment(view, segments) {
+  const metadata = {};
+  const comments = segments
+    .map(seg => trimTrailingNulls(decodeTextWithLimit(view.subarray(seg.dataStart, seg.dataEnd))).trim())
+    .filter(text => text && !JPEG_ENCODER_COMMENT_PATTERN.test(text));
+  if (comments.length === 0) return metadata;
+
+  const text = comments.join('\n');
+  if (/Steps:\s*\d+/.test(text)) {
+    metadata['parameters'] = text;
+    return metadata;
+  }
+
+  let json = null;
+  if (/^[[{]/.test(text)) {
+    try {
+      json = JSON.parse(text);
+    } catch (e) {
+      // JSON でなければ通常のテキストとして扱う
+    }
+  }
+  if (json && typeof json === 'object' && ('workflow' in json || (json.prompt && typeof json.prompt === 'object'))) {
+    for (const key of ['prompt', 'workflow']) {
+      if (json[key] === undefined) continue;
+      metadata[key] = typeof json[key] === 'string' ? json[key] : JSON.stringify(json[key]);
+    }
+    return metadata;
+  }
+
+  metadata['JPEGComment'] = text;
+  return metadata;
+}
+
+/**
+ * JPEG の APP1 セグメントから XMP を抽出
+ * 標準 XMP ("http://ns.adobe.com/xap/1.0/\0") と、64KB を超える場合の
+ * Extended XMP ("http://ns.adobe.com/xmp/extension/\0" + GUID + 全長 + オフセット) を結合する
+ * @param {Uint8Array} view - JPEGバイナリデータ
+ * @param {Array} segments - readJpegSegments の結果
+ * @returns {{xmp: Object|null, pendingSize: number}} - 解析結果と、Extended XMP が途中で途切れている場合の必要サイズ
+ */
+function extractJpegXmp(view, segments) {
+  const standardHeader = 'http://ns.adobe.com/xap/1.0/\0';
+  const extendedHeader = 'http://ns.adobe.com/xmp/extension/\0';
+  const result = { xmp: null, pendingSize: 0 };
+  const extendedChunks = [];
+
+  for (const seg of segments) {
+    if (seg.marker !== 0xE1) continue;
+    if (seg.dataEnd > view.length) {
+      result.pendingSize = seg.dataEnd;
+      continue;
+    }
+
+    if (matchesAscii(view, seg.dataStart, standardHeader)) {
+      if (!result.xmp) {
+        result.xmp = decodeXmpBytes(view.subarray(seg.dataStart + standardHeader.length, seg.dataEnd));
       }
-      pos = transEnd + 1;
+    } else if (matchesAscii(view, seg.dataStart, extendedHeader)) {
+      const pos = seg.dataStart + extendedHeader.length;
+      if (pos + 40 > seg.dataEnd) continue;
+      extendedChunks.push({
+        guid: String.fromCharCode(...view.subarray(pos, pos + 32)),
+        fullLength: ((view[pos + 32] << 24) | (view[pos + 33] << 16) | (view[pos + 34] << 8) | view[pos + 35]) >>> 0,
+        offset: ((view[pos + 36] << 24) | (view[pos + 37] << 16) | (view[pos + 38] << 8) | view[pos + 39]) >>> 0,
+        data: view.subarray(pos + 40, seg.dataEnd)
+      });
+    }
+  }
 
-      // テキストデータ
-      if (compressionFlag === 0) { // 非圧縮のみ対応
-        const text = new TextDecoder('utf-8').decode(chunkData.slice(pos));
+  // 標準 XMP の xmpNote:HasExtendedXMP に記載された GUID のチャンクのみ結合
+  const guid = result.xmp && result.xmp['xmpNote:HasExtendedXMP'];
+  const chunks = extendedChunks.filter(chunk => chunk.guid === guid);
+  let merged = false;
+  if (chunks.length > 0) {
+    const fullLength = chunks[0].fullLength;
+    if (fullLength > MAX_INFLATED_TEXT_SIZE) {
+      addParseWarning('length overflow', `Extended XMP declares ${fullLength} bytes`);
+    } else {
+      const extended = new Uint8Array(fullLength);
+      let received = 0;
+      for (const chunk of chunks) {
+        if (chunk.offset + chunk.data.length > fullLength) {
+          addParseWarning('length overflow', `Extended XMP chunk at offset ${chunk.offset} extends past the declared length`);
+          continue;
+        }
+        extended.set(chunk.data, chunk.offset);
+        received += chunk.data.length;
+      }
 
-        // フィルタリングを廃止し、すべて保存
-        metadata[keyword] = text;
+      if (received >= fullLength) {
+        const extendedXmp = decodeXmpBytes(extended);
+        if (extendedXmp) Object.assign(result.xmp, extendedXmp);
+        delete result.xmp['xmpNote:HasExtendedXMP'];
+        merged = true;
       }
     }
+  }
 
-    // IENDチャンクで終了
-    if (type === 'IEND') {
+  // 残りの Extended XMP チャンクがバッファ外にある
+  if (guid && !merged && segments.truncatedAt !== undefined) {
+    result.pendingSize = Math.max(result.pendingSize, segments.truncatedAt);
+  }
+
+  return result;
+}
+
+/**
+ * JPEG の APP11 セグメントから C2PA マニフェストストアを抽出
+ * APP11 = "JP" (CI) + En (ボックスインスタンス番号) + Z (シーケンス番号) + JUMBF
+ * 64KB を超える JUMBF は同じ En の複数セグメントに分割され、2番目以降はボックスヘッダー (LBox/TBox) が繰り返される
+ * @param {Uint8Array} view - JPEGバイナリデータ
+ * @param {Array} segments - readJpegSegments の結果
+ * @returns {{c2pa: Object|null, pendingSize: number}} - 解析結果と、続きのセグメントが未取得の場合の必要サイズ
+ */
+function extractJpegC2pa(view, segments) {
+  const result = { c2pa: null, pendingSize: 0 };
+  const instances = new Map();
+
+  for (const seg of segments) {
+    if (seg.marker !== 0xEB || !matchesAscii(view, seg.dataStart, 'JP')) continue;
+    if (seg.dataEnd > view.length) {
+      result.pendingSize = seg.dataEnd;
+      continue;
+    }
+    if (seg.dataStart + 16 > seg.dataEnd) continue;
+
+    const instance = (view[seg.dataStart + 2] << 8) | view[seg.dataStart + 3];
+    const sequence = ((view[seg.dataStart + 4] << 24) | (view[seg.dataStart + 5] << 16) |
+      (view[seg.dataStart + 6] << 8) | view[seg.dataStart + 7]) >>> 0;
+    const boxStart = seg.dataStart + 8;
+
+    if (!instances.has(instance)) instances.set(instance, []);
+    instances.get(instance).push({ sequence, boxStart, dataEnd: seg.dataEnd });
+  }
+
+  for (const parts of instances.values()) {
+    parts.sort((a, b) => a.sequence - b.sequence);
+    const header = readJumbfBoxHeader(view, parts[0].boxStart);
+    if (!header) continue;
+
+    // 2番目以降のセグメントは繰り返されたボックスヘッダーを除いて連結
+    const jumbf = concatBytes(parts.map((part, index) =>
+      view.subarray(index === 0 ? part.boxStart : part.boxStart + header.headerSize, part.dataEnd)));
+
+    if (jumbf.length < header.size) {
+      // 残りのセグメントがバッファ外 (セグメントヘッダー分の余裕を加算)
+      const remaining = header.size - jumbf.length;
+      result.pendingSize = Math.max(result.pendingSize, view.length + remaining + Math.ceil(remaining / 65000) * 32);
+      continue;
+    }
+
+    const c2pa = readC2paJumbf(jumbf.subarray(0, header.size));
+    if (c2pa) {
+      result.c2pa = c2pa;
       break;
     }
+  }
 
-    offset += length + 4; // データ + CRC
+  return result;
+}
+
+/**
+ * C2PA マニフェストストアの JUMBF を解析 (c2pa.js)
+ * @param {Uint8Array} jumbf - JUMBF スーパーボックス
+ * @returns {Object|null} - 解析結果、C2PA でない・解析失敗時はnull
+ */
+function readC2paJumbf(jumbf) {
+  try {
+    return readC2paManifestStore(jumbf);
+  } catch (e) {
+    console.warn('[AI Meta Viewer] C2PA manifest parse failed:', e.message);
+    addParseWarning('invalid C2PA manifest', e.message);
+    return null;
   }
+}
 
-  return metadata;
+/**
+ * 指定位置のバイト列が ASCII 文字列と一致するか判定
+ * @param {Uint8Array} view - バイナリデータ
+ * @param {number} offset - 判定位置
+ * @param {string} str - 比較する文字列
+ * @returns {boolean}
+ */
+function matchesAscii(view, offset, str) {
+  if (offset + str.length > view.length) return false;
+  for (let i = 0; i < str.length; i++) {
+    if (view[offset + i] !== str.charCodeAt(i)) return false;
+  }
+  return true;
+}
+
+/**
+ * JPEG のマーカーセグメントを SOS (画像データ開始) まで列挙
+ * @param {Uint8Array} view - JPEGバイナリデータ
+ * @returns {Array<{marker: number, dataStart: number, dataEnd: number}>} - セグメント一覧
+ *   バッファ末尾でセグメントが途切れた場合、配列の truncatedAt にその位置を設定
+ */
+function readJpegSegments(view) {
+  const segments = [];
+  let offset = 2; // SOI (FF D8) をスキップ
+
+  while (offset < view.length) {
+    if (isParseTimeExceeded()) break;
+    if (offset + 4 > view.length) {
+      segments.truncatedAt = offset;
+      break;
+    }
+
+    if (view[offset] !== 0xFF) break; // マーカー同期が外れた
+    const marker = view[offset + 1];
+
+    // フィルバイト (FF FF ...)
+    if (marker === 0xFF) {
+      offset += 1;
+      continue;
+    }
+
+    // 長さを持たないマーカー (TEM, RSTn)
+    if (marker === 0x01 || (marker >= 0xD0 && marker <= 0xD7)) {
+      offset += 2;
+      continue;
+    }
+
+    // SOS 以降は圧縮画像データ / EOI
+    if (marker === 0xDA || marker === 0xD9) break;
+
+    const length = (view[offset + 2] << 8) | view[offset + 3];
+    if (length < 2) break;
+
+    const dataStart = offset + 4;
+    const dataEnd = offset + 2 + length;
+    segments.push({ marker, dataStart, dataEnd });
+
+    if (dataEnd > view.length) {
+      segments.truncatedAt = offset;
+      break;
+    }
+    offset = dataEnd;
+  }
+
+  return segments;
+}
+
+/**
+ * "Exif\0\0" ヘッダーの判定
+ * @param {Uint8Array} view - バイナリデータ
+ * @param {number} offset - 判定位置
+ * @returns {boolean}
+ */
+function isExifHeader(view, offset) {
+  return offset + 6 <= view.length &&
+    view[offset] === 0x45 && view[offset + 1] === 0x78 && view[offset + 2] === 0x69 &&
+    view[offset + 3] === 0x66 && view[offset + 4] === 0x00 && view[offset + 5] === 0x00;
 }
 
 /**
- * JPEG/AVIF形式のメタデータを抽出
- * @param {ArrayBuffer} buffer - 画像バイナリデータ
- * @returns {Object} - 抽出されたメタデータ
+ * WebP形式のメタデータを抽出
+ * @param {ArrayBuffer} buffer - 画像バイナリデータ
+ * @param {Object} options - { complete: buffer がファイル全体なら true (途切れたチャンクは再取得せず警告にする) }
+ * @returns {Object} - 抽出されたメタデータ
+ */
+function extractWebpMetadata(buffer, options = {}) {
+  const view = new Uint8Array(buffer);
+  const dataView = new DataView(view.buffer, view.byteOffset, view.byteLength);
+  const metadata = {};
+
+  // RIFF サイズ ("WEBP" 以降のバイト数)。0 や極端に小さい値を書くエンコーダーもあるため、その場合は上限に使わない
+  const riffSize = dataView.getUint32(4, true);
+  const riffEnd = riffSize >= 4 ? riffSize + 8 : Infinity;
+
+  // RIFFヘッダーをスキップ (12バイト: "RIFF" + size + "WEBP")
+  let offset = 12;
+  let vp8xFlags = 0;
+  let hasExifChunk = false;
+
+  while (offset + 8 <= view.length) {
+    if (isParseTimeExceeded()) break;
+
+    // チャンク型を読み取り
+    const chunkType = String.fromCharCode(view[offset], view[offset + 1],
+      view[offset + 2], view[offset + 3]);
+
+    // チャンクサイズを読み取り (Little Endian、符号なし)
+    const chunkSize = dataView.getUint32(offset + 4, true);
+    const chunkStart = offset;
+    const chunkEnd = offset + 8 + chunkSize;
+    const isMetadataChunk = chunkType === 'EXIF' || chunkType === 'XMP ';
+    offset += 8;
+
+    // EXIF / XMP は RIFF の範囲内かつ上限以下のみ (画像データのチャンクは読まないので長さだけ信用して先へ進む)
+    if (isMetadataChunk && (chunkEnd > riffEnd || chunkSize > MAX_INFLATED_TEXT_SIZE)) {
+      addParseWarning('length overflow', `${chunkType} chunk at offset ${chunkStart} declares ${chunkSize} bytes`);
+      break;
+    }
+
+    if (chunkEnd > view.length) {
+      if (isMetadataChunk && !options.complete) {
+        return { isIncomplete: true, suggestedSize: chunkEnd + 1 };
+      }
+      if (options.complete) {
+        addParseWarning('truncated chunk', `${chunkType} chunk at offset ${chunkStart} needs ${chunkEnd - view.length} more bytes`);
+      }
+      // 以降のチャンクは未取得 (offset をバッファ外に進めて VP8X フラグの判定に回す)
+      offset = chunkEnd;
+      break;
+    }
+
+    // EXIFチャンク処理
+    if (chunkType === 'EXIF') {
+      let exifData = view.subarray(offset, chunkEnd);
+
+      // 一部のエンコーダーは JPEG と同じ "Exif\0\0" プレフィックスを付けて書き込む
+      if (isExifHeader(exifData, 0)) {
+        exifData = exifData.subarray(6);
+      }
+
+      Object.assign(metadata, extractExifMetadata(exifData));
+      hasExifChunk = true;
+    }
+
+    // 拡張フォーマットヘッダー (EXIF / XMP チャンクの有無フラグを保持)
+    if (chunkType === 'VP8X' && chunkSize > 0) {
+      vp8xFlags = view[offset];
+    }
+
+    // XMPチャンク処理
+    if (chunkType === 'XMP ') {
+      const xmp = decodeXmpBytes(view.subarray(offset, chunkEnd));
+      if (xmp) {
+        metadata['XMP'] = xmp;
+      }
+    }
+
+    // 次のチャンクへ (パディング考慮)
+    offset = chunkEnd + (chunkSize % 2);
+  }
+
+  // EXIF / XMP チャンクは画像データの後ろに置かれるため、Range取得では届いていないことが多い
+  // VP8X のフラグ (EXIF: 0x08, XMP: 0x04) で存在が分かっている場合はファイル全体を要求
+  const missingExif = (vp8xFlags & 0x08) && !hasExifChunk;
+  const missingXmp = (vp8xFlags & 0x04) && !metadata['XMP'];
+  if (offset > view.length && (missingExif || missingXmp) && !options.complete && riffEnd !== Infinity) {
+    return { isIncomplete: true, suggestedSize: riffEnd };
+  }
+
+  return metadata;
+}
+
+/**
+ * AVIF / HEIC (HEIF) 形式のメタデータを抽出
+ * meta ボックス (hdlr / iinf / iloc / idat) から Exif と XMP のアイテムを探し、iloc の位置から読み取る
+ * アイテムが未取得の範囲にある場合は、その範囲だけを requiredRange で要求する
+ * @param {Object} source - createByteSource の戻り値
+ * @returns {Object} - 抽出されたメタデータ (または requiredRange)
+ */
+function extractAvifMetadata(source) {
+  const metadata = {};
+  let meta = null;
+  let c2pa = null;
+  let offset = 0;
+
+  // トップレベル: ftyp, meta, (C2PA の uuid), mdat ...
+  while (offset + 8 <= source.size) {
+    if (isParseTimeExceeded()) break;
+    const headerBytes = source.read(offset, Math.min(offset + 16, source.size));
+    if (!headerBytes) {
+      // meta の後ろ (mdat 以降) のボックスのためだけに追加取得はしない
+      if (meta) break;
+      return requireRange(source, offset, offset + MEDIA_READ_AHEAD_SIZE);
+    }
+
+    const header = readBmffBoxHeader(headerBytes, 0, headerBytes.length);
+    if (!header) break;
+    const end = header.size === 0 ? source.size : offset + header.size;
+
+    if (header.type === 'meta' && !meta) {
+      if (end - offset > MAX_MEDIA_METADATA_SIZE) return {};
+      const data = source.read(offset, end);
+      if (!data) return requireRange(source, offset, end);
+      meta = readHeifMetaBox(data, header.headerSize);
+    } else if (header.type === 'uuid' && !c2pa) {
+      const uuid = source.read(offset + header.headerSize, offset + header.headerSize + 16);
+      if (!uuid) return requireRange(source, offset, offset + MEDIA_READ_AHEAD_SIZE);
+      if (C2PA_BMFF_UUID.every((b, i) => uuid[i] === b) && end - offset <= MAX_MEDIA_METADATA_SIZE) {
+        const data = source.read(offset, end);
+        if (!data) return requireRange(source, offset, end);
+        c2pa = readBmffC2paBox(data, header.headerSize);
+      }
+    }
+
+    if (header.size === 0) break;
+    offset = end;
+  }
+
+  if (meta) {
+    const exifItem = meta.items.find(item => item.type === 'Exif');
+    const xmpItem = meta.items.find(item => item.type === 'mime' && item.contentType === 'application/rdf+xml');
+
+    if (exifItem) {
+      const data = readHeifItemData(source, meta, exifItem.id);
+      if (data && data.requiredRange) return data;
+      // Exif アイテム: [TIFF ヘッダーまでのオフセット (4)][...][TIFF]
+      if (data && data.length >= 4) {
+        const tiffStart = 4 + new DataView(data.buffer, data.byteOffset, 4).getUint32(0);
+        if (tiffStart < data.length) {
+          Object.assign(metadata, extractExifMetadata(data.subarray(tiffStart)));
+        }
+      }
+    }
+
+    if (xmpItem) {
+      const data = readHeifItemData(source, meta, xmpItem.id);
+      if (data && data.requiredRange) return data;
+      const xmp = data ? decodeXmpBytes(data) : null;
+      if (xmp) {
+        metadata['XMP'] = xmp;
+      }
+    }
+  }
+
+  if (c2pa) {
+    metadata['C2PA'] = c2pa;
+  }
+
+  return metadata;
+}
+
+/**
+ * HEIF の meta ボックスからアイテム情報 (iinf) と位置 (iloc)、idat を読み取り
+ * @param {Uint8Array} data - meta ボックス全体
+ * @param {number} headerSize - meta のヘッダーサイズ
+ * @returns {{items: Array, locations: Map, idat: Uint8Array|null}}
+ */
+function readHeifMetaBox(data, headerSize) {
+  const view = new DataView(data.buffer, data.byteOffset, data.byteLength);
+  const result = { items: [], locations: new Map(), idat: null };
+
+  // meta は FullBox (version/flags 4 バイト)
+  for (const box of readBmffChildren(data, headerSize + 4, data.length)) {
+    if (box.type === 'iinf') {
+      const version = data[box.dataStart];
+      const entriesStart = box.dataStart + 4 + (version === 0 ? 2 : 4);
+      for (const infe of readBmffChildren(data, entriesStart, box.end)) {
+        if (infe.type !== 'infe') continue;
+        const item = readHeifItemInfo(data, view, infe);
+        if (item) result.items.push(item);
+      }
+    } else if (box.type === 'iloc') {
+      readHeifItemLocations(data, view, box, result.locations);
+    } else if (box.type === 'idat') {
+      result.idat = data.subarray(box.dataStart, box.end);
+    }
+  }
+
+  return result;
+}
+
+/**
+ * infe (アイテム情報) ボックスを読み取り
+ * @returns {{id: number, type: string, contentType: string}|null}
+ */
+function readHeifItemInfo(data, view, infe) {
+  const version = data[infe.dataStart];
+  let pos = infe.dataStart + 4;
+
+  const readString = () => {
+    const start = pos;
+    while (pos < infe.end && data[pos] !== 0) pos++;
+    const str = new TextDecoder('utf-8').decode(data.subarray(start, pos));
+    pos++;
+    return str;
+  };
+
+  if (version >= 2) {
+    const idSize = version === 2 ? 2 : 4;
+    if (pos + idSize + 6 > infe.end) return null;
+    const id = idSize === 2 ? view.getUint16(pos) : view.getUint32(pos);
+    pos += idSize + 2; // item_ID + item_protection_index
+    const type = String.fromCharCode(data[pos], data[pos + 1], data[pos + 2], data[pos + 3]);
+    pos += 4;
+    readString(); // item_name
+    const contentType = type === 'mime' ? readString() : '';
+    return { id, type, contentType };
+  }
+
+  // version 0 / 1: item_type がなく content_type を持つ
+  if (pos + 4 > infe.end) return null;
+  const id = view.getUint16(pos);
+  pos += 4;
+  readString(); // item_name
+  return { id, type: 'mime', contentType: readString() };
+}
+
+/**
+ * iloc (アイテム位置) ボックスを読み取り
+ * @param {Map} locations - item_ID -> { constructionMethod, baseOffset, extents: [{offset, length}] }
+ */
+function readHeifItemLocations(data, view, box, locations) {
+  const version = data[box.dataStart];
+  let pos = box.dataStart + 4;
+  if (pos + 2 > box.end) return;
+
+  const offsetSize = data[pos] >> 4;
+  const lengthSize = data[pos] & 0x0F;
+  const baseOffsetSize = data[pos + 1] >> 4;
+  const indexSize = version === 1 || version === 2 ? data[pos + 1] & 0x0F : 0;
+  pos += 2;
+
+  const readSized = (size) => {
+    if (pos + size > box.end) throw new RangeError('iloc truncated');
+    let value = 0;
+    if (size === 4) value = view.getUint32(pos);
+    else if (size === 8) value = view.getUint32(pos) * 4294967296 + view.getUint32(pos + 4);
+    else if (size === 2) value = view.getUint16(pos);
+    pos += size;
+    return value;
+  };
+
+  try {
+    const itemCount = readSized(version < 2 ? 2 : 4);
+    for (let i = 0; i < itemCount; i++) {
+      const id = readSized(version < 2 ? 2 : 4);
+      const constructionMethod = version === 1 || version === 2 ? readSized(2) & 0x0F : 0;
+      readSized(2); // data_reference_index
+      const baseOffset = readSized(baseOffsetSize);
+      const extentCount = readSized(2);
+      const extents = [];
+      for (let j = 0; j < extentCount; j++) {
+        readSized(indexSize);
+        const offset = readSized(offsetSize);
+        extents.push({ offset, length: readSized(lengthSize) });
+      }
+      locations.set(id, { constructionMethod, baseOffset, extents });
+    }
+  } catch (e) {
+    // 途中で切れている iloc は読めた分だけ使う
+  }
+}
+
+/**
+ * アイテムのデータを iloc の位置から読み取り
+ * @param {Object} source - createByteSource の戻り値
+ * @param {Object} meta - readHeifMetaBox の結果
+ * @param {number} id - item_ID
+ * @returns {Uint8Array|Object|null} - データ、未取得なら requiredRange、読めない場合は null
+ */
+function readHeifItemData(source, meta, id) {
+  const location = meta.locations.get(id);
+  if (!location || location.extents.length === 0) return null;
+
+  // ファイル内のオフセット (長さ 0 はファイル末尾まで)
+  const fileExtents = location.extents.map(extent => {
+    const start = location.baseOffset + extent.offset;
+    return { start, end: extent.length === 0 ? source.size : start + extent.length };
+  });
+
+  if (location.constructionMethod === 0) {
+    // 未取得のエクステントはまとめて 1 回の範囲で要求する
+    const missing = fileExtents.filter(extent => !source.read(extent.start, extent.end));
+    if (missing.length > 0) {
+      const start = Math.min(...missing.map(extent => extent.start));
+      const end = Math.max(...missing.map(extent => extent.end));
+      if (end - start > MAX_MEDIA_METADATA_SIZE) return null;
+      return requireRange(source, start, end);
+    }
+  }
+
+  const parts = [];
+  let total = 0;
+  for (let i = 0; i < location.extents.length; i++) {
+    const extent = location.extents[i];
+    const start = location.baseOffset + extent.offset;
+    let part;
+
+    if (location.constructionMethod === 0) {
+      part = source.read(fileExtents[i].start, fileExtents[i].end);
+    } else if (location.constructionMethod === 1 && meta.idat) {
+      // idat 内のオフセット
+      const end = extent.length === 0 ? meta.idat.length : start + extent.length;
+      if (end > meta.idat.length) return null;
+      part = meta.idat.subarray(start, end);
+    } else {
+      return null; // アイテム参照 (construction_method 2) は非対応
+    }
+
+    parts.push(part);
+    total += part.length;
+  }
+
+  if (parts.length === 1) return parts[0];
+  const data = new Uint8Array(total);
+  let written = 0;
+  for (const part of parts) {
+    data.set(part, written);
+    written += part.length;
+  }
+  return data;
+}
+
+/**
+ * C2PA の BMFF uuid ボックスの UUID (d8fec3d6-1b0e-483c-9297-5828877ec481)
+ */
+const C2PA_BMFF_UUID = [0xD8, 0xFE, 0xC3, 0xD6, 0x1B, 0x0E, 0x48, 0x3C, 0x92, 0x97, 0x58, 0x28, 0x87, 0x7E, 0xC4, 0x81];
+
+/**
+ * C2PA マニフェストの uuid ボックスを読み取り
+ * uuid ボックス = UUID (16) + version/flags (4) + purpose ("manifest\0") + merkle オフセット (8) + JUMBF
+ * @param {Uint8Array} data - uuid ボックス全体
+ * @param {number} headerSize - ボックスのヘッダーサイズ
+ * @returns {Object|null} - C2PA の解析結果 (purpose が manifest 以外なら null)
+ */
+function readBmffC2paBox(data, headerSize) {
+  let pos = headerSize + 16 + 4;
+  const purposeStart = pos;
+  while (pos < data.length && data[pos] !== 0) pos++;
+  const purpose = new TextDecoder('utf-8').decode(data.subarray(purposeStart, pos));
+  if (purpose !== 'manifest') return null;
+
+  return readC2paJumbf(data.subarray(pos + 1 + 8));
+}
+
+/**
+ * JPEG XL コンテナのシグネチャボックス (00 00 00 0C 'JXL ' 0D 0A 87 0A)
+ */
+const JXL_CONTAINER_SIGNATURE = [0x00, 0x00, 0x00, 0x0C, 0x4A, 0x58, 0x4C, 0x20, 0x0D, 0x0A, 0x87, 0x0A];
+
+/**
+ * brob (Brotli 圧縮) ボックスの展開待ちデータを解析結果ごとに保持
+ * Brotli の展開は DecompressionStream (非同期) で行うため、decodeJxlBrotliBoxes で後から処理する
+ */
+const jxlBrotliBoxes = new WeakMap();
+
+/**
+ * JPEG XL 形式のメタデータを抽出
+ * コンテナのトップレベルから Exif / xml ボックスを探し、AVIF と同じ Exif / XMP 処理に渡す
+ * (ボックスなしの生コードストリームはメタデータを持たない)
+ * @param {Object} source - createByteSource の戻り値
+ * @returns {Object} - 抽出されたメタデータ (または requiredRange)
+ */
+function extractJxlMetadata(source) {
+  const metadata = {};
+  const compressedBoxes = [];
+  let afterCodestream = false;
+  let offset = 0;
+
+  while (offset + 8 <= source.size) {
+    if (isParseTimeExceeded()) break;
+    const headerBytes = source.read(offset, Math.min(offset + 16, source.size));
+    if (!headerBytes) {
+      // メタデータは通常コードストリームより前にある。後ろのボックスのためだけに追加取得はしない
+      if (afterCodestream) break;
+      return requireRange(source, offset, offset + MEDIA_READ_AHEAD_SIZE);
+    }
+
+    const header = readBmffBoxHeader(headerBytes, 0, headerBytes.length);
+    if (!header) break;
+    const end = header.size === 0 ? source.size : offset + header.size;
+
+    if ((header.type === 'Exif' || header.type === 'xml ' || header.type === 'brob') && end - offset <= MAX_MEDIA_METADATA_SIZE) {
+      const data = source.read(offset + header.headerSize, end);
+      if (!data) return requireRange(source, offset, end);
+
+      if (header.type === 'brob') {
+        // brob: [元のボックス型 (4)][Brotli 圧縮データ]
+        const type = String.fromCharCode(data[0], data[1], data[2], data[3]);
+        if (type === 'Exif' || type === 'xml ') {
+          compressedBoxes.push({ type, data: data.slice(4) });
+        }
+      } else {
+        applyJxlMetadataBox(metadata, header.type, data);
+      }
+    }
+
+    if (header.type === 'jxlc' || header.type === 'jxlp') afterCodestream = true;
+    if (header.size === 0) break;
+    offset = end;
+  }
+
+  if (compressedBoxes.length > 0) {
+    jxlBrotliBoxes.set(metadata, compressedBoxes);
+  }
+  return metadata;
+}
+
+/**
+ * JPEG XL の Exif / xml ボックスの内容をメタデータに反映
+ * @param {Object} metadata - 反映先
+ * @param {string} type - 'Exif' または 'xml '
+ * @param {Uint8Array} data - ボックスの内容
+ */
+function applyJxlMetadataBox(metadata, type, data) {
+  if (type === 'Exif') {
+    // Exif ボックス: [TIFF ヘッダーまでのオフセット (4)][...][TIFF]
+    if (data.length < 4) return;
+    const tiffStart = 4 + new DataView(data.buffer, data.byteOffset, 4).getUint32(0);
+    if (tiffStart < data.length) {
+      Object.assign(metadata, extractExifMetadata(data.subarray(tiffStart)));
+    }
+  } else {
+    const xmp = decodeXmpBytes(data);
+    if (xmp) {
+      metadata['XMP'] = xmp;
+    }
+  }
+}
+
+/**
+ * JPEG XL の brob ボックスを展開してメタデータに反映
+ * 同期の extractMetadata の後に Service Worker から呼び出す。Brotli 非対応の環境では何もしない
+ * @param {Object} metadata - extractMetadata の結果
+ * @returns {Promise<Object>} - 反映後の metadata
+ */
+async function decodeJxlBrotliBoxes(metadata) {
+  const boxes = jxlBrotliBoxes.get(metadata);
+  if (!boxes) return metadata;
+  jxlBrotliBoxes.delete(metadata);
+
+  for (const box of boxes) {
+    try {
+      const stream = new Blob([box.data]).stream().pipeThrough(new DecompressionStream('brotli'));
+      const reader = stream.getReader();
+      const chunks = [];
+      let total = 0;
+      while (true) {
+        const { done, value } = await reader.read();
+        if (done) break;
+        total += value.length;
+        if (total > MAX_INFLATED_TEXT_SIZE) {
+          await reader.cancel();
+          throw new Error('decompressed size limit exceeded');
+        }
+        chunks.push(value);
+      }
+
+      const data = new Uint8Array(total);
+      let written = 0;
+      for (const chunk of chunks) {
+        data.set(chunk, written);
+        written += chunk.length;
+      }
+      applyJxlMetadataBox(metadata, box.type, data);
+    } catch (e) {
+      // DecompressionStream が 'brotli' を受け付けない環境では TypeError になる
+      console.warn(`[AI Meta Viewer] Could not decompress JPEG XL brob box (${box.type.trim()}):`, e.message);
+    }
+  }
+
+  return metadata;
+}
+
+/**
+ * 動画・音声コンテナ内のメタデータとして取得する範囲の上限
+ * moov / Tags / ID3 タグ等がこれより大きい場合は解析を諦める (サンプルテーブルやカバー画像で巨大化したものの全取得を避ける)
+ */
+const MAX_MEDIA_METADATA_SIZE = 16 * 1024 * 1024; // 16MB
+
+/**
+ * 範囲が未取得のときに先読みするサイズ (ボックス/要素ヘッダーだけを取りに行くと往復が増えるため)
+ */
+const MEDIA_READ_AHEAD_SIZE = 65536;
+
+/**
+ * 動画・音声タグのうちメタデータとして扱うキー (小文字)
+ * encoder (Lavf...) や title / artist はほぼすべてのファイルに入っているため、これ以外は JSON の値のみ採用する
+ */
+const MEDIA_TEXT_KEYS = ['comment', 'description', 'synopsis', 'parameters', 'prompt', 'workflow'];
+
+/**
+ * Range Request で取得した断片 (先頭 + 任意の範囲) をまとめて読むためのバイトソース
+ * @param {ArrayBuffer} buffer - 先頭から取得したデータ
+ * @param {Object} options - { totalSize: ファイル全体のサイズ, ranges: [{start, data: Uint8Array}] }
+ * @returns {{size: number, prefix: function(): Uint8Array, read: function(number, number): (Uint8Array|null)}}
+ */
+function createByteSource(buffer, options = {}) {
+  const head = new Uint8Array(buffer);
+  const ranges = [{ start: 0, data: head }, ...(options.ranges || [])];
+
+  return {
+    size: Math.max(options.totalSize || 0, head.length),
+    // 先頭から連続して取得済みの最長のバイト列 (先頭範囲を取り直した場合はそちら)
+    prefix() {
+      return ranges.reduce((best, range) => (range.start === 0 && range.data.length > best.length ? range.data : best), head);
+    },
+    // [start, end) が 1 つの断片に収まっていればその部分を返し、未取得なら null
+    read(start, end) {
+      for (const range of ranges) {
+        if (start >= range.start && end <= range.start + range.data.length) {
+          return range.data.subarray(start - range.start, end - range.start);
+        }
+      }
+      return null;
+    }
+  };
+}
+
+/**
+ * 未取得範囲の取得を要求する結果を作成
+ * background.js はこの範囲だけを Range Request で取得して再解析する
+ * @param {Object} source - createByteSource の戻り値
+ * @param {number} start - 開始位置
+ * @param {number} end - 終了位置 (含まない)
+ * @returns {Object} - { isIncomplete, requiredRange } またはファイル外なら {}
+ */
+function requireRange(source, start, end) {
+  end = Math.min(end, source.size);
+  if (start >= end) return {};
+  return { isIncomplete: true, requiredRange: { start, end } };
+}
+
+/**
+ * MP4 / MOV (ISO-BMFF) 形式のメタデータを抽出
+ * moov/udta/meta/ilst (©cmt 等)、moov/meta の mdta キー、QuickTime の udta テキストアトムを読む
+ * @param {Object} source - createByteSource の戻り値
+ * @returns {Object} - 抽出されたメタデータ (または requiredRange)
+ */
+function extractMp4Metadata(source) {
+  // トップレベルを歩いて moov を探す (mdat の後ろ = ファイル末尾にあることも多い)
+  let offset = 0;
+  while (offset + 8 <= source.size) {
+    if (isParseTimeExceeded()) break;
+    const headerBytes = source.read(offset, Math.min(offset + 16, source.size));
+    if (!headerBytes) return requireRange(source, offset, offset + MEDIA_READ_AHEAD_SIZE);
+
+    const header = readBmffBoxHeader(headerBytes, 0, headerBytes.length);
+    if (!header) return {};
+
+    if (header.type === 'moov') {
+      const end = header.size === 0 ? source.size : offset + header.size;
+      if (end - offset > MAX_MEDIA_METADATA_SIZE) return {};
+      const moov = source.read(offset, end);
+      if (!moov) return requireRange(source, offset, end);
+      return mapMediaTags(readMp4MoovTags(moov, header.headerSize));
+    }
+
+    if (header.size === 0) break; // 以降ファイル末尾まで (moov なし)
+    offset += header.size;
+  }
+
+  return {};
+}
+
+/**
+ * ISO-BMFF のボックスヘッダーを読み取り
+ * @param {Uint8Array} data - バイナリデータ
+ * @param {number} offset - ボックス開始位置
+ * @param {number} limit - 親ボックスの終端
+ * @returns {{type: string, size: number, headerSize: number}|null} - size 0 は「親の終端まで」
+ */
+function readBmffBoxHeader(data, offset, limit) {
+  if (offset + 8 > limit) return null;
+  const view = new DataView(data.buffer, data.byteOffset, data.byteLength);
+  let size = view.getUint32(offset);
+  const type = String.fromCharCode(data[offset + 4], data[offset + 5], data[offset + 6], data[offset + 7]);
+  let headerSize = 8;
+
+  if (size === 1) {
+    if (offset + 16 > limit) return null;
+    size = view.getUint32(offset + 8) * 4294967296 + view.getUint32(offset + 12);
+    headerSize = 16;
+  }
+  if (size !== 0 && size < headerSize) return null;
+
+  return { type, size, headerSize };
+}
+
+/**
+ * ボックス内の子ボックスを列挙
+ * @param {Uint8Array} data - バイナリデータ
+ * @param {number} start - 子ボックス領域の開始位置
+ * @param {number} end - 子ボックス領域の終端
+ * @returns {Array<{type: string, start: number, dataStart: number, end: number, typeBytes: Uint8Array}>}
+ */
+function readBmffChildren(data, start, end) {
+  const boxes = [];
+  let offset = start;
+
+  while (offset + 8 <= end) {
+    if (isParseTimeExceeded()) break;
+    const header = readBmffBoxHeader(data, offset, end);
+    if (!header) break;
+    const boxEnd = header.size === 0 ? end : offset + header.size;
+    if (boxEnd > end) break;
+
+    boxes.push({
+      type: header.type,
+      start: offset,
+      dataStart: offset + header.headerSize,
+      end: boxEnd,
+      typeBytes: data.subarray(offset + 4, offset + 8)
+    });
+    offset = boxEnd;
+  }
+
+  return boxes;
+}
+
+/**
+ * iTunes / QuickTime のアイテム名とキーの対応
+ */
+const MP4_TAG_NAMES = {
+  '©cmt': 'comment',
+  '©des': 'description',
+  'desc': 'description',
+  'ldes': 'description',
+  '©nam': 'title',
+  '©too': 'encoder',
+  '©swr': 'encoder',
+  '©ART': 'artist'
+};
+
+/**
+ * moov ボックスからテキストタグを収集
+ * @param {Uint8Array} moov - moov ボックス全体
+ * @param {number} headerSize - moov のヘッダーサイズ
+ * @returns {Object} - タグ名 -> 文字列
+ */
+function readMp4MoovTags(moov, headerSize) {
+  const tags = {};
+
+  for (const box of readBmffChildren(moov, headerSize, moov.length)) {
+    if (box.type === 'meta') {
+      // QuickTime の mdta キー形式 (ffmpeg -movflags use_metadata_tags 等)
+      Object.assign(tags, readMp4MetaBox(moov, box));
+    } else if (box.type === 'udta') {
+      for (const child of readBmffChildren(moov, box.dataStart, box.end)) {
+        if (child.type === 'meta') {
+          Object.assign(tags, readMp4MetaBox(moov, child));
+        } else if (child.typeBytes[0] === 0xA9) {
+          // QuickTime のユーザーデータテキスト: [長さ (2)][言語 (2)][テキスト]
+          if (child.dataStart + 4 > child.end) continue;
+          const length = (moov[child.dataStart] << 8) | moov[child.dataStart + 1];
+          const textStart = child.dataStart + 4;
+          const text = decodeTextWithLimit(moov.subarray(textStart, Math.min(textStart + length, child.end)));
+          tags[MP4_TAG_NAMES[child.type] || child.type] = text;
+        }
+      }
+    }
+  }
+
+  return tags;
+}
+
+/**
+ * meta ボックス (hdlr + [keys] + ilst) を読み取り
+ * @param {Uint8Array} data - 親のバイナリデータ
+ * @param {Object} box - meta ボックス
+ * @returns {Object} - タグ名 -> 文字列
+ */
+function readMp4MetaBox(data, box) {
+  const tags = {};
+
+  // ISO の meta は FullBox (version/flags 4 バイト) だが、QuickTime の meta には無い
+  let childStart = box.dataStart;
+  if (!matchesAscii(data, childStart + 4, 'hdlr')) {
+    childStart += 4;
+  }
+
+  const children = readBmffChildren(data, childStart, box.end);
+  const keys = [];
+  const keysBox = children.find(child => child.type === 'keys');
+  if (keysBox && keysBox.dataStart + 8 <= keysBox.end) {
+    const view = new DataView(data.buffer, data.byteOffset, data.byteLength);
+    const count = view.getUint32(keysBox.dataStart + 4);
+    let pos = keysBox.dataStart + 8;
+    for (let i = 0; i < count && pos + 8 <= keysBox.end; i++) {
+      const size = view.getUint32(pos);
+      if (size < 8 || pos + size > keysBox.end) break;
+      // [サイズ (4)][名前空間 'mdta' (4)][キー名]
+      keys.push(new TextDecoder('utf-8').decode(data.subarray(pos + 8, pos + size)));
+      pos += size;
+    }
+  }
+
+  const ilst = children.find(child => child.type === 'ilst');
+  if (!ilst) return tags;
+
+  for (const item of readBmffChildren(data, ilst.dataStart, ilst.end)) {
+    const itemChildren = readBmffChildren(data, item.dataStart, item.end);
+    let name;
+
+    if (keys.length > 0) {
+      // keys がある場合、アイテムの型は 1 始まりのキー番号
+      const index = new DataView(data.buffer, data.byteOffset + item.start + 4, 4).getUint32(0);
+      name = keys[index - 1];
+      if (name) name = name.replace(/^com\.apple\.quicktime\./, '');
+    } else if (item.type === '----') {
+      // フリーフォーム: mean + name + data
+      const nameBox = itemChildren.find(child => child.type === 'name');
+      if (nameBox && nameBox.dataStart + 4 <= nameBox.end) {
+        name = new TextDecoder('utf-8').decode(data.subarray(nameBox.dataStart + 4, nameBox.end));
+      }
+    } else {
+      name = MP4_TAG_NAMES[item.type] || item.type;
+    }
+    if (!name) continue;
+
+    const dataBox = itemChildren.find(child => child.type === 'data');
+    if (!dataBox || dataBox.dataStart + 8 > dataBox.end) continue;
+
+    // data ボックス: [型 (4)][ロケール (4)][値]。型 1 = UTF-8, 2 = UTF-16BE
+    const valueType = (data[dataBox.dataStart + 1] << 16) | (data[dataBox.dataStart + 2] << 8) | data[dataBox.dataStart + 3];
+    const value = data.subarray(dataBox.dataStart + 8, dataBox.end);
+    if (valueType === 1) {
+      tags[name] = decodeTextWithLimit(value);
+    } else if (valueType === 2) {
+      tags[name] = decodeTextWithLimit(value, 'utf-16be');
+    }
+  }
+
+  return tags;
+}
+
+/**
+ * Matroska / WebM の要素 ID
+ */
+const EBML_IDS = {
+  EBML: 0x1A45DFA3,
+  SEGMENT: 0x18538067,
+  SEEK_HEAD: 0x114D9B74,
+  SEEK: 0x4DBB,
+  SEEK_ID: 0x53AB,
+  SEEK_POSITION: 0x53AC,
+  CLUSTER: 0x1F43B675,
+  TAGS: 0x1254C367,
+  TAG: 0x7373,
+  SIMPLE_TAG: 0x67C8,
+  TAG_NAME: 0x45A3,
+  TAG_STRING: 0x4487
+};
+
+/**
+ * Matroska / WebM (EBML) 形式のメタデータを抽出
+ * Segment 直下を歩き、SeekHead が指す (または途中で見つかった) Tags 要素だけを取得する
+ * @param {Object} source - createByteSource の戻り値
+ * @returns {Object} - 抽出されたメタデータ (または requiredRange)
+ */
+function extractMatroskaMetadata(source) {
+  const readHeaderAt = (offset) => {
+    const bytes = source.read(offset, Math.min(offset + 12, source.size));
+    return bytes ? readEbmlElementHeader(bytes, 0) : undefined;
+  };
+
+  const ebml = readHeaderAt(0);
+  if (!ebml || ebml.id !== EBML_IDS.EBML || ebml.size === null) return {};
+
+  const segmentOffset = ebml.dataStart + ebml.size;
+  const segment = readHeaderAt(segmentOffset);
+  if (segment === undefined) return requireRange(source, segmentOffset, segmentOffset + MEDIA_READ_AHEAD_SIZE);
+  if (!segment || segment.id !== EBML_IDS.SEGMENT) return {};
+
+  const segmentStart = segmentOffset + segment.dataStart;
+  const segmentEnd = segment.size === null ? source.size : Math.min(source.size, segmentStart + segment.size);
+  let tagsOffset = null;
+  let offset = segmentStart;
+
+  while (offset < segmentEnd) {
+    if (isParseTimeExceeded()) break;
+    const header = readHeaderAt(offset);
+    if (header === undefined) {
+      // SeekHead で Tags の位置が分かっていれば、間の要素は読まずに直接取りに行く
+      if (tagsOffset !== null && tagsOffset > offset) {
+        offset = tagsOffset;
+        continue;
+      }
+      return requireRange(source, offset, offset + MEDIA_READ_AHEAD_SIZE);
+    }
+    if (!header || header.size === null) break;
+
+    const dataStart = offset + header.dataStart;
+    const end = dataStart + header.size;
+
+    if (header.id === EBML_IDS.TAGS) {
+      if (end - offset > MAX_MEDIA_METADATA_SIZE) return {};
+      const tags = source.read(dataStart, end);
+      if (!tags) return requireRange(source, offset, end);
+      return mapMediaTags(readMatroskaTags(tags));
+    }
+
+    if (header.id === EBML_IDS.SEEK_HEAD) {
+      const seekHead = source.read(dataStart, end);
+      if (!seekHead) return requireRange(source, offset, end);
+      const position = findMatroskaSeekPosition(seekHead, EBML_IDS.TAGS);
+      if (position !== null) tagsOffset = segmentStart + position;
+    }
+
+    if (header.id === EBML_IDS.CLUSTER) {
+      // ここから先はフレームデータ。Tags が後方にあれば SeekHead の位置へ飛ぶ
+      if (tagsOffset !== null && tagsOffset > offset) {
+        offset = tagsOffset;
+        continue;
+      }
+      break;
+    }
+
+    offset = end;
+  }
+
+  return {};
+}
+
+/**
+ * EBML の可変長整数を読み取り
+ * @param {Uint8Array} data - バイナリデータ
+ * @param {number} offset - 読み取り位置
+ * @param {boolean} keepMarker - true なら先頭の長さビットを残す (要素 ID 用)
+ * @returns {{value: number|null, length: number}|null} - value が null は「サイズ不明」
+ */
+function readEbmlVint(data, offset, keepMarker) {
+  if (offset >= data.length) return null;
+  const first = data[offset];
+  let length = 1;
+  while (length <= 8 && !(first & (0x80 >> (length - 1)))) length++;
+  if (length > 8 || offset + length > data.length) return null;
+
+  let value = keepMarker ? first : first & (0xFF >> length);
+  let allOnes = value === (0xFF >> length);
+  for (let i = 1; i < length; i++) {
+    value = value * 256 + data[offset + i];
+    if (data[offset + i] !== 0xFF) allOnes = false;
+  }
+
+  return { value: !keepMarker && allOnes ? null : value, length };
+}
+
+/**
+ * EBML 要素ヘッダー (ID + サイズ) を読み取り
+ * @param {Uint8Array} data - バイナリデータ
+ * @param {number} offset - 要素の開始位置
+ * @returns {{id: number, size: number|null, dataStart: number}|null} - dataStart は offset からの相対位置
+ */
+function readEbmlElementHeader(data, offset) {
+  const id = readEbmlVint(data, offset, true);
+  if (!id || id.length > 4) return null;
+  const size = readEbmlVint(data, offset + id.length, false);
+  if (!size) return null;
+  return { id: id.value, size: size.value, dataStart: id.length + size.length };
+}
+
+/**
+ * EBML のマスター要素の子要素を列挙
+ * @param {Uint8Array} data - バイナリデータ
+ * @param {number} start - 子要素領域の開始位置
+ * @param {number} end - 子要素領域の終端
+ * @returns {Array<{id: number, dataStart: number, end: number}>}
+ */
+function readEbmlChildren(data, start, end) {
+  const elements = [];
+  let offset = start;
+
+  while (offset < end) {
+    if (isParseTimeExceeded()) break;
+    const header = readEbmlElementHeader(data, offset);
+    if (!header || header.size === null) break;
+    const dataStart = offset + header.dataStart;
+    if (dataStart + header.size > end) break;
+    elements.push({ id: header.id, dataStart, end: dataStart + header.size });
+    offset = dataStart + header.size;
+  }
+
+  return elements;
+}
+
+/**
+ * SeekHead から指定要素の位置 (Segment データ先頭からの相対位置) を取得
+ * @param {Uint8Array} seekHead - SeekHead のデータ部
+ * @param {number} targetId - 探す要素 ID
+ * @returns {number|null}
+ */
+function findMatroskaSeekPosition(seekHead, targetId) {
+  for (const seek of readEbmlChildren(seekHead, 0, seekHead.length)) {
+    if (seek.id !== EBML_IDS.SEEK) continue;
+    let id = null;
+    let position = null;
+    for (const child of readEbmlChildren(seekHead, seek.dataStart, seek.end)) {
+      const bytes = seekHead.subarray(child.dataStart, child.end);
+      const value = bytes.reduce((acc, b) => acc * 256 + b, 0);
+      if (child.id === EBML_IDS.SEEK_ID) id = value;
+      if (child.id === EBML_IDS.SEEK_POSITION) position = value;
+    }
+    if (id === targetId && position !== null) return position;
+  }
+  return null;
+}
+
+/**
+ * 入れ子の SimpleTag を辿る深さの上限
+ */
+const MAX_MATROSKA_TAG_DEPTH = 8;
+
+/**
+ * Tags 要素から SimpleTag (TagName / TagString) を収集
+ * @param {Uint8Array} data - Tags のデータ部
+ * @returns {Object} - タグ名 -> 文字列
+ */
+function readMatroskaTags(data) {
+  const tags = {};
+
+  const readSimpleTag = (element, depth) => {
+    let name = null;
+    let value = null;
+    for (const child of readEbmlChildren(data, element.dataStart, element.end)) {
+      if (child.id === EBML_IDS.TAG_NAME) name = decodeTextWithLimit(data.subarray(child.dataStart, child.end));
+      else if (child.id === EBML_IDS.TAG_STRING) value = decodeTextWithLimit(data.subarray(child.dataStart, child.end));
+      else if (child.id === EBML_IDS.SIMPLE_TAG) {
+        // 入れ子の SimpleTag (深すぎる入れ子は破損・悪意のあるファイルとみなして読まない)
+        if (depth < MAX_MATROSKA_TAG_DEPTH) readSimpleTag(child, depth + 1);
+        else addParseWarning('length overflow', `SimpleTag nested deeper than ${MAX_MATROSKA_TAG_DEPTH} levels`);
+      }
+    }
+    // 同名タグはグローバル (先に出現する) ものを優先
+    if (name && value !== null && !(name in tags)) tags[name] = value;
+  };
+
+  for (const tag of readEbmlChildren(data, 0, data.length)) {
+    if (tag.id !== EBML_IDS.TAG) continue;
+    for (const child of readEbmlChildren(data, tag.dataStart, tag.end)) {
+      if (child.id === EBML_IDS.SIMPLE_TAG) readSimpleTag(child, 1);
+    }
+  }
+
+  return tags;
+}
+
+/**
+ * 動画・音声コンテナのタグをメタデータに変換
+ * VideoHelperSuite 等は comment に {"prompt": {...}, "workflow": {...}} の JSON を書き込むため、
+ * PNG と同じ prompt / workflow キーに展開する
+ * @param {Object} tags - タグ名 -> 文字列
+ * @returns {Object} - 抽出されたメタデータ
+ */
+function mapMediaTags(tags) {
+  const metadata = {};
+
+  for (const [name, value] of Object.entries(tags)) {
+    if (typeof value !== 'string' || !value.trim()) continue;
+    const key = name.toLowerCase();
+    const trimmed = value.trim();
+
+    if (trimmed.startsWith('{')) {
+      let json = null;
+      try {
+        json = JSON.parse(trimmed);
+      } catch (e) {
+        // JSON でなければ通常のテキストとして扱う
+      }
+      if (json && typeof json === 'object' && key !== 'prompt' && key !== 'workflow' && ('prompt' in json || 'workflow' in json)) {
+        for (const jsonKey of ['prompt', 'workflow']) {
+          if (json[jsonKey] === undefined) continue;
+          metadata[jsonKey] = typeof json[jsonKey] === 'string' ? json[jsonKey] : JSON.stringify(json[jsonKey]);
+        }
+        continue;
+      }
+      if (json) {
+        metadata[MEDIA_TEXT_KEYS.includes(key) ? key : name] = trimmed;
+        continue;
+      }
+    }
+
+    if (!MEDIA_TEXT_KEYS.includes(key)) continue;
+    // A1111 系 (AnimateDiff 等) の infotext は PNG と同じ parameters として扱う
+    if ((key === 'comment' || key === 'description') && /Steps:\s*\d+/.test(value)) {
+      metadata['parameters'] = value;
+    } else {
+      metadata[key] = value;
+    }
+  }
+
+  return metadata;
+}
+
+/**
+ * FLAC 形式のメタデータを抽出
+ * メタデータブロックを順に歩き、VORBIS_COMMENT (type 4) のみを取得する (PICTURE 等は読み飛ばす)
+ * @param {Object} source - createByteSource の戻り値
+ * @returns {Object} - 抽出されたメタデータ (または requiredRange)
+ */
+function extractFlacMetadata(source) {
+  let offset = 4; // 'fLaC'
+
+  while (offset + 4 <= source.size) {
+    if (isParseTimeExceeded()) break;
+    const header = source.read(offset, offset + 4);
+    if (!header) return requireRange(source, offset, offset + MEDIA_READ_AHEAD_SIZE);
+
+    const isLast = (header[0] & 0x80) !== 0;
+    const type = header[0] & 0x7F;
+    const end = offset + 4 + ((header[1] << 16) | (header[2] << 8) | header[3]);
+
+    if (type === 4) {
+      const block = source.read(offset + 4, end);
+      if (!block) return requireRange(source, offset, end);
+      return mapMediaTags(readVorbisComments(block, 0));
+    }
+    if (type === 127 || isLast) break; // 127 は不正なブロック
+
+    offset = end;
+  }
+
+  return {};
+}
+
+/**
+ * Vorbis コメント ([ベンダー長][ベンダー][件数][長さ + "KEY=value"]...) を読み取り
+ * FLAC の VORBIS_COMMENT、Ogg Vorbis / Opus のコメントヘッダーで共通
+ * @param {Uint8Array} data - バイナリデータ
+ * @param {number} offset - ベンダー長の位置
+ * @returns {Object} - タグ名 -> 文字列
+ */
+function readVorbisComments(data, offset) {
+  const tags = {};
+  const view = new DataView(data.buffer, data.byteOffset, data.byteLength);
+
+  if (offset + 4 > data.length) return tags;
+  let pos = offset + 4 + view.getUint32(offset, true);
+  if (pos + 4 > data.length) return tags;
+  const count = view.getUint32(pos, true);
+  pos += 4;
+
+  for (let i = 0; i < count && pos + 4 <= data.length; i++) {
+    const length = view.getUint32(pos, true);
+    pos += 4;
+    if (pos + length > data.length) break;
+
+    const comment = decodeTextWithLimit(data.subarray(pos, pos + length));
+    pos += length;
+
+    const separator = comment.indexOf('=');
+    if (separator <= 0) continue;
+    const name = comment.slice(0, separator);
+    // 同名キーは先に出現したものを優先
+    if (!(name in tags)) tags[name] = comment.slice(separator + 1);
+  }
+
+  return tags;
+}
+
+/**
+ * ID3v2 タグ (MP3 等) のメタデータを抽出
+ * TXXX (ユーザー定義テキスト) と COMM (コメント) のみを読み、APIC 等の大きなフレームは読み飛ばす
+ * @param {Object} source - createByteSource の戻り値
+ * @returns {Object} - 抽出されたメタデータ (または requiredRange)
+ */
+function extractId3Metadata(source) {
+  const header = source.read(0, 10);
+  if (!header) return {};
+
+  const version = header[3];
+  const flags = header[5];
+  const tagEnd = 10 + readSyncsafeInt(header, 6);
+  if (version < 2 || version > 4 || tagEnd - 10 > MAX_MEDIA_METADATA_SIZE) return {};
+
+  // タグ全体の非同期化 (v2.2 / v2.3) はフレーム位置が変わるため、タグ全体を取得して復元してから歩く
+  if ((flags & 0x80) && version < 4) {
+    const tag = source.read(0, tagEnd);
+    if (!tag) return requireRange(source, 0, tagEnd);
+    const restored = removeId3Unsynchronisation(tag.subarray(10));
+    const restoredTag = new Uint8Array(10 + restored.length);
+    restoredTag.set(tag.subarray(0, 10));
+    restoredTag.set(restored, 10);
+    return mapMediaTags(readId3Frames(createByteSource(restoredTag.buffer), version, flags & 0x7F, restoredTag.length));
+  }
+
+  const frames = readId3Frames(source, version, flags, tagEnd);
+  return frames.requiredRange ? frames : mapMediaTags(frames);
+}
+
+/**
+ * ID3v2 のフレームを歩いて TXXX / COMM を収集
+ * @param {Object} source - createByteSource の戻り値
+ * @param {number} version - メジャーバージョン (2, 3, 4)
+ * @param {number} flags - タグヘッダーのフラグ
+ * @param {number} tagEnd - タグの終端
+ * @returns {Object} - タグ名 -> 文字列 (または requiredRange)
+ */
+function readId3Frames(source, version, flags, tagEnd) {
+  const tags = {};
+  const idLength = version === 2 ? 3 : 4;
+  const headerLength = version === 2 ? 6 : 10;
+  let offset = 10;
+
+  // 拡張ヘッダー (v2.3 はサイズ自身を含まない、v2.4 は含む syncsafe)
+  if ((flags & 0x40) && version >= 3) {
+    const ext = source.read(10, 14);
+    if (!ext) return requireRange(source, 0, Math.min(tagEnd, MEDIA_READ_AHEAD_SIZE));
+    offset += version === 3 ? 4 + new DataView(ext.buffer, ext.byteOffset, 4).getUint32(0) : readSyncsafeInt(ext, 0);
+  }
+
+  while (offset + headerLength <= tagEnd) {
+    if (isParseTimeExceeded()) break;
+    const frameHeader = source.read(offset, offset + headerLength);
+    if (!frameHeader) return requireRange(source, offset, Math.min(tagEnd, offset + MEDIA_READ_AHEAD_SIZE));
+    if (frameHeader[0] === 0) break; // パディング
+
+    const id = String.fromCharCode(...frameHeader.subarray(0, idLength));
+    let size;
+    if (version === 2) {
+      size = (frameHeader[3] << 16) | (frameHeader[4] << 8) | frameHeader[5];
+    } else if (version === 3) {
+      size = new DataView(frameHeader.buffer, frameHeader.byteOffset, 8).getUint32(4);
+    } else {
+      size = readSyncsafeInt(frameHeader, 4);
+    }
+    const dataStart = offset + headerLength;
+    const frameEnd = dataStart + size;
+    if (frameEnd > tagEnd) break;
+
+    const isText = id === 'TXXX' || id === 'TXX';
+    const isComment = id === 'COMM' || id === 'COM';
+    if (isText || isComment) {
+      let data = source.read(dataStart, frameEnd);
+      if (!data) return requireRange(source, offset, Math.min(tagEnd, Math.max(frameEnd, offset + MEDIA_READ_AHEAD_SIZE)));
+
+      const formatFlags = version === 2 ? 0 : frameHeader[9];
+      // 圧縮・暗号化フレームは対象外 (v2.3: 0x80 / 0x40, v2.4: 0x08 / 0x04)
+      const isUnsupported = version === 3 ? (formatFlags & 0xC0) : (formatFlags & 0x0C);
+      if (version === 4 && (formatFlags & 0x02)) data = removeId3Unsynchronisation(data);
+      if (version === 4 && (formatFlags & 0x01)) data = data.subarray(4); // データ長インジケーター
+
+      if (!isUnsupported && data.length > 1) {
+        const encoding = data[0];
+        // TXXX: [エンコーディング][説明\0][値]、COMM: [エンコーディング][言語 (3)][説明\0][本文]
+        const description = readId3TerminatedText(data, isComment ? 4 : 1, encoding);
+        const value = decodeId3Text(data.subarray(description.next), encoding);
+        const name = description.text || (isComment ? 'comment' : '');
+        if (name && !(name in tags)) tags[name] = value;
+      }
+    }
+
+    offset = frameEnd;
+  }
+
+  return tags;
+}
+
+/**
+ * syncsafe 整数 (各バイト 7bit) を読み取り
+ */
+function readSyncsafeInt(data, offset) {
+  return ((data[offset] & 0x7F) << 21) | ((data[offset + 1] & 0x7F) << 14) | ((data[offset + 2] & 0x7F) << 7) | (data[offset + 3] & 0x7F);
+}
+
+/**
+ * ID3 の非同期化 (FF 00 -> FF) を元に戻す
+ * @param {Uint8Array} data - バイナリデータ
+ * @returns {Uint8Array}
+ */
+function removeId3Unsynchronisation(data) {
+  const result = new Uint8Array(data.length);
+  let length = 0;
+  for (let i = 0; i < data.length; i++) {
+    result[length++] = data[i];
+    if (data[i] === 0xFF && data[i + 1] === 0x00) i++;
+  }
+  return result.subarray(0, length);
+}
+
+/**
+ * ID3 のテキストをデコード
+ * @param {Uint8Array} bytes - テキストのバイト列
+ * @param {number} encoding - 0: ISO-8859-1, 1: UTF-16 (BOM), 2: UTF-16BE, 3: UTF-8
+ * @returns {string}
+ */
+function decodeId3Text(bytes, encoding) {
+  let text;
+  if (encoding === 1) {
+    const isBigEndian = bytes[0] === 0xFE && bytes[1] === 0xFF;
+    text = decodeTextWithLimit(bytes, isBigEndian ? 'utf-16be' : 'utf-16le');
+  } else if (encoding === 2) {
+    text = decodeTextWithLimit(bytes, 'utf-16be');
+  } else if (encoding === 3) {
+    text = decodeTextWithLimit(bytes);
+  } else {
+    text = decodeTextWithLimit(bytes, 'latin1');
+  }
+  return trimTrailingNulls(text);
+}
+
+/**
+ * ID3 の終端文字付きテキストを読み取り (UTF-16 系は 2 バイトの 00 00 が終端)
+ * @param {Uint8Array} data - フレームデータ
+ * @param {number} start - 開始位置
+ * @param {number} encoding - テキストエンコーディング
+ * @returns {{text: string, next: number}} - next は終端文字の次の位置
+ */
+function readId3TerminatedText(data, start, encoding) {
+  const isWide = encoding === 1 || encoding === 2;
+  let pos = start;
+
+  while (pos < data.length) {
+    if (isWide ? (pos + 1 < data.length && data[pos] === 0 && data[pos + 1] === 0) : data[pos] === 0) break;
+    pos += isWide ? 2 : 1;
+  }
+
+  return {
+    text: decodeId3Text(data.subarray(start, pos), encoding),
+    next: Math.min(data.length, pos + (isWide ? 2 : 1))
+  };
+}
+
+/**
+ * Ogg (Vorbis / Opus / FLAC) 形式のメタデータを抽出
+ * 最初の論理ストリームの 2 番目のパケット (コメントヘッダー) をページをまたいで組み立てる
+ * @param {Object} source - createByteSource の戻り値
+ * @returns {Object} - 抽出されたメタデータ (または requiredRange)
+ */
+function extractOggMetadata(source) {
+  const parts = [];
+  let collected = 0;
+  let packetIndex = 0;
+  let serial = null;
+  let offset = 0;
+
+  while (offset + 27 <= source.size) {
+    if (isParseTimeExceeded()) break;
+    // カバー画像等でコメントが大きい場合に備え、取得済みの分だけ先読みを広げる
+    const readAhead = Math.max(MEDIA_READ_AHEAD_SIZE, collected);
+    const header = source.read(offset, offset + 27);
+    if (!header) return requireRange(source, offset, offset + readAhead);
+    if (!matchesAscii(header, 0, 'OggS')) return {};
+
+    const segmentCount = header[26];
+    const table = source.read(offset + 27, offset + 27 + segmentCount);
+    if (!table) return requireRange(source, offset, offset + readAhead);
+
+    const bodyStart = offset + 27 + segmentCount;
+    const bodyLength = table.reduce((sum, lacing) => sum + lacing, 0);
+    const pageSerial = new DataView(header.buffer, header.byteOffset, 27).getUint32(14, true);
+    if (serial === null) serial = pageSerial;
+
+    if (pageSerial === serial) {
+      const body = source.read(bodyStart, bodyStart + bodyLength);
+      if (!body) return requireRange(source, offset, offset + Math.max(readAhead, bodyStart + bodyLength - offset));
+
+      // セグメント長 255 未満でパケットが終わる
+      let pos = 0;
+      for (const lacing of table) {
+        if (packetIndex === 1) {
+          parts.push(body.subarray(pos, pos + lacing));
+          collected += lacing;
+          if (collected > MAX_MEDIA_METADATA_SIZE) return {};
+        }
+        pos += lacing;
+        if (lacing < 255) {
+          if (packetIndex === 1) {
+            const packet = new Uint8Array(collected);
+            let written = 0;
+            for (const part of parts) {
+              packet.set(part, written);
+              written += part.length;
+            }
+            return mapMediaTags(readOggCommentPacket(packet));
+          }
+          packetIndex++;
+        }
+      }
+    }
+
+    offset = bodyStart + bodyLength;
+  }
+
+  return {};
+}
+
+/**
+ * Ogg のコメントヘッダーパケットからコメントを読み取り
+ * @param {Uint8Array} packet - 2 番目のパケット
+ * @returns {Object} - タグ名 -> 文字列
+ */
+function readOggCommentPacket(packet) {
+  if (packet[0] === 0x03 && matchesAscii(packet, 1, 'vorbis')) {
+    return readVorbisComments(packet, 7);
+  }
+  if (matchesAscii(packet, 0, 'OpusTags')) {
+    return readVorbisComments(packet, 8);
+  }
+  if ((packet[0] & 0x7F) === 4) {
+    // Ogg FLAC: VORBIS_COMMENT のメタデータブロックヘッダー (4) の後
+    return readVorbisComments(packet, 4);
+  }
+  return {};
+}
+
+/**
+ * Safetensors の JSON ヘッダーサイズの上限
+ * 実際のモデルは大きな学習メタデータ (ss_tag_frequency 等) を含めても数 MB 程度
+ */
+const MAX_SAFETENSORS_HEADER_SIZE = 32 * 1024 * 1024; // 32MB
+
+/**
+ * Safetensors形式のメタデータを抽出
+ * @param {ArrayBuffer} buffer - データ
+ * @param {Object} options - { complete: buffer がファイル全体なら true }
+ * @returns {Object} - 抽出されたメタデータ
+ */
+function extractSafetensorsMetadata(buffer, options = {}) {
+  const view = new Uint8Array(buffer);
+
+  if (view.length < 8) {
+    return options.complete ? {} : { isIncomplete: true, suggestedSize: 65536 };
+  }
+
+  const headerSize = getUint64LE(view, 0);
+
+  // 巨大すぎるヘッダーは異常とみなす
+  if (headerSize > MAX_SAFETENSORS_HEADER_SIZE) {
+    addParseWarning('length overflow', `Safetensors header declares ${headerSize} bytes`);
+    return {};
+  }
+
+  // ヘッダーサイズが現在のバッファを超えている場合
+  if (headerSize > view.length - 8) {
+    if (options.complete) {
+      addParseWarning('truncated chunk', `Safetensors header needs ${headerSize + 8 - view.length} more bytes`);
+      return {};
+    }
+    return {
+      isIncomplete: true,
+      suggestedSize: headerSize + 8
+    };
+  }
+
+  if (headerSize <= 0) {
+    return {};
+  }
+
+  try {
+    const headerStr = decodeTextWithLimit(view.subarray(8, 8 + headerSize));
+    const header = JSON.parse(headerStr);
+
+    // Safetensorsは通常 __metadata__ キーにユーザー定義情報が入っている
+    const metadata = (header.__metadata__ && typeof header.__metadata__ === 'object') ? { ...header.__metadata__ } : {};
+
+    // テンソル一覧からアーキテクチャ・精度・ランク等を推定 (__metadata__ が空の LoRA でも表示できるように)
+    // 解析に失敗しても __metadata__ は表示できるよう、ここでのエラーは警告に留める
+    try {
+      const analysis = analyzeSafetensorsTensors(header, view, 8 + headerSize);
+      if (analysis) {
+        metadata['ModelAnalysis'] = analysis;
+      }
+    } catch (e) {
+      addParseWarning('invalid header', `Safetensors tensor list could not be analyzed (${e.message})`);
+    }
+
+    return metadata;
+  } catch (e) {
+    console.error('Safetensors parse error:', e);
+    addParseWarning('invalid header', `Safetensors header is not valid JSON (${e.message})`);
+    return {};
+  }
+}
+
+/**
+ * Safetensors の dtype 表記を一般的な精度名に変換
+ */
+const SAFETENSORS_DTYPE_NAMES = {
+  F64: 'fp64', F32: 'fp32', F16: 'fp16', BF16: 'bf16',
+  F8_E4M3: 'fp8 (e4m3fn)', F8_E5M2: 'fp8 (e5m2)',
+  I64: 'int64', I32: 'int32', I16: 'int16', I8: 'int8', U8: 'uint8', BOOL: 'bool'
+};
+
+/**
+ * Safetensors ヘッダーのテンソル一覧からモデルの種類を解析
+ * @param {Object} header - パース済みの JSON ヘッダー
+ * @param {Uint8Array} view - ファイル先頭のバイト列
+ * @param {number} dataStart - テンソルデータ領域の開始位置 (8 + ヘッダーサイズ)
+ * @returns {Object|null} - { modelType, architecture, components, precision, parameterCount, tensorCount, rank, alpha }
+ */
+function analyzeSafetensorsTensors(header, view, dataStart) {
+  const names = Object.keys(header).filter(name => name !== '__metadata__');
+  if (names.length === 0) return null;
+
+  const meta = header.__metadata__ || {};
+  const has = (pattern) => names.some(name => pattern.test(name));
+  // shape が配列でない (壊れた・独自形式の) エントリは無視する
+  const shapeOf = (name) => (header[name] && Array.isArray(header[name].shape) ? header[name].shape : null);
+
+  // パラメータ数と dtype 別の内訳
+  let parameterCount = 0;
+  const dtypeCounts = {};
+  for (const name of names) {
+    const tensor = header[name];
+    if (!tensor || !Array.isArray(tensor.shape)) continue;
+    const count = tensor.shape.reduce((acc, dim) => acc * dim, 1);
+    parameterCount += count;
+    const dtype = SAFETENSORS_DTYPE_NAMES[tensor.dtype] || String(tensor.dtype);
+    dtypeCounts[dtype] = (dtypeCounts[dtype] || 0) + count;
+  }
+  const precision = Object.entries(dtypeCounts)
+    .sort((a, b) => b[1] - a[1])
+    .map(([dtype, count]) => ({ dtype, ratio: parameterCount > 0 ? count / parameterCount : 0 }));
+
+  // ネットワーク種別 (kohya-ss / LyCORIS / diffusers・PEFT の命名規則)
+  const isLora = has(/lora_(?:down|up)\.|lora_[AB]\.|\.lora\.(?:down|up)\./);
+  let modelType;
+  if (has(/\.lokr_w[12]/)) modelType = 'LoKr';
+  else if (has(/\.hada_w[12]_[ab]/)) modelType = 'LoHa';
+  else if (has(/\.dora_scale$|\.lora_magnitude_vector/)) modelType = 'DoRA';
+  else if (isLora) {
+    // 畳み込み層 (3x3) にも適用されていれば LoCon
+    const isLocon = names.some(name => {
+      const shape = /lora_down\.weight$/.test(name) && shapeOf(name);
+      return !!shape && shape.length === 4 && (shape[2] > 1 || shape[3] > 1);
+    });
+    modelType = isLocon ? 'LoCon' : 'LoRA';
+  } else if (has(/\.on_input$/)) modelType = 'IA3';
+  else if (has(/^(?:emb_params|string_to_param|clip_[lg])$/) && names.length <= 4) modelType = 'Embedding';
+  else if (has(/^(?:model\.)?diffusion_model\.|^double_blocks\.|^joint_blocks\.|^(?:transformer\.)?transformer_blocks\./)) {
+    modelType = has(/^(?:first_stage_model|cond_stage_model|conditioner|text_encoders|vae)\./) ? 'Checkpoint' : 'UNet only';
+  } else if (has(/^(?:first_stage_model\.)?(?:encoder|decoder)\.(?:conv_in|down|up|mid)/)) modelType = 'VAE';
+  else if (has(/^(?:text_model|transformer\.text_model|encoder\.block|shared)\./)) modelType = 'Text Encoder';
+  else modelType = 'Unknown';
+
+  const components = [];
+  if (has(/diffusion_model\.|^double_blocks\.|^joint_blocks\.|lora_unet_|^unet\.|^transformer\./)) components.push('UNet');
+  if (has(/^(?:first_stage_model|vae)\./)) components.push('VAE');
+  if (has(/^(?:cond_stage_model|conditioner|text_encoders)\.|lora_te\d?_|^text_encoder/)) components.push('Text Encoder');
+
+  // アーキテクチャ推定
+  // クロスアテンションの to_k 入力次元 (context dim) が 768 = SD1.x, 1024 = SD2.x, 2048 = SDXL
+  let architecture = 'Unknown';
+  if (has(/double_blocks[._]|single_blocks[._]|single_transformer_blocks/)) architecture = 'Flux';
+  else if (has(/joint_blocks[._]/)) architecture = 'SD3';
+  else if (has(/conditioner\.embedders\.1\.|lora_te2_|label_emb/)) architecture = 'SDXL';
+  else {
+    const contextKey = names.find(name => /attn2[._]to_k(?:\.weight|\.lora_down\.weight|\.lora_A\.weight)$/.test(name));
+    const contextDim = contextKey && shapeOf(contextKey) ? shapeOf(contextKey)[1] : null;
+    if (contextDim === 768) architecture = 'SD1.5';
+    else if (contextDim === 1024) architecture = 'SD2';
+    else if (contextDim === 2048) architecture = 'SDXL';
+    else if (has(/^cond_stage_model\.model\./)) architecture = 'SD2';
+    else if (has(/^cond_stage_model\.transformer\./)) architecture = 'SD1.5';
+  }
+
+  // ランク: lora_down / lora_A の出力次元の最頻値
+  let rank = null;
+  if (modelType !== 'Checkpoint' && modelType !== 'UNet only') {
+    const rankCounts = {};
+    for (const name of names) {
+      if (!/(?:lora_down|lora_A|hada_w1_b)\.weight$|\.hada_w1_b$/.test(name) || !shapeOf(name)) continue;
+      const dim = shapeOf(name)[0];
+      rankCounts[dim] = (rankCounts[dim] || 0) + 1;
+    }
+    const top = Object.entries(rankCounts).sort((a, b) => b[1] - a[1])[0];
+    if (top) rank = Number(top[0]);
+    else if (meta.ss_network_dim) rank = Number(meta.ss_network_dim);
+  }
+
+  // alpha: 学習時の設定を優先し、なければ取得済み範囲内の .alpha テンソルの値を読む
+  let alpha = null;
+  if (rank !== null) {
+    if (meta.ss_network_alpha) {
+      alpha = Number(meta.ss_network_alpha);
+    } else {
+      const alphaKey = names.find(name => name.endsWith('.alpha') && shapeOf(name) && shapeOf(name).length === 0);
+      if (alphaKey) alpha = readSafetensorsScalar(header[alphaKey], view, dataStart);
+    }
+  }
+
+  return {
+    modelType,
+    architecture,
+    components,
+    precision,
+    parameterCount,
+    tensorCount: names.length,
+    rank,
+    alpha
+  };
+}
+
+/**
+ * スカラーテンソルの値を読む (データが取得済み範囲内にある場合のみ)
+ * @param {Object} tensor - { dtype, shape, data_offsets }
+ * @param {Uint8Array} view - ファイル先頭のバイト列
+ * @param {number} dataStart - テンソルデータ領域の開始位置
+ * @returns {number|null}
+ */
+function readSafetensorsScalar(tensor, view, dataStart) {
+  if (!Array.isArray(tensor.data_offsets)) return null;
+  const start = dataStart + tensor.data_offsets[0];
+  const end = dataStart + tensor.data_offsets[1];
+  // 数値でない・負・逆順のオフセットは DataView の生成で例外になるため読まない
+  if (!Number.isInteger(start) || !Number.isInteger(end) || start < dataStart || end < start || end > view.length) return null;
+
+  const data = new DataView(view.buffer, view.byteOffset + start, end - start);
+  let value;
+  if (tensor.dtype === 'F32' && data.byteLength >= 4) value = data.getFloat32(0, true);
+  else if (tensor.dtype === 'BF16' && data.byteLength >= 2) value = new Float32Array(new Uint32Array([data.getUint16(0, true) << 16]).buffer)[0];
+  else if (tensor.dtype === 'F16' && data.byteLength >= 2) {
+    const bits = data.getUint16(0, true);
+    const exponent = (bits >> 10) & 0x1F;
+    const fraction = bits & 0x3FF;
+    const sign = bits & 0x8000 ? -1 : 1;
+    if (exponent === 0) value = sign * Math.pow(2, -14) * (fraction / 1024);
+    else if (exponent === 0x1F) value = fraction ? NaN : sign * Infinity;
+    else value = sign * Math.pow(2, exponent - 15) * (1 + fraction / 1024);
+  } else return null;
+
+  return Number.isFinite(value) ? Math.round(value * 1e4) / 1e4 : null;
+}
+
+/**
+ * GGUF ヘッダー (キー/値 + テンソル情報) の取得上限
+ * LLM のトークナイザー語彙を含む場合でも数 MB 程度に収まる
+ */
+const GGUF_MAX_HEADER_SIZE = 16 * 1024 * 1024; // 16MB
+
+/**
+ * GGUF のテンソル型 (ggml_type)
+ */
+const GGML_TYPE_NAMES = [
+  'F32', 'F16', 'Q4_0', 'Q4_1', 'Q4_2', 'Q4_3', 'Q5_0', 'Q5_1', 'Q8_0', 'Q8_1',
+  'Q2_K', 'Q3_K', 'Q4_K', 'Q5_K', 'Q6_K', 'Q8_K', 'IQ2_XXS', 'IQ2_XS', 'IQ3_XXS', 'IQ1_S',
+  'IQ4_NL', 'IQ3_S', 'IQ2_S', 'IQ4_XS', 'I8', 'I16', 'I32', 'I64', 'F64', 'IQ1_M',
+  'BF16', 'Q4_0_4_4', 'Q4_0_4_8', 'Q4_0_8_8', 'TQ1_0', 'TQ2_0'
+];
+
+/**
+ * general.file_type (llama_ftype) の量子化名
+ */
+const GGUF_FILE_TYPE_NAMES = {
+  0: 'F32', 1: 'F16', 2: 'Q4_0', 3: 'Q4_1', 7: 'Q8_0', 8: 'Q5_0', 9: 'Q5_1',
+  10: 'Q2_K', 11: 'Q3_K_S', 12: 'Q3_K_M', 13: 'Q3_K_L', 14: 'Q4_K_S', 15: 'Q4_K_M',
+  16: 'Q5_K_S', 17: 'Q5_K_M', 18: 'Q6_K', 19: 'IQ2_XXS', 20: 'IQ2_XS', 21: 'Q2_K_S',
+  22: 'IQ3_XS', 23: 'IQ3_XXS', 24: 'IQ1_S', 25: 'IQ4_NL', 26: 'IQ3_S', 27: 'IQ3_M',
+  28: 'IQ2_S', 29: 'IQ2_M', 30: 'IQ4_XS', 31: 'IQ1_M', 32: 'BF16', 36: 'TQ1_0', 37: 'TQ2_0'
+};
+
+/**
+ * 表示する配列の最大要素数 (トークナイザー語彙などは件数のみ表示)
+ */
+const GGUF_MAX_ARRAY_ITEMS = 16;
+
+/**
+ * GGUF 形式のメタデータを抽出
+ * ヘッダーが取得済み範囲を超える場合は先頭からの範囲を倍々に広げて取り直す (上限 GGUF_MAX_HEADER_SIZE)
+ * @param {Object} source - createByteSource の戻り値
+ * @returns {Object} - キー/値と 'GGUF' 概要 (または requiredRange / suggestedSize)
+ */
+function extractGgufMetadata(source) {
+  const data = source.prefix();
+  const result = parseGgufHeader(data);
+
+  if (result.truncated && data.length < GGUF_MAX_HEADER_SIZE && data.length < source.size) {
+    const nextSize = Math.min(GGUF_MAX_HEADER_SIZE, data.length * 4);
+    return requireRange(source, 0, nextSize);
+  }
+  if (result.truncated && data.length < GGUF_MAX_HEADER_SIZE) {
+    // ファイルサイズ不明 (Content-Range に全体長がない) の場合は上限までの再取得を 1 回だけ要求
+    // 再取得後も不足するのはファイル自体が上限未満で壊れている場合のみなので、全取得になっても小さい
+    return { isIncomplete: true, suggestedSize: GGUF_MAX_HEADER_SIZE };
+  }
+  if (result.truncated) {
+    console.warn('[AI Meta Viewer] GGUF header exceeds the read limit. Showing the keys read so far.');
+    addParseWarning('truncated chunk', `GGUF header is larger than the ${GGUF_MAX_HEADER_SIZE}-byte read limit; later keys are not shown`);
+  }
+
+  return result.metadata;
+}
+
+/**
+ * GGUF ヘッダーを解析
+ * @param {Uint8Array} data - ファイル先頭のバイト列
+ * @returns {{metadata: Object, truncated: boolean}}
+ */
+function parseGgufHeader(data) {
+  const view = new DataView(data.buffer, data.byteOffset, data.byteLength);
+  const metadata = {};
+  let offset = 4;
+  let truncated = false;
+
+  // 範囲外の読み取りは例外で中断し、それまでに読めたキーを返す
+  const need = (length) => {
+    if (offset + length > data.length) {
+      throw new RangeError('truncated');
+    }
+  };
+  const u32 = () => { need(4); const v = view.getUint32(offset, true); offset += 4; return v; };
+  const u64 = () => { need(8); const v = getUint64LE(data, offset); offset += 8; return v; };
+
+  need(4);
+  const version = view.getUint32(offset, true);
+  offset += 4;
+  if (version < 1 || version > 3) return { metadata: {}, truncated: false };
+
+  // v1 は件数・文字列長が uint32、v2 以降は uint64
+  const count = version === 1 ? u32 : u64;
+  const string = () => {
+    const length = count();
+    if (length > GGUF_MAX_HEADER_SIZE) throw new RangeError('length overflow');
+    need(length);
+    const text = decodeTextWithLimit(data.subarray(offset, offset + length));
+    offset += length;
+    return text;
+  };
+
+  const readValue = (type) => {
+    switch (type) {
+      case 0: need(1); return view.getUint8(offset++);
+      case 1: need(1); return view.getInt8(offset++);
+      case 2: need(2); offset += 2; return view.getUint16(offset - 2, true);
+      case 3: need(2); offset += 2; return view.getInt16(offset - 2, true);
+      case 4: return u32();
+      case 5: need(4); offset += 4; return view.getInt32(offset - 4, true);
+      case 6: need(4); offset += 4; return view.getFloat32(offset - 4, true);
+      case 7: need(1); return view.getUint8(offset++) !== 0;
+      case 8: return string();
+      case 10: return u64();
+      case 11: need(8); offset += 8; return Number(view.getBigInt64(offset - 8, true));
+      case 12: need(8); offset += 8; return view.getFloat64(offset - 8, true);
+      case 9: {
+        const itemType = u32();
+        const length = count();
+        const items = [];
+        for (let i = 0; i < length; i++) {
+          if (isParseTimeExceeded()) throw new RangeError('time limit exceeded');
+          const item = readValue(itemType);
+          if (i < GGUF_MAX_ARRAY_ITEMS) items.push(item);
+        }
+        return length > GGUF_MAX_ARRAY_ITEMS ? `[${length} items] ${items.join(', ')}, ...` : items;
+      }
+      default:
+        throw new TypeError(`unknown GGUF value type ${type}`);
+    }
+  };
+
+  const summary = { version, tensorCount: 0 };
+  try {
+    summary.tensorCount = count();
+    const kvCount = count();
+
+    for (let i = 0; i < kvCount; i++) {
+      if (isParseTimeExceeded()) break;
+      const key = string();
+      const value = readValue(u32());
+      metadata[key] = value;
+    }
+
+    // テンソル情報: 名前, 次元数, 各次元, 型, オフセット
+    const tensorTypes = {};
+    let parameterCount = 0;
+    for (let i = 0; i < summary.tensorCount; i++) {
+      if (isParseTimeExceeded()) break;
+      string();
+      const dims = u32();
+      if (dims > 8) throw new RangeError('length overflow');
+      let elements = 1;
+      for (let d = 0; d < dims; d++) elements *= u64();
+      const typeName = GGML_TYPE_NAMES[u32()] || 'unknown';
+      u64();
+      tensorTypes[typeName] = (tensorTypes[typeName] || 0) + elements;
+      parameterCount += elements;
+    }
+    summary.parameterCount = parameterCount;
+    summary.tensorTypes = tensorTypes;
+  } catch (e) {
+    if (!(e instanceof RangeError) || e.message !== 'truncated') {
+      console.warn('[AI Meta Viewer] GGUF parse error:', e.message);
+      if (e.message === 'length overflow') {
+        addParseWarning('length overflow', `GGUF value at offset ${offset} declares an impossible length`);
+      } else if (e.message !== 'time limit exceeded') {
+        addParseWarning('invalid header', `GGUF: ${e.message}`);
+      }
+    } else {
+      truncated = true;
+    }
+  }
+
+  if (metadata['general.architecture']) summary.architecture = metadata['general.architecture'];
+  // 量子化: general.file_type があればその名前、なければ最も多いテンソル型 (ComfyUI-GGUF の画像モデル等)
+  if (GGUF_FILE_TYPE_NAMES[metadata['general.file_type']]) {
+    summary.quantization = GGUF_FILE_TYPE_NAMES[metadata['general.file_type']];
+  } else if (summary.tensorTypes) {
+    const top = Object.entries(summary.tensorTypes).sort((a, b) => b[1] - a[1])[0];
+    if (top) summary.quantization = top[0];
+  }
+
+  return { metadata: { GGUF: summary, ...metadata }, truncated };
+}
+
+/**
+ * ZIP 末尾の End of Central Directory を探す範囲 (レコード 22 バイト + コメント最大 65535 バイト)
+ */
+const ZIP_EOCD_SEARCH_SIZE = 22 + 65535;
+
+/**
+ * 読み込むセントラルディレクトリの上限 (チェックポイントは数千エントリ程度)
+ */
+const MAX_ZIP_CENTRAL_DIRECTORY_SIZE = 16 * 1024 * 1024; // 16MB
+
+/**
+ * ZIP の End of Central Directory レコードを解析
+ * @param {Uint8Array} tail - ファイル末尾のバイト列
+ * @param {number} tailStart - tail のファイル内開始位置
+ * @returns {Object|null} - { entryCount, cdOffset, cdSize } または ZIP64 の場合 { zip64RecordOffset }
+ */
+function findZipEndOfCentralDirectory(tail, tailStart) {
+  const view = new DataView(tail.buffer, tail.byteOffset, tail.byteLength);
+
+  for (let pos = tail.length - 22; pos >= 0; pos--) {
+    if (view.getUint32(pos, true) !== 0x06054B50) continue;
+    // コメント長がファイル末尾と一致するものだけを採用 (コメント中の偶然の一致を除外)
+    if (pos + 22 + view.getUint16(pos + 20, true) !== tail.length) continue;
+
+    const entryCount = view.getUint16(pos + 10, true);
+    const cdSize = view.getUint32(pos + 12, true);
+    const cdOffset = view.getUint32(pos + 16, true);
+
+    // ZIP64: 直前の ZIP64 EOCD Locator が ZIP64 レコードの位置を指す
+    if ((entryCount === 0xFFFF || cdSize === 0xFFFFFFFF || cdOffset === 0xFFFFFFFF) &&
+      pos >= 20 && view.getUint32(pos - 20, true) === 0x07064B50) {
+      return { zip64RecordOffset: getUint64LE(tail, pos - 20 + 8) };
+    }
+    return { entryCount, cdOffset, cdSize, eocdOffset: tailStart + pos };
+  }
+  return null;
+}
+
+/**
+ * ZIP64 End of Central Directory レコードを解析
+ * @param {Uint8Array} data - レコード先頭からのバイト列 (56 バイト以上)
+ * @returns {Object|null} - { entryCount, cdOffset, cdSize }
+ */
+function readZip64EndOfCentralDirectory(data) {
+  if (data.length < 56) return null;
+  const view = new DataView(data.buffer, data.byteOffset, data.byteLength);
+  if (view.getUint32(0, true) !== 0x06064B50) return null;
+  return {
+    entryCount: getUint64LE(data, 32),
+    cdSize: getUint64LE(data, 40),
+    cdOffset: getUint64LE(data, 48)
+  };
+}
+
+/**
+ * ZIP セントラルディレクトリのエントリ一覧を解析
+ * @param {Uint8Array} data - セントラルディレクトリ全体
+ * @param {number} entryCount - EOCD に記録されたエントリ数
+ * @returns {Array<{name: string, method: number, compressedSize: number, size: number, localHeaderOffset: number, encrypted: boolean}>}
+ */
+function parseZipCentralDirectory(data, entryCount) {
+  const view = new DataView(data.buffer, data.byteOffset, data.byteLength);
+  const utf8 = new TextDecoder('utf-8');
+  const entries = [];
+  let pos = 0;
+
+  for (let i = 0; i < entryCount && pos + 46 <= data.length; i++) {
+    if (view.getUint32(pos, true) !== 0x02014B50) break;
+
+    const flags = view.getUint16(pos + 8, true);
+    const method = view.getUint16(pos + 10, true);
+    let compressedSize = view.getUint32(pos + 20, true);
+    let size = view.getUint32(pos + 24, true);
+    const nameLength = view.getUint16(pos + 28, true);
+    const extraLength = view.getUint16(pos + 30, true);
+    const commentLength = view.getUint16(pos + 32, true);
+    let localHeaderOffset = view.getUint32(pos + 42, true);
+
+    const nameEnd = pos + 46 + nameLength;
+    const extraEnd = nameEnd + extraLength;
+    if (extraEnd + commentLength > data.length) break;
+
+    // ZIP64 拡張フィールド (0x0001): 0xFFFFFFFF の項目だけがこの順で入っている
+    for (let e = nameEnd; e + 4 <= extraEnd;) {
+      const id = view.getUint16(e, true);
+      const length = view.getUint16(e + 2, true);
+      if (id === 0x0001) {
+        let field = e + 4;
+        const fieldEnd = Math.min(field + length, extraEnd);
+        if (size === 0xFFFFFFFF && field + 8 <= fieldEnd) { size = getUint64LE(data, field); field += 8; }
+        if (compressedSize === 0xFFFFFFFF && field + 8 <= fieldEnd) { compressedSize = getUint64LE(data, field); field += 8; }
+        if (localHeaderOffset === 0xFFFFFFFF && field + 8 <= fieldEnd) { localHeaderOffset = getUint64LE(data, field); }
+        break;
+      }
+      e += 4 + length;
+    }
+
+    entries.push({
+      name: utf8.decode(data.subarray(pos + 46, nameEnd)),
+      method,
+      compressedSize,
+      size,
+      localHeaderOffset,
+      encrypted: (flags & 0x0001) !== 0
+    });
+    pos = extraEnd + commentLength;
+  }
+
+  return entries;
+}
+
+/**
+ * ZIP ローカルファイルヘッダーからデータ本体の開始位置 (ヘッダー先頭からの相対) を取得
+ * @param {Uint8Array} header - ローカルファイルヘッダー先頭からのバイト列 (30 バイト以上)
+ * @returns {number|null}
+ */
+function getZipLocalDataOffset(header) {
+  if (header.length < 30) return null;
+  const view = new DataView(header.buffer, header.byteOffset, header.byteLength);
+  if (view.getUint32(0, true) !== 0x04034B50) return null;
+  return 30 + view.getUint16(26, true) + view.getUint16(28, true);
+}
+
+/**
+ * pickle でインポートされても安全とみなすグローバル (module.name 完全一致)
+ * PyTorch の weights_only ロードが許可するもの (テンソル・ストレージの復元、dtype、OrderedDict、numpy 配列の復元) に準じる
+ */
+const PICKLE_SAFE_GLOBALS = new Set([
+  'collections.OrderedDict',
+  'torch._utils._rebuild_tensor', 'torch._utils._rebuild_tensor_v2', 'torch._utils._rebuild_tensor_v3',
+  'torch._utils._rebuild_parameter', 'torch._utils._rebuild_parameter_with_state', 'torch._utils._rebuild_qtensor',
+  'torch._utils._rebuild_sparse_tensor', 'torch._utils._rebuild_meta_tensor_no_storage',
+  'torch._utils._rebuild_nested_tensor', 'torch._utils._rebuild_device_tensor_from_numpy',
+  'torch._tensor._rebuild_from_type_v2', 'torch.nn.parameter.Parameter',
+  'torch.Size', 'torch.device', 'torch.Tensor', 'torch.UntypedStorage', 'torch.storage.UntypedStorage',
+  ...[
+    'Float', 'Double', 'Half', 'BFloat16', 'Long', 'Int', 'Short', 'Char', 'Byte', 'Bool',
+    'ComplexFloat', 'ComplexDouble', 'QInt8', 'QUInt8', 'QInt32', 'QUInt4x2', 'QUInt2x4'
+  ].map(type => `torch.${type}Storage`),
+  ...[
+    'float64', 'float32', 'float16', 'bfloat16', 'float8_e4m3fn', 'float8_e5m2', 'complex64', 'complex128',
+    'int64', 'int32', 'int16', 'int8', 'uint8', 'bool', 'qint8', 'quint8', 'qint32'
+  ].map(dtype => `torch.${dtype}`),
+  'numpy.core.multiarray._reconstruct', 'numpy.core.multiarray.scalar',
+  'numpy._core.multiarray._reconstruct', 'numpy._core.multiarray.scalar',
+  'numpy.ndarray', 'numpy.dtype',
+  '_codecs.encode'
+]);
+
+/**
+ * pickle の命令と引数の形式
+ * 1/2/4/8: 固定長, 'line': 改行まで, 'line2': 改行まで x2, 'len1'/'len4'/'len8': 長さ + バイト列
+ */
+const PICKLE_OPCODE_ARGS = {
+  0x4B: 1, 0x71: 1, 0x68: 1, 0x80: 1, 0x82: 1,          // BININT1 BINPUT BINGET PROTO EXT1
+  0x4D: 2, 0x83: 2,                                     // BININT2 EXT2
+  0x4A: 4, 0x6A: 4, 0x72: 4, 0x84: 4,                   // BININT LONG_BINGET LONG_BINPUT EXT4
+  0x47: 8, 0x95: 8,                                     // BINFLOAT FRAME
+  0x49: 'line', 0x4C: 'line', 0x53: 'line', 0x56: 'line', 0x46: 'line', 0x70: 'line', 0x67: 'line', 0x50: 'line', // INT LONG STRING UNICODE FLOAT PUT GET PERSID
+  0x63: 'line2', 0x69: 'line2',                         // GLOBAL INST
+  0x55: 'len1', 0x43: 'len1', 0x8C: 'len1', 0x8A: 'len1', // SHORT_BINSTRING SHORT_BINBYTES SHORT_BINUNICODE LONG1
+  0x54: 'len4', 0x58: 'len4', 0x42: 'len4', 0x8B: 'len4', // BINSTRING BINUNICODE BINBYTES LONG4
+  0x8D: 'len8', 0x8E: 'len8', 0x96: 'len8'               // BINUNICODE8 BINBYTES8 BYTEARRAY8
+};
+
+/**
+ * 引数を持たない pickle 命令
+ */
+const PICKLE_NO_ARG_OPCODES = new Set([
+  0x28, 0x2E, 0x30, 0x31, 0x32, 0x4E, 0x52, 0x61, 0x62, 0x64, 0x7D, 0x65, 0x6C, 0x5D, 0x6F, 0x73, 0x74, 0x29, 0x75,
+  0x51, 0x81, 0x85, 0x86, 0x87, 0x88, 0x89, 0x92, 0x93, 0x94, 0x8F, 0x90, 0x91, 0x97, 0x98
+]);
+
+/**
+ * インポート先が許可リストに含まれるか判定
+ * @param {string} module
+ * @param {string} name
+ * @returns {boolean}
+ */
+function isSafePickleGlobal(module, name) {
+  // protocol 4 以降は name のドット区切りを属性として辿るため (torch + os.system → os.system)、ドットを含む名前は常に危険とみなす
+  if (name.includes('.')) return false;
+  return PICKLE_SAFE_GLOBALS.has(`${module}.${name}`);
+}
+
+/**
+ * pickle を逆アセンブルし、GLOBAL / INST / STACK_GLOBAL によるインポートを列挙
+ * 実行はせず、スタックは STACK_GLOBAL の引数 (直前に積まれた文字列 2 つ) を追える程度にだけ追跡する
+ * @param {Uint8Array} data - pickle バイト列 (先頭から)
+ * @returns {{imports: Array<{module: string, name: string, safe: boolean}>, unsafe: boolean, opcodeCount: number, truncated: boolean, error: (string|undefined)}}
+ */
+function scanPickleImports(data) {
+  const view = new DataView(data.buffer, data.byteOffset, data.byteLength);
+  const latin1 = new TextDecoder('latin1');
+  const utf8 = new TextDecoder('utf-8');
+  const seen = new Map();
+  const memo = new Map();
+  // 直近に積まれた値 (文字列以外は null) の末尾 2 つだけを保持
+  let recent = [null, null];
+  let opcodeCount = 0;
+  let truncated = false;
+  let error;
+  let pos = 0;
+
+  const push = (value) => { recent = [recent[1], value]; };
+  const addImport = (module, name) => {
+    const key = `${module}.${name}`;
+    if (!seen.has(key)) seen.set(key, { module, name, safe: isSafePickleGlobal(module, name) });
+  };
+  const readLine = () => {
+    const end = data.indexOf(0x0A, pos);
+    if (end === -1) return null;
+    const line = latin1.decode(data.subarray(pos, end));
+    pos = end + 1;
+    return line;
+  };
+
+  while (pos < data.length) {
+    const op = data[pos++];
+    const arg = PICKLE_OPCODE_ARGS[op];
+    opcodeCount++;
+
+    if (arg === undefined && !PICKLE_NO_ARG_OPCODES.has(op)) {
+      error = `unknown opcode 0x${op.toString(16)} at ${pos - 1}`;
+      break;
+    }
+
+    let value = null;
+    let bytes = null;
+    if (typeof arg === 'number') {
+      if (pos + arg > data.length) { truncated = true; break; }
+      value = arg === 1 ? data[pos] : arg === 2 ? view.getUint16(pos, true) : arg === 4 ? view.getUint32(pos, true) : getUint64LE(data, pos);
+      pos += arg;
+    } else if (arg === 'line' || arg === 'line2') {
+      value = readLine();
+      const second = arg === 'line2' ? readLine() : '';
+      if (value === null || second === null) { truncated = true; break; }
+      if (arg === 'line2') addImport(value, second);
+    } else if (arg) {
+      const lengthSize = arg === 'len1' ? 1 : arg === 'len4' ? 4 : 8;
+      if (pos + lengthSize > data.length) { truncated = true; break; }
+      const length = lengthSize === 1 ? data[pos] : lengthSize === 4 ? view.getUint32(pos, true) : getUint64LE(data, pos);
+      pos += lengthSize;
+      if (pos + length > data.length) { truncated = true; break; }
+      bytes = data.subarray(pos, pos + length);
+      pos += length;
+    }
+
+    switch (op) {
+      case 0x8C: case 0x58: case 0x8D:           // *BINUNICODE*
+        push(utf8.decode(bytes));
+        break;
+      case 0x55: case 0x54:                      // SHORT_BINSTRING / BINSTRING
+        push(latin1.decode(bytes));
+        break;
+      case 0x56: case 0x53:                      // UNICODE / STRING (テキスト形式)
+        push(op === 0x53 ? value.replace(/^(['"])(.*)\1$/, '$2') : value);
+        break;
+      case 0x71: case 0x72:                      // BINPUT / LONG_BINPUT
+        memo.set(value, recent[1]);
+        break;
+      case 0x70:                                 // PUT
+        memo.set(Number(value), recent[1]);
+        break;
+      case 0x94:                                 // MEMOIZE
+        memo.set(memo.size, recent[1]);
+        break;
+      case 0x68: case 0x6A:                      // BINGET / LONG_BINGET
+        push(memo.has(value) ? memo.get(value) : null);
+        break;
+      case 0x67:                                 // GET
+        push(memo.has(Number(value)) ? memo.get(Number(value)) : null);
+        break;
+      case 0x93: {                               // STACK_GLOBAL
+        const [module, name] = recent;
+        if (typeof module === 'string' && typeof name === 'string') {
+          addImport(module, name);
+        } else {
+          // 引数を静的に特定できない STACK_GLOBAL は許可リストに一致しないため危険とみなされる
+          addImport('(unresolved)', 'STACK_GLOBAL');
+        }
+        push(null);
+        break;
+      }
+      case 0x80: case 0x95:                      // PROTO / FRAME はスタックを変えない
+        break;
+      case 0x2E:                                 // STOP: 旧形式の torch.save は複数の pickle が連続する
+        recent = [null, null];
+        break;
+      default:
+        push(null);
+    }
+
+    if (op === 0x2E && data[pos] !== 0x80) break;
+  }
+
+  const imports = Array.from(seen.values());
+  return {
+    imports,
+    unsafe: imports.some(entry => !entry.safe),
+    opcodeCount,
+    truncated,
+    error
+  };
+}
+
+/**
+ * Exif (TIFF) のテキスト系タグ定義
+ * UserComment は既存どおり 'parameters' キーとして扱うためここには含めない
+ */
+const EXIF_TEXT_TAGS = {
+  0x010E: 'ImageDescription',
+  0x010F: 'Make',
+  0x0110: 'Model',
+  0x0131: 'Software',
+  0x013B: 'Artist',
+  0x0132: 'DateTime',
+  0x9C9C: 'XPComment',
+  0x9C9E: 'XPKeywords'
+};
+
+/**
+ * ComfyUI (SaveAnimatedWEBP 等) が "キー:JSON" 形式で書き込む IFD0 タグ
+ * Model (0x0110) に "prompt:{...}"、Make (0x010F) から降順に extra_pnginfo の各キー ("workflow:{...}" 等) が入る
+ */
+const COMFYUI_EXIF_TAGS = [0x0110, 0x010F, 0x010E, 0x010D];
+
+/**
+ * TIFF データ型ごとの1要素あたりのバイト数
+ */
+const TIFF_TYPE_SIZES = {
+  1: 1, 2: 1, 3: 2, 4: 4, 5: 8, 6: 1, 7: 1, 8: 2, 9: 4, 10: 8, 11: 4, 12: 8, 13: 4
+};
+
+/**
+ * 1つの IFD に許容するエントリ数の上限 (破損データでの暴走防止)
+ */
+const MAX_IFD_ENTRIES = 1024;
+
+/**
+ * TIFF構造の IFD を辿ってタグを収集
+ * IFD0 → ExifIFD (0x8769) → GPS (0x8825) / Interoperability (0xA005) の順に辿る
+ * @param {Uint8Array} data - TIFFヘッダーから始まるExifデータ
+ * @returns {Object|null} - { isLittleEndian, ifd0, exif, gps, interop } 各 IFD は Map<tagId, {type, count, value}>
+ *   TIFFヘッダーが不正な場合は null
  */
-function extractJpegMetadata(buffer) {
-  const view = new Uint8Array(buffer);
-  const metadata = {};
+function readTiffIfds(data) {
+  if (data.length < 8) return null;
 
-  // Exifヘッダーを検索 ("Exif\0\0")
-  const exifMarker = [0x45, 0x78, 0x69, 0x66, 0x00, 0x00];
-  const exifIndex = findSequence(view, exifMarker);
-
-  if (exifIndex === -1) {
-    return metadata;
+  const endianMarker = String.fromCharCode(data[0], data[1]);
+  if (endianMarker !== 'II' && endianMarker !== 'MM') {
+    return null; // 不正なTIFFヘッダー
   }
-
-  // TIFFヘッダー位置 (Exifマーカー + 6バイト)
-  const tiffStart = exifIndex + 6;
-
-  // エンディアン判定
-  const endianMarker = String.fromCharCode(view[tiffStart], view[tiffStart + 1]);
   const isLittleEndian = endianMarker === 'II';
+  const dataView = new DataView(data.buffer, data.byteOffset, data.byteLength);
 
-  if (endianMarker !== 'II' && endianMarker !== 'MM') {
-    return metadata; // 不正なTIFFヘッダー
+  if (dataView.getUint16(2, isLittleEndian) !== 42) {
+    return null;
   }
 
-  // UserCommentタグを検索 (0x9286)
-  const userCommentData = findUserComment(view, tiffStart, isLittleEndian);
+  const visited = new Set();
 
-  if (userCommentData) {
-    const parsedComment = parseExifUserComment(userCommentData, isLittleEndian);
-    if (parsedComment) {
-      // parametersキーワードとして保存
-      metadata['parameters'] = parsedComment;
+  // 1つの IFD を読み取り、タグIDをキーとした Map を返す
+  const readIfd = (ifdOffset) => {
+    const entries = new Map();
+    if (!ifdOffset || visited.has(ifdOffset) || ifdOffset + 2 > data.length) {
+      return entries;
     }
-  }
-
-  return metadata;
-}
+    visited.add(ifdOffset);
 
-/**
- * WebP形式のメタデータを抽出
- * @param {ArrayBuffer} buffer - 画像バイナリデータ
- * @returns {Object} - 抽出されたメタデータ
- */
-function extractWebpMetadata(buffer) {
-  const view = new Uint8Array(buffer);
-  const metadata = {};
-
-  // RIFFヘッダーをスキップ (12バイト: "RIFF" + size + "WEBP")
-  let offset = 12;
-
-  while (offset < view.length - 8) {
-    // チャンク型を読み取り
-    const chunkType = String.fromCharCode(view[offset], view[offset + 1],
-      view[offset + 2], view[offset + 3]);
-    offset += 4;
+    const entryCount = dataView.getUint16(ifdOffset, isLittleEndian);
+    if (entryCount > MAX_IFD_ENTRIES) return entries;
 
-    // チャンクサイズを読み取り (Little Endian)
-    const chunkSize = view[offset] | (view[offset + 1] << 8) |
-      (view[offset + 2] << 16) | (view[offset + 3] << 24);
-    offset += 4;
+    for (let i = 0; i < entryCount; i++) {
+      const entryOffset = ifdOffset + 2 + i * 12;
+      if (entryOffset + 12 > data.length) break;
 
-    // EXIFチャンク処理
-    if (chunkType === 'EXIF') {
-      const exifData = view.slice(offset, offset + chunkSize);
+      const tag = dataView.getUint16(entryOffset, isLittleEndian);
+      const type = dataView.getUint16(entryOffset + 2, isLittleEndian);
+      const count = dataView.getUint32(entryOffset + 4, isLittleEndian);
+      const typeSize = TIFF_TYPE_SIZES[type];
+      if (!typeSize) continue; // 未知のデータ型
 
-      // エンディアン判定
-      const endianMarker = String.fromCharCode(exifData[0], exifData[1]);
-      const isLittleEndian = endianMarker === 'II';
+      const byteLength = count * typeSize;
+      // 4バイト以下の値はエントリ内に直接格納され、それ以外はTIFFヘッダーからのオフセット
+      const valueOffset = byteLength <= 4
+        ? entryOffset + 8
+        : dataView.getUint32(entryOffset + 8, isLittleEndian);
 
-      if (endianMarker === 'II' || endianMarker === 'MM') {
-        const userCommentData = findUserComment(exifData, 0, isLittleEndian);
+      if (valueOffset + byteLength > data.length) continue; // 範囲外を指すタグは無視
 
-        if (userCommentData) {
-          const parsedComment = parseExifUserComment(userCommentData, isLittleEndian);
-          if (parsedComment) {
-            metadata['parameters'] = parsedComment;
-          }
-        }
-      }
+      entries.set(tag, { type, count, value: data.subarray(valueOffset, valueOffset + byteLength) });
     }
 
-    // 次のチャンクへ (パディング考慮)
-    offset += chunkSize;
-    if (chunkSize % 2 === 1) {
-      offset += 1; // パディングバイト
-    }
-  }
+    return entries;
+  };
 
-  return metadata;
-}
+  // サブ IFD へのポインタ (LONG / IFD 型) を取得
+  const getPointer = (entries, tag) => {
+    const entry = entries.get(tag);
+    if (!entry || entry.value.length < 4 || (entry.type !== 4 && entry.type !== 13)) return 0;
+    return new DataView(entry.value.buffer, entry.value.byteOffset, 4).getUint32(0, isLittleEndian);
+  };
 
-/**
- * AVIF形式のメタデータを抽出
- * @param {ArrayBuffer} buffer - 画像バイナリデータ
- * @returns {Object} - 抽出されたメタデータ
- */
-function extractAvifMetadata(buffer) {
-  // AVIFはJPEGと同様のExif処理
-  return extractJpegMetadata(buffer);
+  const ifd0 = readIfd(dataView.getUint32(4, isLittleEndian));
+  const exif = readIfd(getPointer(ifd0, 0x8769));
+  const gps = readIfd(getPointer(ifd0, 0x8825));
+  const interop = readIfd(getPointer(exif, 0xA005));
+
+  return { isLittleEndian, ifd0, exif, gps, interop };
 }
 
 /**
- * Safetensors形式のメタデータを抽出
- * @param {ArrayBuffer} buffer - データ
+ * Exif データからテキスト系タグと UserComment を抽出
+ * JPEG (APP1) / WebP (EXIFチャンク) / AVIF (Exifアイテム) で共通利用
+ * @param {Uint8Array} data - TIFFヘッダーから始まるExifデータ
  * @returns {Object} - 抽出されたメタデータ
  */
-function extractSafetensorsMetadata(buffer) {
-  const view = new Uint8Array(buffer);
-
-  if (view.length < 8) {
-    return { isIncomplete: true, suggestedSize: 65536 };
+function extractExifMetadata(data) {
+  const metadata = {};
+  const ifds = readTiffIfds(data);
+  if (!ifds) return metadata;
+
+  // ComfyUI の workflow / prompt (カメラのメーカー名等としては扱わない)
+  const comfyTags = new Set();
+  for (const tagId of COMFYUI_EXIF_TAGS) {
+    const entry = ifds.ifd0.get(tagId);
+    const text = entry && decodeExifText(entry, '');
+    const match = text && text.match(/^(\w+):\s*([[{][\s\S]*)$/);
+    if (!match) continue;
+
+    try {
+      JSON.parse(match[2]);
+    } catch (e) {
+      continue; // JSON でなければ通常のテキストタグとして扱う
+    }
+    const key = /^(workflow|prompt)$/i.test(match[1]) ? match[1].toLowerCase() : match[1];
+    metadata[key] = match[2];
+    comfyTags.add(tagId);
   }
 
-  const headerSize = getUint64LE(view, 0);
-
-  // ヘッダーサイズが現在のバッファを超えている場合
-  if (headerSize > view.length - 8) {
-    // 巨大すぎるヘッダー（100MB超）は異常とみなす
-    if (headerSize > 100 * 1024 * 1024) return {};
+  for (const [tag, name] of Object.entries(EXIF_TEXT_TAGS)) {
+    const tagId = Number(tag);
+    if (comfyTags.has(tagId)) continue;
+    // 基本的に IFD0 だが、ExifIFD 側に書くソフトウェアもあるため両方を見る
+    const entry = ifds.ifd0.get(tagId) || ifds.exif.get(tagId);
+    if (!entry) continue;
 
-    return {
-      isIncomplete: true,
-      suggestedSize: headerSize + 8
-    };
+    const text = decodeExifText(entry, name);
+    if (text) {
+      metadata[name] = text;
+    }
   }
 
-  if (headerSize <= 0) {
-    return {};
+  // UserCommentタグ (0x9286)
+  const userComment = ifds.exif.get(0x9286) || ifds.ifd0.get(0x9286);
+  if (userComment) {
+    const parsedComment = parseExifUserComment(userComment.value, ifds.isLittleEndian);
+    if (parsedComment && parsedComment.text && parsedComment.text.trim()) {
+      // parametersキーワードとして保存
+      metadata['parameters'] = parsedComment.text;
+      // 文字コードを推定した場合は、モーダルで手動再デコードできるよう元のバイト列も保持
+      if (parsedComment.encoding) {
+        metadata['UserCommentEncoding'] = parsedComment.encoding;
+      }
+    }
   }
 
-  try {
-    const headerBytes = view.slice(8, 8 + headerSize);
-    const headerStr = new TextDecoder('utf-8').decode(headerBytes);
-    const header = JSON.parse(headerStr);
+  return metadata;
+}
 
-    // Safetensorsは通常 __metadata__ キーにユーザー定義情報が入っている
-    if (header.__metadata__) {
-      return header.__metadata__;
+/**
+ * Exif テキストタグの値をデコード
+ * @param {{type: number, value: Uint8Array}} entry - IFDエントリ
+ * @param {string} name - タグ名
+ * @returns {string|null} - デコード結果、空の場合はnull
+ */
+function decodeExifText(entry, name) {
+  try {
+    let decoded;
+    if (name.startsWith('XP')) {
+      // Windows XP* タグは BYTE 型だが中身は常に UTF-16LE
+      const even = entry.value.subarray(0, entry.value.length - (entry.value.length % 2));
+      decoded = decodeTextWithLimit(even, 'utf-16le');
+    } else if (entry.type === 2 || entry.type === 1 || entry.type === 7) {
+      // ASCII 型だが実際には UTF-8 で書き込むソフトウェアが多い
+      decoded = decodeTextWithLimit(entry.value);
+    } else {
+      return null;
     }
-
-    return {};
+    const trimmed = trimTrailingNulls(decoded).trim();
+    return trimmed || null;
   } catch (e) {
-    console.error('Safetensors parse error:', e);
-    return {};
+    console.error('Exifテキスト解析エラー:', e);
+    return null;
   }
 }
 
 /**
- * UserCommentタグを検索
- * @param {Uint8Array} data - Exifデータ
- * @param {number} tiffStart - TIFFヘッダー開始位置
- * @param {boolean} isLittleEndian - Little Endianかどうか
- * @returns {Uint8Array|null} - UserCommentデータ、見つからない場合はnull
+ * 文字コード推定の対象とするレガシー文字コード (同点の場合はこの順を優先)
  */
-function findUserComment(data, tiffStart, isLittleEndian) {
-  // UserCommentタグID: 0x9286
-  const tagBytes = isLittleEndian ? [0x86, 0x92] : [0x92, 0x86];
-
-  for (let i = tiffStart; i < data.length - 12; i++) {
-    if (data[i] === tagBytes[0] && data[i + 1] === tagBytes[1]) {
-      // タグが見つかった
-      // データ型 (2バイト) をスキップ
-      // データ数 (4バイト) を読み取り
-      const count = isLittleEndian
-        ? data[i + 4] | (data[i + 5] << 8) | (data[i + 6] << 16) | (data[i + 7] << 24)
-        : (data[i + 4] << 24) | (data[i + 5] << 16) | (data[i + 6] << 8) | data[i + 7];
+const LEGACY_TEXT_ENCODINGS = ['shift_jis', 'euc-jp', 'euc-kr'];
 
-      // データオフセット (4バイト) を読み取り
-      const dataOffset = isLittleEndian
-        ? data[i + 8] | (data[i + 9] << 8) | (data[i + 10] << 16) | (data[i + 11] << 24)
-        : (data[i + 8] << 24) | (data[i + 9] << 16) | (data[i + 10] << 8) | data[i + 11];
+/**
+ * 手動再デコード用に元のバイト列を保持する UserComment の上限 (base64 で約 1.33 倍になる)
+ */
+const MAX_USER_COMMENT_REDECODE_SIZE = 1024 * 1024;
 
-      // データが4バイト以下の場合、オフセット位置に直接データが入っている
-      if (count <= 4) {
-        return data.slice(i + 8, i + 8 + count);
+/**
+ * レガシー文字コードとしてのバイト列のもっともらしさを採点
+ * 2 バイト文字 1 つにつき 1 点、かな (Shift_JIS / EUC-JP) やハングル (EUC-KR) の領域なら 2 点
+ * @param {Uint8Array} bytes - テキストデータ
+ * @param {string} encoding - LEGACY_TEXT_ENCODINGS のいずれか
+ * @returns {number} - スコア、この文字コードとして不正なバイト列を含む場合は -1
+ */
+function scoreLegacyEncoding(bytes, encoding) {
+  let score = 0;
+  for (let i = 0; i < bytes.length; i++) {
+    const lead = bytes[i];
+    if (lead < 0x80) continue;
+    const trail = i + 1 < bytes.length ? bytes[i + 1] : -1;
+
+    if (encoding === 'shift_jis') {
+      // 半角カナは有効だが、AI 生成メタデータでは稀なので加点しない
+      if (lead >= 0xA1 && lead <= 0xDF) continue;
+      if (((lead >= 0x81 && lead <= 0x9F) || (lead >= 0xE0 && lead <= 0xFC)) &&
+        trail >= 0x40 && trail <= 0xFC && trail !== 0x7F) {
+        score += (lead === 0x82 || lead === 0x83) ? 2 : 1;
+        i++;
+        continue;
       }
-
-      // データが4バイト超の場合、オフセットを使用
-      const actualOffset = tiffStart + dataOffset;
-      if (actualOffset + count <= data.length) {
-        return data.slice(actualOffset, actualOffset + count);
+    } else {
+      // EUC-JP の半角カナ (SS2)
+      if (encoding === 'euc-jp' && lead === 0x8E && trail >= 0xA1 && trail <= 0xDF) {
+        i++;
+        continue;
+      }
+      if (lead >= 0xA1 && lead <= 0xFE && trail >= 0xA1 && trail <= 0xFE) {
+        const isNative = encoding === 'euc-jp' ? (lead === 0xA4 || lead === 0xA5) : (lead >= 0xB0 && lead <= 0xC8);
+        score += isNative ? 2 : 1;
+        i++;
+        continue;
       }
     }
+    return -1;
   }
+  return score;
+}
 
-  return null;
+/**
+ * 文字コード識別子が当てにならないテキストの文字コードを推定
+ * 1. バイトパターン (ISO-2022-JP のエスケープシーケンス、レガシー文字コードごとのスコア)
+ * 2. UTF-8 として厳密 (fatal) にデコードできるか
+ * 3. スコアの高いレガシー文字コードから順に厳密デコードを試行
+ * @param {Uint8Array} bytes - テキストデータ
+ * @returns {string} - TextDecoder のラベル ('utf-8' / 'iso-2022-jp' / 'shift_jis' / 'euc-jp' / 'euc-kr')
+ */
+function detectTextEncoding(bytes) {
+  // 8 ビット目を使わない場合は ASCII か ISO-2022-JP (ESC $ @ / ESC $ B で JIS X 0208 に切り替え)
+  const highByteIndex = bytes.findIndex(byte => byte >= 0x80);
+  if (highByteIndex === -1) {
+    for (let i = bytes.indexOf(0x1B); i !== -1 && i + 2 < bytes.length; i = bytes.indexOf(0x1B, i + 1)) {
+      if (bytes[i + 1] === 0x24 && (bytes[i + 2] === 0x40 || bytes[i + 2] === 0x42)) return 'iso-2022-jp';
+    }
+    return 'utf-8';
+  }
+
+  const candidates = LEGACY_TEXT_ENCODINGS
+    .map(encoding => ({ encoding, score: scoreLegacyEncoding(bytes, encoding) }))
+    .filter(candidate => candidate.score > 0)
+    .sort((a, b) => b.score - a.score);
+
+  for (const encoding of ['utf-8', ...candidates.map(candidate => candidate.encoding)]) {
+    try {
+      new TextDecoder(encoding, { fatal: true }).decode(bytes);
+      return encoding;
+    } catch (e) {
+      // この文字コードとしては不正 (次の候補へ)
+    }
+  }
+  return 'utf-8';
+}
+
+/**
+ * バイト列を base64 文字列に変換 (メッセージで渡せる形で保持するため)
+ * @param {Uint8Array} bytes - バイナリデータ
+ * @returns {string}
+ */
+function bytesToBase64(bytes) {
+  let binary = '';
+  for (let i = 0; i < bytes.length; i += 0x8000) {
+    binary += String.fromCharCode(...bytes.subarray(i, i + 0x8000));
+  }
+  return btoa(binary);
 }
 
 /**
  * Exif UserCommentを解析
  * @param {Uint8Array} data - UserCommentデータ
  * @param {boolean} isLittleEndian - Little Endianかどうか
- * @returns {string|null} - 解析されたテキスト、失敗時はnull
+ * @returns {{text: string, encoding: Object|undefined}|null} - 解析されたテキスト、失敗時はnull
+ *   文字コードを推定した非 ASCII のテキストには encoding { detected, identifier, bytes (base64) } を付与
  */
 function parseExifUserComment(data, isLittleEndian) {
   if (data.length < 8) {
@@ -418,9 +3148,11 @@ function parseExifUserComment(data, isLittleEndian) {
   }
 
   // 先頭4バイトが\0\0\0\0の場合、オフセット4から文字コード識別子
+  // (未定義の識別子 \0 x 8 と区別するため、オフセット4からが既知の識別子の場合のみ)
   let charCode, textData;
   if (data.length >= 12 &&
-    data[0] === 0 && data[1] === 0 && data[2] === 0 && data[3] === 0) {
+    data[0] === 0 && data[1] === 0 && data[2] === 0 && data[3] === 0 &&
+    /^(?:ASCII|JIS|UNICODE)\0|^\0{8}$/.test(String.fromCharCode(...data.subarray(4, 12)))) {
     charCode = data.slice(4, 12);
     textData = data.slice(12);
   } else if (data.length >= 8) {
@@ -440,12 +3172,12 @@ function parseExifUserComment(data, isLittleEndian) {
         const bom = (textData[0] << 8) | textData[1];
         if (bom === 0xFEFF) {
           // Big Endian UTF-16 (BOMあり)
-          const decoded = new TextDecoder('utf-16be').decode(textData.slice(2));
-          return decoded.replace(/\0+$/, ''); // NULL終端を除去
+          const decoded = decodeTextWithLimit(textData.slice(2), 'utf-16be');
+          return { text: trimTrailingNulls(decoded) }; // NULL終端を除去
         } else if (bom === 0xFFFE) {
           // Little Endian UTF-16 (BOMあり)
-          const decoded = new TextDecoder('utf-16le').decode(textData.slice(2));
-          return decoded.replace(/\0+$/, '');
+          const decoded = decodeTextWithLimit(textData.slice(2), 'utf-16le');
+          return { text: trimTrailingNulls(decoded) };
         }
 
         // BOMなし: ヒューリスティック判定
@@ -457,48 +3189,326 @@ function parseExifUserComment(data, isLittleEndian) {
         const isLE = (firstLE >= 0x0020 && firstLE <= 0x007E);
 
         const encoding = isLE ? 'utf-16le' : 'utf-16be';
-        const decoded = new TextDecoder(encoding).decode(textData);
-        return decoded.replace(/\0+$/, '');
+        const decoded = decodeTextWithLimit(textData, encoding);
+        return { text: trimTrailingNulls(decoded) };
+      }
+    }
+
+    // ASCII / JIS / 未定義 (すべて0x00) / 不明な識別子
+    // ASCII と書きつつ UTF-8 や Shift_JIS を入れるソフトウェア、JIS で Shift_JIS を入れるソフトウェアが多いため、
+    // 識別子に関わらずバイト列から文字コードを推定する
+    const encoding = detectTextEncoding(textData);
+    const text = trimTrailingNulls(decodeTextWithLimit(textData, encoding));
+    if (!text.trim()) return null; // 空文字列・空白のみ (カメラが書き込むパディング) の場合はnull
+
+    const result = { text };
+    if (encoding !== 'utf-8' || textData.some(byte => byte >= 0x80)) {
+      if (textData.length <= MAX_USER_COMMENT_REDECODE_SIZE) {
+        result.encoding = {
+          detected: encoding,
+          identifier: charCode.every(byte => byte === 0x00) ? 'Undefined' : trimTrailingNulls(charCodeStr).trim(),
+          bytes: bytesToBase64(textData)
+        };
+      }
+    }
+    return result;
+
+  } catch (e) {
+    console.error('UserComment解析エラー:', e);
+    return null;
+  }
+}
+
+/**
+ * XMP の既知名前空間URI → 正規プレフィックス
+ * 文書側で別プレフィックスが宣言されていても同じキー名で参照できるようにする
+ */
+const XMP_NAMESPACES = {
+  'http://purl.org/dc/elements/1.1/': 'dc',
+  'http://ns.adobe.com/xap/1.0/': 'xmp',
+  'http://ns.adobe.com/xap/1.0/mm/': 'xmpMM',
+  'http://ns.adobe.com/xap/1.0/rights/': 'xmpRights',
+  'http://ns.adobe.com/xmp/note/': 'xmpNote',
+  'http://ns.adobe.com/exif/1.0/': 'exif',
+  'http://cipa.jp/exif/1.0/': 'exifEX',
+  'http://ns.adobe.com/tiff/1.0/': 'tiff',
+  'http://ns.adobe.com/photoshop/1.0/': 'photoshop',
+  'http://iptc.org/std/Iptc4xmpCore/1.0/xmlns/': 'Iptc4xmpCore',
+  'http://iptc.org/std/Iptc4xmpExt/2008-02-29/': 'Iptc4xmpExt',
+  'http://ns.useplus.org/ldf/xmp/1.0/': 'plus',
+  'http://www.w3.org/1999/02/22-rdf-syntax-ns#': 'rdf',
+  'adobe:ns:meta/': 'x'
+};
+
+/**
+ * 1つの XMP パケットから抽出するプロパティ数の上限 (編集履歴が巨大なファイル対策)
+ */
+const MAX_XMP_PROPERTIES = 1000;
+
+/**
+ * XMP パケット (RDF/XML) を名前空間付きのキー/値ペアに変換
+ * Service Worker では DOMParser が使えないため、XMP で使われる範囲の XML を簡易的に解析する
+ * - rdf:Description の属性・子要素をプロパティとして扱う
+ * - rdf:Alt は x-default (なければ先頭) の値、rdf:Seq / rdf:Bag は ", " 区切りで結合
+ * - 構造体は "親/子"、配列内の構造体は "親[1]/子" のキーに展開
+ * @param {string} xml - XMP パケット文字列
+ * @returns {Object} - { 'dc:description': '...', 'Iptc4xmpExt:DigitalSourceType': '...', ... }
+ */
+function parseXmpPacket(xml) {
+  const root = parseXmlTree(xml);
+  const prefixMap = {};
+
+  // 名前空間宣言を収集 (XMP では通常 rdf:Description 上で宣言される)
+  const collectNamespaces = (node) => {
+    for (const [attr, value] of Object.entries(node.attrs)) {
+      if (attr.startsWith('xmlns:')) {
+        const prefix = attr.substring(6);
+        prefixMap[prefix] = XMP_NAMESPACES[value] || prefix;
       }
     }
+    node.children.forEach(collectNamespaces);
+  };
+  collectNamespaces(root);
+
+  const normalizeName = (name) => {
+    const colon = name.indexOf(':');
+    if (colon === -1) return name;
+    const prefix = name.substring(0, colon);
+    return `${prefixMap[prefix] || prefix}${name.substring(colon)}`;
+  };
+
+  const result = {};
+  let count = 0;
+
+  const setProperty = (key, value) => {
+    if (count >= MAX_XMP_PROPERTIES || value === '') return;
+    if (!(key in result)) count++;
+    result[key] = value;
+  };
+
+  // 属性形式のプロパティ (rdf:Description の属性、構造体の省略形)
+  const addAttributeProperties = (node, path) => {
+    for (const [attr, value] of Object.entries(node.attrs)) {
+      if (attr.startsWith('xmlns') || attr.startsWith('rdf:') || attr.startsWith('xml:')) continue;
+      setProperty(path + normalizeName(attr), value.trim());
+    }
+  };
+
+  // プロパティ要素の値を展開
+  const addPropertyElement = (node, key) => {
+    if (node.attrs['rdf:resource'] !== undefined) {
+      setProperty(key, node.attrs['rdf:resource']);
+      return;
+    }
+
+    const container = node.children.find(child => /^rdf:(Alt|Seq|Bag)$/.test(normalizeName(child.name)));
+    if (container) {
+      const items = container.children.filter(child => normalizeName(child.name) === 'rdf:li');
+      if (normalizeName(container.name) === 'rdf:Alt') {
+        const preferred = items.find(li => li.attrs['xml:lang'] === 'x-default') || items[0];
+        if (preferred) addPropertyElement(preferred, key);
+        return;
+      }
+      // 配列要素: 単純値は結合、構造体は添字付きで展開
+      const simpleValues = [];
+      items.forEach((li, index) => {
+        if (li.children.length > 0 || hasPropertyAttributes(li)) {
+          addStruct(li, `${key}[${index + 1}]/`);
+        } else {
+          simpleValues.push(li.text.trim());
+        }
+      });
+      if (simpleValues.length > 0) {
+        setProperty(key, simpleValues.filter(Boolean).join(', '));
+      }
+      return;
+    }
+
+    if (node.children.length > 0 || node.attrs['rdf:parseType'] === 'Resource' || hasPropertyAttributes(node)) {
+      addStruct(node, `${key}/`);
+      return;
+    }
+
+    setProperty(key, node.text.trim());
+  };
+
+  // 構造体 (子要素 / 入れ子の rdf:Description / 属性) をパス付きで展開
+  const addStruct = (node, path) => {
+    addAttributeProperties(node, path);
+    for (const child of node.children) {
+      if (normalizeName(child.name) === 'rdf:Description') {
+        addStruct(child, path);
+      } else {
+        addPropertyElement(child, path + normalizeName(child.name));
+      }
+    }
+  };
+
+  const hasPropertyAttributes = (node) => Object.keys(node.attrs).some(attr =>
+    !attr.startsWith('xmlns') && !attr.startsWith('rdf:') && !attr.startsWith('xml:'));
+
+  // トップレベルの rdf:Description をすべて処理
+  const visit = (node) => {
+    if (normalizeName(node.name) === 'rdf:Description') {
+      addStruct(node, '');
+      return;
+    }
+    node.children.forEach(visit);
+  };
+  visit(root);
+
+  return result;
+}
+
+/**
+ * XMP の XML として読み取る要素の入れ子の深さと要素数の上限
+ * 実際の XMP は深さ 10 程度。破損・悪意のあるパケットで再帰やメモリを使い果たさないための制限
+ */
+const MAX_XML_DEPTH = 64;
+const MAX_XML_NODES = 100000;
+
+/**
+ * XMP 用の簡易 XML パーサー
+ * 先頭から 1 回だけ走査する。閉じていないコメント等はそこで打ち切り、先へ読み直さない
+ * @param {string} xml - XML文字列
+ * @returns {{name: string, attrs: Object, children: Array, text: string}} - ルートノード
+ */
+function parseXmlTree(xml) {
+  const root = { name: '', attrs: {}, children: [], text: '' };
+  const stack = [root];
+  const tagRegex = /<(\/?)([^\s/>]+)((?:\s+[^\s=/>]+\s*=\s*(?:"[^"]*"|'[^']*'))*)\s*(\/?)>/y;
+  const attrRegex = /([^\s=/>]+)\s*=\s*(?:"([^"]*)"|'([^']*)')/g;
+  let nodeCount = 0;
+  let pos = 0;
+
+  // 終端文字列の直後の位置 (見つからなければ末尾)
+  const skipPast = (terminator, from) => {
+    const end = xml.indexOf(terminator, from);
+    return end === -1 ? xml.length : end + terminator.length;
+  };
+
+  while (pos < xml.length) {
+    if (isParseTimeExceeded()) break;
+    const current = stack[stack.length - 1];
 
-    // ASCII/UTF-8
-    if (charCodeStr.startsWith('ASCII')) {
-      const decoded = new TextDecoder('utf-8').decode(textData);
-      return decoded.replace(/\0+$/, '');
+    const lt = xml.indexOf('<', pos);
+    if (lt !== pos) {
+      const end = lt === -1 ? xml.length : lt;
+      current.text += decodeXmlEntities(xml.slice(pos, end));
+      pos = end;
+      continue;
     }
 
-    // JIS (ISO-2022-JP)
-    if (charCodeStr.startsWith('JIS')) {
-      // UTF-8として試行
-      const decoded = new TextDecoder('utf-8').decode(textData);
-      return decoded.replace(/\0+$/, '');
+    if (xml.startsWith('<!--', pos)) {
+      pos = skipPast('-->', pos + 4);
+    } else if (xml.startsWith('<?', pos)) {
+      pos = skipPast('?>', pos + 2);
+    } else if (xml.startsWith('<![CDATA[', pos)) {
+      const end = xml.indexOf(']]>', pos + 9);
+      current.text += xml.slice(pos + 9, end === -1 ? xml.length : end); // CDATA
+      pos = end === -1 ? xml.length : end + 3;
+    } else if (xml.startsWith('<!DOCTYPE', pos)) {
+      pos = skipPast('>', pos);
+    } else {
+      tagRegex.lastIndex = pos;
+      const match = tagRegex.exec(xml);
+      if (!match) {
+        pos++; // タグとして読めない '<' は読み飛ばす
+        continue;
+      }
+      pos = tagRegex.lastIndex;
+
+      if (match[1] === '/') {
+        // 閉じタグ: 対応する開始タグまで戻る (不整合なタグは読み飛ばす)
+        for (let i = stack.length - 1; i > 0; i--) {
+          if (stack[i].name === match[2]) {
+            stack.length = i;
+            break;
+          }
+        }
+        continue;
+      }
+
+      if (++nodeCount > MAX_XML_NODES) {
+        addParseWarning('length overflow', `XMP has more than ${MAX_XML_NODES} elements; the rest is ignored`);
+        break;
+      }
+      const node = { name: match[2], attrs: {}, children: [], text: '' };
+      let attrMatch;
+      attrRegex.lastIndex = 0;
+      while ((attrMatch = attrRegex.exec(match[3])) !== null) {
+        node.attrs[attrMatch[1]] = decodeXmlEntities(attrMatch[2] !== undefined ? attrMatch[2] : attrMatch[3]);
+      }
+      current.children.push(node);
+      if (match[4] !== '/') {
+        if (stack.length > MAX_XML_DEPTH) {
+          addParseWarning('length overflow', `XMP elements nested deeper than ${MAX_XML_DEPTH} levels`);
+          break;
+        }
+        stack.push(node);
+      }
     }
+  }
 
-    // 未定義 (すべて0x00)
-    const isAllZero = charCode.every(byte => byte === 0x00);
-    if (isAllZero) {
-      const decoded = new TextDecoder('utf-8').decode(textData);
-      const trimmed = decoded.replace(/\0+$/, '');
-      return trimmed || null; // 空文字列の場合はnull
+  return root;
+}
+
+/**
+ * XML 実体参照をデコード
+ * @param {string} str - 対象文字列
+ * @returns {string}
+ */
+function decodeXmlEntities(str) {
+  return str.replace(/&(#x[0-9a-fA-F]+|#\d+|lt|gt|amp|quot|apos);/g, (m, entity) => {
+    switch (entity) {
+      case 'lt': return '<';
+      case 'gt': return '>';
+      case 'amp': return '&';
+      case 'quot': return '"';
+      case 'apos': return "'";
     }
+    const code = entity[1] === 'x' ? parseInt(entity.substring(2), 16) : parseInt(entity.substring(1), 10);
+    try {
+      return String.fromCodePoint(code);
+    } catch (e) {
+      return m;
+    }
+  });
+}
 
-    // デフォルトでUTF-8として試行
-    const decoded = new TextDecoder('utf-8').decode(textData);
-    return decoded.replace(/\0+$/, '');
+/**
+ * XMP パケットのバイト列を解析
+ * @param {Uint8Array} bytes - XMP パケット (UTF-8)
+ * @returns {Object|null} - 解析結果、プロパティが無い場合はnull
+ */
+function decodeXmpBytes(bytes) {
+  return decodeXmpText(decodeTextWithLimit(bytes));
+}
 
+/**
+ * XMP パケット文字列を解析
+ * @param {string} xml - XMP パケット
+ * @returns {Object|null} - 解析結果、プロパティが無い場合はnull
+ */
+function decodeXmpText(xml) {
+  try {
+    const xmp = parseXmpPacket(xml);
+    return Object.keys(xmp).length > 0 ? xmp : null;
   } catch (e) {
-    console.error('UserComment解析エラー:', e);
+    console.error('XMP解析エラー:', e);
     return null;
   }
 }
 
 /**
  * 画像からメタデータを抽出 (メインエントリーポイント)
- * @param {ArrayBuffer} buffer - 画像バイナリデータ
+ * 破損・不正なファイルの警告は、他にメタデータがある場合のみ ParseWarnings ([{ type, detail }]) として添付する
+ * (警告だけではバッジを表示しない)
+ * @param {ArrayBuffer} buffer - 画像バイナリデータ (先頭から)
+ * @param {Object} options - { totalSize, ranges } (createByteSource 参照)、complete: buffer がファイル全体なら true
  * @returns {Object} - 抽出されたメタデータ
  */
-function extractMetadata(buffer) {
+function extractMetadata(buffer, options = {}) {
   const format = detectImageFormat(buffer);
 
   if (!format) {
@@ -511,17 +3521,58 @@ function extractMetadata(buffer) {
 
   console.log(`[AI Meta Viewer] extractMetadata: format detected: ${format}, buffer size: ${buffer.byteLength}`);
 
+  const diagnostics = { warnings: [], deadline: Date.now() + MAX_PARSE_TIME_MS, decodedTextSize: 0, timedOut: false };
+  let metadata;
+  parseDiagnostics = diagnostics;
+  try {
+    metadata = extractFormatMetadata(format, buffer, options);
+  } finally {
+    parseDiagnostics = null;
+  }
+
+  if (diagnostics.warnings.length > 0) {
+    console.warn(`[AI Meta Viewer] extractMetadata: ${format} parse warnings:`, diagnostics.warnings);
+    if (!metadata.isIncomplete && Object.keys(metadata).length > 0) {
+      metadata['ParseWarnings'] = diagnostics.warnings;
+    }
+  }
+  return metadata;
+}
+
+/**
+ * 判定済みの形式ごとの抽出処理を呼び出し
+ * @param {string} format - detectImageFormat の結果
+ * @param {ArrayBuffer} buffer - 画像バイナリデータ (先頭から)
+ * @param {Object} options - extractMetadata の options
+ * @returns {Object} - 抽出されたメタデータ
+ */
+function extractFormatMetadata(format, buffer, options) {
   switch (format) {
     case 'png':
-      return extractPngMetadata(buffer);
+      return extractPngMetadata(buffer, options);
     case 'jpeg':
-      return extractJpegMetadata(buffer);
+      return extractJpegMetadata(buffer, options);
     case 'webp':
-      return extractWebpMetadata(buffer);
+      return extractWebpMetadata(buffer, options);
     case 'avif':
-      return extractAvifMetadata(buffer);
+    case 'heic':
+      return extractAvifMetadata(createByteSource(buffer, options));
+    case 'jxl':
+      return extractJxlMetadata(createByteSource(buffer, options));
+    case 'mp4':
+      return extractMp4Metadata(createByteSource(buffer, options));
+    case 'matroska':
+      return extractMatroskaMetadata(createByteSource(buffer, options));
+    case 'flac':
+      return extractFlacMetadata(createByteSource(buffer, options));
+    case 'id3':
+      return extractId3Metadata(createByteSource(buffer, options));
+    case 'ogg':
+      return extractOggMetadata(createByteSource(buffer, options));
+    case 'gguf':
+      return extractGgufMetadata(createByteSource(buffer, options));
     case 'safetensors':
-      return extractSafetensorsMetadata(buffer);
+      return extractSafetensorsMetadata(buffer, options);
     default:
       return {};
   }
@@ -561,85 +3612,247 @@ function checkPngIHDRHasAlpha(buffer) {
 }
 
 /**
- * ビットストリームから Stealth PNG Info をデコード
- * @param {string} bitStream - ビットストリーム ('0' と '1' の文字列)
- * @param {string} mode - 'Alpha' または 'RGB'
- * @returns {Object|null} - { data: string, mode: string, compressed: boolean }
- */
-function processStealthStream(bitStream, mode) {
-  const signatures = {
-    'stealth_pnginfo': { mode: 'Alpha', compressed: false },
-    'stealth_pngcomp': { mode: 'Alpha', compressed: true },
-    'stealth_rgbinfo': { mode: 'RGB', compressed: false },
-    'stealth_rgbcomp': { mode: 'RGB', compressed: true },
-  };
-
-  const sigLen = 'stealth_pnginfo'.length * 8; // 128 bits
+ * Stealth 情報を保持できる画像か判定
+ * LSB は非可逆圧縮で失われるため、ロスレスの PNG / WebP (VP8L) / AVIF と、
+ * 色は非可逆でもアルファがロスレスの WebP (ALPH) からのみ読み出せる。
+ * 非可逆の WebP / AVIF も、埋め込み後に変換されて壊れたシグネチャを検出するため対象とする
+ * @param {ArrayBuffer} buffer - 画像バイナリデータ (先頭部分で可)
+ * @returns {{format: string, mimeType: string, lossless: boolean, alphaLossless: boolean, hasAlpha: boolean}|null}
+ *   - lossless: 色 (RGB) がロスレス、alphaLossless: アルファがロスレス
+ */
+function getStealthCarrierInfo(buffer) {
+  const format = detectImageFormat(buffer);
+  const view = new Uint8Array(buffer);
 
-  // 最小ビットストリーム長チェック (シグネチャ + 長さフィールド32bit)
-  if (bitStream.length < sigLen + 32) return null;
+  if (format === 'png') {
+    return { format, mimeType: 'image/png', lossless: true, alphaLossless: true, hasAlpha: checkPngIHDRHasAlpha(buffer) };
+  }
 
-  // シグネチャ抽出
-  const sigBinary = bitStream.substring(0, sigLen);
-  const sigText = binaryToText(sigBinary);
+  if (format === 'webp') {
+    let hasAlphaFlag = false;
+    let hasAlphChunk = false;
+    let alphaLossless = false;
+    let offset = 12;
+    while (offset + 8 <= view.length) {
+      const type = String.fromCharCode(view[offset], view[offset + 1], view[offset + 2], view[offset + 3]);
+      const size = new DataView(view.buffer, view.byteOffset + offset + 4, 4).getUint32(0, true);
+      const dataStart = offset + 8;
+
+      if (type === 'VP8X' && dataStart < view.length) {
+        hasAlphaFlag = (view[dataStart] & 0x10) !== 0;
+        if (view[dataStart] & 0x02) return null; // アニメーション
+      } else if (type === 'ALPH' && dataStart < view.length) {
+        // ALPH ヘッダー: 予約 (2) | 前処理 (2) | フィルタ (2) | 圧縮 (2)。前処理 1 (レベル削減) は非可逆
+        hasAlphChunk = true;
+        alphaLossless = ((view[dataStart] >> 4) & 0x03) === 0;
+      } else if (type === 'VP8L' && dataStart + 5 <= view.length) {
+        // VP8L ヘッダー: 0x2F + 幅 (14) + 高さ (14) + alpha_is_used (1) + バージョン (3)
+        const hasAlpha = hasAlphaFlag || ((view[dataStart + 4] >> 4) & 0x01) === 1;
+        return { format, mimeType: 'image/webp', lossless: true, alphaLossless: true, hasAlpha };
+      } else if (type === 'VP8 ') {
+        // 色は非可逆。アルファは ALPH チャンクの前処理次第
+        return { format, mimeType: 'image/webp', lossless: false, alphaLossless: hasAlphChunk && alphaLossless, hasAlpha: hasAlphChunk };
+      }
 
-  // シグネチャ確認
-  if (!(sigText in signatures) || signatures[sigText].mode !== mode) {
+      offset = dataStart + size + (size & 1);
+    }
     return null;
   }
 
-  const compressed = signatures[sigText].compressed;
+  if (format === 'avif') {
+    // ロスレス AVIF は行列係数 Identity (0) の nclx と 4:4:4 の av1C を持つ
+    const meta = readBmffChildren(view, 0, view.length).find(box => box.type === 'meta');
+    if (!meta) return null;
+    const iprp = readBmffChildren(view, meta.dataStart + 4, meta.end).find(box => box.type === 'iprp');
+    const ipco = iprp && readBmffChildren(view, iprp.dataStart, iprp.end).find(box => box.type === 'ipco');
+    if (!ipco) return null;
+
+    let isIdentity = false;
+    let isFullChroma = false;
+    let hasAlpha = false;
+    for (const prop of readBmffChildren(view, ipco.dataStart, ipco.end)) {
+      if (prop.type === 'colr' && matchesAscii(view, prop.dataStart, 'nclx') && prop.dataStart + 10 <= prop.end) {
+        isIdentity = isIdentity || ((view[prop.dataStart + 8] << 8) | view[prop.dataStart + 9]) === 0;
+      } else if (prop.type === 'av1C' && prop.dataStart + 3 <= prop.end) {
+        // monochrome (0x10) / subsampling_x (0x08) / subsampling_y (0x04)
+        isFullChroma = isFullChroma || (view[prop.dataStart + 2] & 0x1C) === 0;
+      } else if (prop.type === 'auxC') {
+        const auxType = new TextDecoder('utf-8').decode(view.subarray(prop.dataStart + 4, prop.end));
+        hasAlpha = hasAlpha || auxType.startsWith('urn:mpeg:mpegB:cicp:systems:auxiliary:alpha') || auxType.startsWith('urn:mpeg:hevc:2015:auxid:1');
+      }
+    }
+    // Identity / 4:4:4 以外は非可逆 (アルファも非可逆として扱う)
+    const lossless = isIdentity && isFullChroma;
+    return { format, mimeType: 'image/avif', lossless, alphaLossless: lossless, hasAlpha };
+  }
 
-  // データ長を読み取り (32ビット)
-  let currentStream = bitStream.substring(sigLen);
-  const lenBinary = currentStream.substring(0, 32);
-  const paramLen = parseInt(lenBinary, 2);
-  currentStream = currentStream.substring(32);
+  return null;
+}
 
-  // データビット不足チェック
-  if (currentStream.length < paramLen) return null;
+/**
+ * Stealth PNG Info のシグネチャ
+ * A1111 stealth-pnginfo 拡張は列優先 (x の外側ループ)、NovelAI もアルファの stealth_pngcomp を列優先で書き込む
+ */
+const STEALTH_SIGNATURES = {
+  'stealth_pnginfo': { mode: 'Alpha', compressed: false },
+  'stealth_pngcomp': { mode: 'Alpha', compressed: true },
+  'stealth_rgbinfo': { mode: 'RGB', compressed: false },
+  'stealth_rgbcomp': { mode: 'RGB', compressed: true },
+};
 
-  // バイナリデータ抽出
-  const binaryData = currentStream.substring(0, paramLen);
-  const byteArray = new Uint8Array(binaryData.length / 8);
+/**
+ * シグネチャのビット数 (全シグネチャ共通で 15 文字)
+ */
+const STEALTH_SIGNATURE_BITS = 'stealth_pnginfo'.length * 8;
 
-  for (let i = 0; i < byteArray.length; i++) {
-    byteArray[i] = parseInt(binaryData.substring(i * 8, (i + 1) * 8), 2);
-  }
+/**
+ * シグネチャと一致しないビット数がこれ以下なら「埋め込まれていたが非可逆圧縮で壊れた」とみなす
+ * 無関係な画素では約半分 (60 ビット前後) が一致しないため、誤検出はほぼ起きない。
+ * ロスレスのチャンネルでは LSB が壊れないため、近いだけのビット列は Stealth 情報なしとして扱う
+ */
+const STEALTH_DAMAGED_MAX_BIT_ERRORS = 24;
 
-  try {
-    let decodedData;
+/**
+ * 非可逆圧縮で LSB が壊れている場合の表示
+ */
+const STEALTH_UNRECOVERABLE_MESSAGE = 'stealth data unrecoverable (lossy)';
+
+/**
+ * 画素データから Stealth PNG Info をデコード
+ * 列優先・行優先の両方の走査順と、Alpha / RGB の両モードでシグネチャを確認する
+ * @param {Uint8ClampedArray|Uint8Array} pixels - RGBA 画素データ (ImageData.data)
+ * @param {number} width - 画像の幅
+ * @param {number} height - 画像の高さ
+ * @param {Object} options - { hasAlpha: false ならアルファモードを確認しない,
+ *   lossless / alphaLossless: false ならそのチャンネルは非可逆 (壊れたシグネチャの検出のみ意味がある) }
+ * @returns {Object|null} - { data: string, mode: 'Alpha'|'RGB', compressed: boolean, order: 'column'|'row', unrecoverable?: boolean }
+ */
+function decodeStealthInfo(pixels, width, height, options = {}) {
+  const modes = ['Alpha', 'RGB'].filter(mode => mode === 'RGB' || options.hasAlpha !== false);
+  let damaged = null;
+
+  for (const mode of modes) {
+    const channelLossless = mode === 'Alpha'
+      ? (options.alphaLossless !== undefined ? options.alphaLossless !== false : options.lossless !== false)
+      : options.lossless !== false;
+    for (const order of ['column', 'row']) {
+      const reader = createStealthBitReader(pixels, width, height, mode, order);
+      if (reader.totalBits < STEALTH_SIGNATURE_BITS + 32) continue;
+
+      const signatureBytes = reader.readBytes(0, STEALTH_SIGNATURE_BITS / 8);
+      const signature = new TextDecoder('latin1').decode(signatureBytes);
+      const info = STEALTH_SIGNATURES[signature];
+      if (!info || info.mode !== mode) {
+        // 非可逆のチャンネルでシグネチャに近いビット列は、埋め込み後に非可逆圧縮で LSB が壊れたもの
+        if (!damaged && !channelLossless && countStealthSignatureErrors(signatureBytes, mode) <= STEALTH_DAMAGED_MAX_BIT_ERRORS) {
+          damaged = { data: STEALTH_UNRECOVERABLE_MESSAGE, mode, compressed: false, order, unrecoverable: true };
+        }
+        continue;
+      }
 
-    if (compressed) {
-      // pako で解凍
-      if (typeof pako === 'undefined') {
-        return { data: '[pako not loaded]', mode: mode, compressed: true };
+      // シグネチャの後に 32bit のデータ長 (ビット数)
+      const lengthBytes = reader.readBytes(STEALTH_SIGNATURE_BITS, 4);
+      const bitLength = new DataView(lengthBytes.buffer).getUint32(0);
+      const dataStart = STEALTH_SIGNATURE_BITS + 32;
+      if (bitLength === 0 || dataStart + bitLength > reader.totalBits) {
+        return { data: '[decoding error]', mode, compressed: info.compressed, order };
       }
-      decodedData = pako.inflate(byteArray, { to: 'string' });
-    } else {
-      // UTF-8 デコード
-      decodedData = new TextDecoder('utf-8', { fatal: true }).decode(byteArray);
-    }
 
-    return { data: decodedData, mode: mode, compressed: compressed };
-  } catch (e) {
-    return { data: '[decoding error]', mode: mode, compressed: compressed };
+      const bytes = reader.readBytes(dataStart, Math.floor(bitLength / 8));
+      try {
+        let decodedData;
+        if (info.compressed) {
+          // gzip (pako.Inflate は gzip / zlib ヘッダーを自動判別)
+          const inflated = inflateWithLimit(bytes);
+          if (!inflated) {
+            return { data: typeof pako === 'undefined' ? '[pako not loaded]' : '[decoding error]', mode, compressed: true, order };
+          }
+          decodedData = new TextDecoder('utf-8', { fatal: true }).decode(inflated);
+        } else {
+          decodedData = new TextDecoder('utf-8', { fatal: true }).decode(bytes);
+        }
+        return { data: decodedData, mode, compressed: info.compressed, order };
+      } catch (e) {
+        return { data: '[decoding error]', mode, compressed: info.compressed, order };
+      }
+    }
   }
+
+  return damaged;
 }
 
 /**
- * バイナリ文字列をテキストに変換
- * @param {string} binaryStr - '0' と '1' の文字列
- * @returns {string} - デコードされたテキスト
+ * 読み取ったシグネチャ部分と、そのモードの各シグネチャとの不一致ビット数の最小値
+ * @param {Uint8Array} bytes - 読み取った 15 バイト
+ * @param {string} mode - 'Alpha' または 'RGB'
+ * @returns {number}
  */
-function binaryToText(binaryStr) {
-  try {
-    const bytes = new Uint8Array(binaryStr.length / 8);
+function countStealthSignatureErrors(bytes, mode) {
+  let best = Infinity;
+  for (const [signature, info] of Object.entries(STEALTH_SIGNATURES)) {
+    if (info.mode !== mode) continue;
+    let errors = 0;
     for (let i = 0; i < bytes.length; i++) {
-      bytes[i] = parseInt(binaryStr.substr(i * 8, 8), 2);
+      let diff = bytes[i] ^ signature.charCodeAt(i);
+      while (diff) {
+        errors += diff & 1;
+        diff >>= 1;
+      }
     }
-    return new TextDecoder('utf-8', { fatal: false }).decode(bytes);
-  } catch {
-    return '';
+    best = Math.min(best, errors);
   }
+  return best;
+}
+
+/**
+ * 画素データの LSB をビット列として読むリーダーを作成
+ * Alpha モードは 1 画素 1 ビット、RGB モードは 1 画素 3 ビット (R, G, B の順)
+ * @param {Uint8ClampedArray|Uint8Array} pixels - RGBA 画素データ
+ * @param {number} width - 画像の幅
+ * @param {number} height - 画像の高さ
+ * @param {string} mode - 'Alpha' または 'RGB'
+ * @param {string} order - 'column' (列優先) または 'row' (行優先)
+ * @returns {{totalBits: number, readBytes: function(number, number): Uint8Array}}
+ */
+function createStealthBitReader(pixels, width, height, mode, order) {
+  const bitsPerPixel = mode === 'RGB' ? 3 : 1;
+  const isColumnMajor = order === 'column';
+  // 列優先は次の画素が 1 行下 (width * 4)、列の末尾で次の列の先頭へ戻る
+  const rowStride = width * 4;
+
+  return {
+    totalBits: width * height * bitsPerPixel,
+    // startBit から count バイト分を MSB 先頭で読み取り
+    readBytes(startBit, count) {
+      const bytes = new Uint8Array(count);
+      const pixel = Math.floor(startBit / bitsPerPixel);
+      let channel = startBit % bitsPerPixel;
+      let x = isColumnMajor ? Math.floor(pixel / height) : pixel % width;
+      let y = isColumnMajor ? pixel % height : Math.floor(pixel / width);
+      let base = y * rowStride + x * 4;
+      const channelOffset = mode === 'RGB' ? 0 : 3;
+
+      for (let i = 0; i < count; i++) {
+        let value = 0;
+        for (let bit = 0; bit < 8; bit++) {
+          value = (value << 1) | (pixels[base + channelOffset + channel] & 1);
+          if (mode === 'RGB' && ++channel < 3) continue;
+          channel = 0;
+          if (isColumnMajor) {
+            if (++y === height) {
+              y = 0;
+              x++;
+              base = x * 4;
+            } else {
+              base += rowStride;
+            }
+          } else {
+            base += 4;
+          }
+        }
+        bytes[i] = value;
+      }
+      return bytes;
+    }
+  };
 }
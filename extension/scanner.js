@@ -163,7 +163,7 @@ async function scanAllImages() {
                 fetchResults.set(url, meta);
                 // ポジティブキャッシュヒット: 進捗更新
                 processedCount += associatedImages.length;
-                if (meta && Object.keys(meta).length > 0) {
+                if (hasAiRelevantMetadata(meta)) {
                     foundCount += associatedImages.length;
                 }
                 updateProgress(processedCount, foundCount);
@@ -210,7 +210,7 @@ async function scanAllImages() {
                 // メタデータが見つかった場合（またはキャッシュセットされた場合）、関連画像すべてが「AI判定」となる
                 // ここでの判定は簡易的。正確にはレスポンスの中身を見る。
                 const resMeta = fetchResults.get(url);
-                if (resMeta && Object.keys(resMeta).length > 0) {
+                if (hasAiRelevantMetadata(resMeta)) {
                     foundCount += relatedImages.length;
                 }
                 updateProgress(processedCount, foundCount);
@@ -257,7 +257,8 @@ async function scanAllImages() {
                         metadata: bestMetadata,
                         width: img.naturalWidth || img.width || 0,
                         height: img.naturalHeight || img.height || 0,
-                        isAI: true
+                        // カメラの Exif のみの画像はメタデータを表示できるが AI 画像としては数えない
+                        isAI: hasAiRelevantMetadata(bestMetadata)
                     });
                     candidateUrls.add(bestUrl);
                 }
@@ -375,8 +376,8 @@ async function scanAllImages() {
         const mediaLinks = links.filter(a => {
             const href = a.href.toLowerCase();
             // 複合拡張子対応: tar.gz, tar.bz2, tar.xz など
-            // モデルファイル対応: .safetensors, .ckpt, .pt
-            return /\.(mp4|webm|mkv|avi|flv|mov|mp3|wav|ogg|m4a|flac|zip|rar|7z|lzh|tar|tar\.gz|tar\.bz2|tar\.xz|tgz|tbz2|safetensors|ckpt|pt)$/i.test(href);
+            // モデルファイル対応: .safetensors, .gguf, .ckpt, .pt, .pth, .bin
+            return /\.(mp4|webm|mkv|avi|flv|mov|mp3|wav|ogg|m4a|flac|zip|rar|7z|lzh|tar|tar\.gz|tar\.bz2|tar\.xz|tgz|tbz2|safetensors|gguf|ckpt|pt|pth|bin)$/i.test(href);
         });
 
         for (const link of mediaLinks) {
@@ -404,6 +405,61 @@ async function scanAllImages() {
             candidateUrls.add(href);
         }
 
+        // 音声ファイルのタグ (ComfyUI SaveAudio / Stable Audio 等の prompt) を確認して AI 判定
+        // タグはファイル先頭付近にあり Range Request で取得できるため、画像と同じ経路で問い合わせる
+        const audioCandidates = candidates.filter(c => c.type === 'audio' && !noMetadataCache.has(c.url));
+        const audioQueue = [...audioCandidates];
+        const audioWorker = async () => {
+            while (audioQueue.length > 0 && !isCancelled) {
+                const c = audioQueue.shift();
+                let metadata = localMetadataCache.get(c.url);
+                if (!metadata) {
+                    try {
+                        const response = await chrome.runtime.sendMessage({
+                            action: 'fetchImageMetadata',
+                            imageUrl: c.url
+                        });
+                        if (response && response.success && response.metadata && Object.keys(response.metadata).length > 0) {
+                            metadata = response.metadata;
+                            localMetadataCache.set(c.url, metadata);
+                        } else {
+                            noMetadataCache.add(c.url);
+                        }
+                    } catch (e) {
+                        console.error('[AI Meta Viewer] Error fetching audio metadata:', c.url, e);
+                    }
+                }
+                if (metadata) {
+                    // 通常のコメント・説明タグは表示のみ (画像・バッジと同じ判定)
+                    c.metadata = metadata;
+                    c.isAI = hasAiRelevantMetadata(metadata);
+                }
+            }
+        };
+        await Promise.all(Array(Math.min(CONCURRENCY_LIMIT, audioQueue.length)).fill(null).map(() => audioWorker()));
+
+        // pickle 形式のモデル (.ckpt / .pt / .bin) は data.pkl のインポートを検査して危険なものに警告を付ける
+        const pickleQueue = candidates.filter(c => c.type === 'archive' && /\.(ckpt|pt|pth|bin)$/i.test(c.filename || ''));
+        const pickleWorker = async () => {
+            while (pickleQueue.length > 0 && !isCancelled) {
+                const c = pickleQueue.shift();
+                try {
+                    const response = await chrome.runtime.sendMessage({
+                        action: 'scanPickle',
+                        url: c.url
+                    });
+                    if (response && response.success && response.result) {
+                        c.pickleScan = response.result;
+                    }
+                } catch (e) {
+                    console.error('[AI Meta Viewer] Error scanning pickle:', c.url, e);
+                }
+            }
+        };
+        await Promise.all(Array(Math.min(CONCURRENCY_LIMIT, pickleQueue.length)).fill(null).map(() => pickleWorker()));
+
+        if (isCancelled) return;
+
         console.log('[AI Meta Viewer] Total media found:', candidates.length,
             'Videos:', candidates.filter(c => c.type === 'video').length,
             'Audio:', candidates.filter(c => c.type === 'audio').length,
@@ -641,6 +697,56 @@ function createDownloaderModal(candidates, context) {
         filterRow.appendChild(btn);
     });
 
+    // 生成ツール・キーワード (プロンプト / モデル / LoRA / シード) での絞り込み (正規化済みメタデータを使用)
+    let activeGenerator = '';
+    let searchQuery = '';
+    const normalizedOf = (c) => c.metadata ? normalizeMetadata(c.metadata) : null;
+    const generators = [...new Set(candidates.map(c => normalizedOf(c)?.generator).filter(Boolean))].sort();
+
+    if (generators.length > 0) {
+        const generatorSelect = document.createElement('select');
+        generatorSelect.style.cssText = filterBtnStyle;
+        generatorSelect.title = 'Filter by generator';
+        [['', 'All generators'], ...generators.map(g => [g, g])].forEach(([value, label]) => {
+            const option = document.createElement('option');
+            option.value = value;
+            option.textContent = label;
+            generatorSelect.appendChild(option);
+        });
+        generatorSelect.onchange = () => {
+            activeGenerator = generatorSelect.value;
+            renderItems();
+        };
+        filterRow.appendChild(generatorSelect);
+
+        const searchInput = document.createElement('input');
+        searchInput.type = 'search';
+        searchInput.placeholder = 'Search prompt, model, LoRA, seed...';
+        searchInput.style.cssText = filterBtnStyle + 'cursor: text; flex: 1; min-width: 160px;';
+        searchInput.oninput = () => {
+            searchQuery = searchInput.value.trim().toLowerCase();
+            renderItems();
+        };
+        filterRow.appendChild(searchInput);
+    }
+
+    // 正規化済みメタデータが生成ツール・キーワードの条件に合うか
+    function matchesMetadataFilter(c) {
+        if (!activeGenerator && !searchQuery) return true;
+        const normalized = normalizedOf(c);
+        if (!normalized) return false;
+        if (activeGenerator && normalized.generator !== activeGenerator) return false;
+        if (!searchQuery) return true;
+        const haystack = [
+            normalized.prompt,
+            normalized.model.name,
+            normalized.sampler,
+            normalized.seed === null ? '' : String(normalized.seed),
+            ...normalized.loras.map(lora => lora.name)
+        ].join('\n').toLowerCase();
+        return haystack.includes(searchQuery);
+    }
+
     header.appendChild(filterRow);
 
     // --- Content (Grid) ---
@@ -660,9 +766,9 @@ function createDownloaderModal(candidates, context) {
         content.innerHTML = '';
 
         // フィルタリング
-        const filtered = activeFilter === 'all'
+        const filtered = (activeFilter === 'all'
             ? candidates
-            : candidates.filter(c => c.type === activeFilter);
+            : candidates.filter(c => c.type === activeFilter)).filter(matchesMetadataFilter);
 
         filtered.forEach(c => {
             const isSelected = selectedUrls.has(c.url);
@@ -781,6 +887,35 @@ function createDownloaderModal(candidates, context) {
                     border-radius: 4px;
                     line-height: 1;
                 `;
+
+                // ZIP はバッジのクリックで内容一覧を表示 (セントラルディレクトリのみ取得)
+                if (c.type === 'archive' && /\.zip$/i.test(c.filename || '')) {
+                    typeBadge.style.cursor = 'pointer';
+                    typeBadge.title = 'Show archive contents';
+                    typeBadge.onclick = async (e) => {
+                        e.stopPropagation();
+                        if (!c.zipListing) {
+                            typeBadge.innerText = '⏳';
+                            try {
+                                const response = await chrome.runtime.sendMessage({
+                                    action: 'listZip',
+                                    url: c.url
+                                });
+                                if (response && response.success) {
+                                    c.zipListing = response.listing;
+                                } else {
+                                    showErrorNotification(`Could not read archive: ${(response && response.error) || 'unknown error'}`);
+                                }
+                            } catch (err) {
+                                console.error('[AI Meta Viewer] Error listing ZIP:', c.url, err);
+                            }
+                            typeBadge.innerText = typeIcons[c.type];
+                        }
+                        if (c.zipListing) {
+                            document.body.appendChild(createArchiveModal(c.filename, c.zipListing));
+                        }
+                    };
+                }
                 imgContainer.appendChild(typeBadge);
             }
 
@@ -803,6 +938,29 @@ function createDownloaderModal(candidates, context) {
                 imgContainer.appendChild(badge);
             }
 
+            // 危険な pickle の警告バッジ
+            if (c.pickleScan && c.pickleScan.status === 'unsafe') {
+                const unsafeBadge = document.createElement('span');
+                unsafeBadge.innerText = '⚠ Unsafe pickle';
+                unsafeBadge.title = c.pickleScan.imports
+                    .filter(entry => !entry.safe)
+                    .map(entry => `${entry.module}.${entry.name}`)
+                    .join('\n');
+                unsafeBadge.style.cssText = `
+                    position: absolute;
+                    bottom: 6px;
+                    left: 6px;
+                    background: #d32f2f;
+                    color: white;
+                    font-size: 10px;
+                    padding: 2px 6px;
+                    border-radius: 4px;
+                    font-weight: bold;
+                    box-shadow: 0 2px 4px rgba(0,0,0,0.5);
+                `;
+                imgContainer.appendChild(unsafeBadge);
+            }
+
             // Info
             const info = document.createElement('div');
             info.style.cssText = `
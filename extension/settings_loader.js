@@ -9,7 +9,7 @@ window.DEFAULT_SETTINGS = {
     showAnalyzingBadge: true,
     analyzeEverywhere: false,
     excludedSites: [],
-    ignoredMetadataKeys: ['XML:com.adobe.xmp'],
+    ignoredMetadataKeys: [],
     ignoredSoftware: ['Adobe Photoshop', 'Adobe ImageReady', 'Celsys Studio Tool', 'GIMP', 'Paint.NET']
 };
 
@@ -24,6 +24,10 @@ window.loadSettings = async function () {
     try {
         const stored = await chrome.storage.sync.get(null); // すべての保存済み設定を取得
         window.settings = { ...DEFAULT_SETTINGS, ...stored }; // デフォルト値に保存済み値を上書き
+        // 以前の既定値 'XML:com.adobe.xmp' は background で移行されるまでの間も無視する (XMP は AI 生成の情報がある場合のみバッジ対象)
+        if (Array.isArray(window.settings.ignoredMetadataKeys)) {
+            window.settings.ignoredMetadataKeys = window.settings.ignoredMetadataKeys.filter(key => key !== 'XML:com.adobe.xmp');
+        }
         return window.settings;
     } catch (e) {
         console.error('[AI Meta Viewer] Failed to load settings:', e);
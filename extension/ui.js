@@ -41,9 +41,26 @@ function updateBadge(badge, metadata, isError = false) {
     if (metadata) {
         badge.textContent = 'View Metadata';
 
-        // ホバープレビュー用のツールチップ設定
-        const generator = detectGenerator(metadata);
-        let previewText = generator;
+        // 許可リスト外のインポートを含む pickle は赤い警告バッジ
+        if (metadata.PickleScan && metadata.PickleScan.status === 'unsafe') {
+            badge.textContent = '⚠ Unsafe Pickle';
+            badge.classList.add('unsafe');
+        }
+
+        // ホバープレビュー用のツールチップ設定 (正規化済みの生成ツール・モデル・主要設定)
+        const normalized = normalizeMetadata(metadata);
+        let previewText = detectGenerator(metadata);
+
+        const modelName = normalized.model.name.split(/[\\/]/).pop();
+        const settingsText = [
+            modelName,
+            normalized.seed !== null && `Seed ${normalized.seed}`,
+            normalized.steps !== null && `${normalized.steps} steps`,
+            normalized.size && `${normalized.size.width}x${normalized.size.height}`
+        ].filter(Boolean).join(' · ');
+        if (settingsText) {
+            previewText += `\n${settingsText}`;
+        }
 
         // プロンプトの冒頭を追加
         const { positive } = parseMetadataToTabs(metadata);
@@ -84,85 +101,6 @@ function showErrorNotification(message) {
     }, 3000);
 }
 
-/**
- * 生成ツールを判別
- * @param {Object} metadata - 生のメタデータ
- * @returns {string} - ツール名とバージョン（例: "NovelAI V4.5", "ComfyUI workflow", "Civitai", "Stable Diffusion WebUI"）
- */
-function detectGenerator(metadata) {
-    // Midjourney
-    // Description に "Job ID:" または "--v" (バージョンフラグ) が含まれている場合
-    if (metadata.Description) {
-        const desc = metadata.Description;
-
-        // Job ID の存在チェック（最も確実）
-        if (desc.includes('Job ID:')) {
-            // バージョン抽出 (例: "--v 7" -> "V7")
-            const versionMatch = desc.match(/--v\s+(\d+(?:\.\d+)?)/);
-            const version = versionMatch ? ` V${versionMatch[1]}` : '';
-            return `Midjourney${version}`;
-        }
-
-        // Midjourneyパラメータの存在チェック（--ar, --profile など）
-        if (desc.match(/--(?:ar|v|profile|chaos|quality|style|stylize|weird|tile|no|stop|video|seed|sref|cref)\s+/)) {
-            const versionMatch = desc.match(/--v\s+(\d+(?:\.\d+)?)/);
-            const version = versionMatch ? ` V${versionMatch[1]}` : '';
-            return `Midjourney${version}`;
-        }
-    }
-
-    // NovelAI
-    // Comment キーが存在する、または Description に NovelAI 特有のパターンがある場合
-    if (metadata.Comment) {
-        let version = '';
-        try {
-            const json = JSON.parse(metadata.Comment);
-            // inputフィールドなどからバージョンを探すヒューリスティック
-            // 例: "NovelAI Diffusion V4.5 1229B44F"
-            const jsonStr = JSON.stringify(json);
-            const match = jsonStr.match(/NovelAI Diffusion V([\d.]+)/);
-            if (match) {
-                version = ` V${match[1]}`;
-            }
-        } catch (e) { }
-        return `NovelAI${version}`;
-    }
-
-    // Description のみでは NovelAI と判定しない（Midjourneyと区別するため）
-    // ただし、Description に "NovelAI" という文字列が含まれている場合は例外
-    if (metadata.Description && metadata.Description.includes('NovelAI')) {
-        return 'NovelAI';
-    }
-
-    // Tensor.art
-    // generation_dataキーがあり、かつprompt内にECHOCheckpointLoaderSimpleがある場合
-    if (metadata.generation_data && metadata.prompt && metadata.prompt.includes('ECHOCheckpointLoaderSimple')) {
-        return 'Tensor.art';
-    }
-
-    // ComfyUI
-    // workflowまたはgeneration_dataキーが存在する場合（Tensor.artでない場合）
-    // または parameters 内に ComfyUI という文字列が含まれている場合
-    if (metadata.workflow || metadata.generation_data || (metadata.parameters && metadata.parameters.includes('ComfyUI'))) {
-        return 'ComfyUI';
-    }
-
-    // Civitai
-    // parameters内に「Civitai metadata」がある、または Version: v... がある場合
-    if (metadata.parameters) {
-        if (metadata.parameters.includes('Civitai metadata')) {
-            return 'Civitai';
-        }
-        // Version: v1.10.xxxxx などのパターンを検出 (Civitai生成画像の特徴)
-        if (metadata.parameters.match(/Version:\s*v1\.10\./)) {
-            return 'Civitai';
-        }
-    }
-
-    // Stable Diffusion WebUI (デフォルト)
-    return 'Stable Diffusion WebUI';
-}
-
 /**
  * メタデータをタブ用に解析・分類
  * @param {Object} metadata - 生のメタデータ
@@ -175,36 +113,27 @@ function parseMetadataToTabs(metadata) {
 
     // parameters (Stable Diffusion A1111)
     if (metadata.parameters) {
-        const params = metadata.parameters;
-        const negIndex = params.indexOf('Negative prompt:');
-        const stepsIndex = params.indexOf('Steps:');
-
-        if (negIndex !== -1) {
-            positive = params.substring(0, negIndex).trim();
-
-            if (stepsIndex !== -1) {
-                negative = params.substring(negIndex + 'Negative prompt:'.length, stepsIndex).trim();
-            } else {
-                negative = params.substring(negIndex + 'Negative prompt:'.length).trim();
-            }
-        } else {
-            if (stepsIndex !== -1) {
-                positive = params.substring(0, stepsIndex).trim();
-            } else {
-                positive = params.trim();
-            }
-        }
+        const { prompt, negative: negativePrompt, settingsText } = splitInfotext(metadata.parameters);
+        positive = prompt;
+        negative = negativePrompt;
 
-        // Steps以降を取得してOther Settingsに追加
-        if (stepsIndex !== -1) {
-            otherObj['parameters_settings'] = params.substring(stepsIndex).trim();
+        // 設定行は Generation Settings の表で表示。key: value として読めない場合のみ Other Settings に残す
+        if (settingsText && tokenizeInfotextSettings(settingsText).length === 0) {
+            otherObj['parameters_settings'] = settingsText;
         }
         delete otherObj['parameters']; // 元のparametersは削除
     }
 
     // prompt / workflow / generation_data (ComfyUI)
     else if (metadata.prompt || metadata.workflow || metadata.generation_data) {
-        if (metadata.prompt) {
+        // ノードグラフをサンプラーから辿れた場合は実際のプロンプトを表示し、元の JSON は Prompt JSON セクションへ
+        const samplers = normalizeMetadata(metadata).samplers;
+        if (samplers.length > 0) {
+            const unique = (texts) => [...new Set(texts.filter(Boolean))].join('\n\n');
+            positive = unique(samplers.map(sampler => sampler.positive));
+            negative = unique(samplers.map(sampler => sampler.negative));
+            delete otherObj['prompt'];
+        } else if (metadata.prompt) {
             try {
                 const json = JSON.parse(metadata.prompt);
                 positive = JSON.stringify(json, null, 2);
@@ -214,7 +143,10 @@ function parseMetadataToTabs(metadata) {
                 delete otherObj['prompt'];
             }
         }
-        // workflow, generation_dataはそのままOtherに残る
+        // workflow は描画できる場合 Workflow Graph セクションで表示し、generation_data はそのままOtherに残る
+        if (metadata.workflow && parseComfyWorkflow(metadata.workflow)) {
+            delete otherObj['workflow'];
+        }
     }
 
     // Description / Comment (NovelAI)
@@ -226,37 +158,61 @@ function parseMetadataToTabs(metadata) {
 
         // Comment内のnegative promptを抽出 (NovelAI v3/v4/v4.5対応)
         if (metadata.Comment) {
-            try {
-                const commentJson = JSON.parse(metadata.Comment);
+            negative = normalizeMetadata(metadata).negative;
+        }
+        // CommentはそのままOtherに残る
+    }
 
-                // 優先度1: "uc" キー (Undesired Content)
-                if (commentJson.uc) {
-                    negative = commentJson.uc;
-                } else {
-                    // 優先度2: "negative" を含むキーを検索
-                    for (const key in commentJson) {
-                        if (key.includes('negative')) {
-                            const val = commentJson[key];
-                            if (typeof val === 'string') {
-                                negative = val;
-                            } else if (typeof val === 'object' && val !== null) {
-                                // v4_negative_prompt: { caption: { base_caption: "..." } }
-                                if (val.caption && val.caption.base_caption) {
-                                    negative = val.caption.base_caption;
-                                } else {
-                                    // 構造が不明な場合はJSON文字列化
-                                    negative = JSON.stringify(val, null, 2);
-                                }
-                            }
-                            break;
-                        }
-                    }
-                }
-            } catch (e) {
-                // JSON parseに失敗した場合は何もしない
+    // XMP (JPEG / PNG / WebP / AVIF 共通)
+    // Midjourney, Adobe Firefly 等はプロンプトを dc:description / exif:UserComment に書き込む
+    let digitalSourceType = '';
+    if (metadata.XMP && typeof metadata.XMP === 'object') {
+        const xmp = { ...metadata.XMP };
+
+        if (!positive) {
+            const promptKey = ['dc:description', 'exif:UserComment'].find(key => xmp[key]);
+            if (promptKey) {
+                positive = xmp[promptKey];
+                delete xmp[promptKey];
             }
         }
-        // CommentはそのままOtherに残る
+
+        // IPTC DigitalSourceType (例: http://cv.iptc.org/newscodes/digitalsourcetype/trainedAlgorithmicMedia)
+        if (xmp['Iptc4xmpExt:DigitalSourceType']) {
+            digitalSourceType = xmp['Iptc4xmpExt:DigitalSourceType'].split('/').pop();
+            delete xmp['Iptc4xmpExt:DigitalSourceType'];
+        }
+
+        if (Object.keys(xmp).length > 0) {
+            otherObj['XMP'] = xmp;
+        } else {
+            delete otherObj['XMP'];
+        }
+    }
+
+    // C2PA は専用の Content Credentials セクションで表示
+    delete otherObj['C2PA'];
+    // Safetensors のテンソル解析結果は Model Analysis セクションで表示
+    delete otherObj['ModelAnalysis'];
+    // ModelSpec (modelspec.*) は Model Card セクションで表示
+    Object.keys(otherObj).filter(key => key.startsWith('modelspec.')).forEach(key => delete otherObj[key]);
+    // pickle 検査結果は Pickle Scan セクションで表示
+    delete otherObj['PickleScan'];
+    // 破損・不正なファイルの警告は Parser Warnings セクションで表示
+    delete otherObj['ParseWarnings'];
+    // UserComment の文字コードは Positive Prompt セクションの選択欄で表示
+    delete otherObj['UserCommentEncoding'];
+    // kohya-ss の学習設定・タグ頻度は LoRA Training セクションで表示
+    if (buildLoraTrainingSummary(metadata)) {
+        LORA_TRAINING_SETTINGS.forEach(([key]) => delete otherObj[key]);
+        delete otherObj['ss_tag_frequency'];
+        delete otherObj['ss_dataset_dirs'];
+    }
+
+    // マージレシピは解析できた場合のみ Merge Recipe セクションで木構造として表示
+    if (buildMergeRecipeTree(metadata)) {
+        delete otherObj['sd_merge_recipe'];
+        delete otherObj['sd_merge_models'];
     }
 
     // Other Settings用のオブジェクト
@@ -266,6 +222,9 @@ function parseMetadataToTabs(metadata) {
         other['parameters_settings'] = otherObj['parameters_settings'];
         delete otherObj['parameters_settings'];
     }
+    if (digitalSourceType) {
+        other['DigitalSourceType'] = digitalSourceType;
+    }
 
     // 残りのメタデータをすべてotherに追加
     Object.assign(other, otherObj);
@@ -367,10 +326,123 @@ function createModal(metadata) {
         return section;
     };
 
+    // Model Card (ModelSpec) はモデルの見出しとして先頭に表示
+    const modelSpec = buildModelSpec(metadata);
+    if (modelSpec) {
+        content.appendChild(createModelSpecSection(modelSpec));
+    }
+
     // 各セクション追加
-    content.appendChild(createSection('Positive Prompt', positive, 'positive-section'));
+    const positiveSection = createSection('Positive Prompt', positive, 'positive-section');
+    content.appendChild(positiveSection);
+
+    // Exif UserComment の文字コードを推定した場合は、手動で再デコードできる選択欄を表示
+    const userCommentEncoding = metadata.UserCommentEncoding;
+    if (userCommentEncoding && typeof userCommentEncoding === 'object' && typeof userCommentEncoding.bytes === 'string') {
+        const encodingBar = createUserCommentEncodingBar(userCommentEncoding, (encoding) => {
+            const parameters = decodeUserCommentBytes(userCommentEncoding.bytes, encoding);
+            if (parameters === null) return;
+            // 選択した文字コードで parameters を置き換えてモーダルを作り直す
+            const redecoded = createModal({
+                ...metadata,
+                parameters,
+                UserCommentEncoding: { ...userCommentEncoding, selected: encoding }
+            });
+            document.removeEventListener('keydown', escHandler);
+            overlay.replaceWith(redecoded);
+        });
+        positiveSection.insertBefore(encodingBar, positiveSection.lastChild);
+    }
     content.appendChild(createSection('Negative Prompt', negative, 'negative-section'));
 
+    // Generation Settings (A1111 / Forge の設定行を key/value の表で) セクション
+    const infotextSettings = metadata.parameters ? splitInfotext(metadata.parameters).settingsText : '';
+    const infotextEntries = tokenizeInfotextSettings(infotextSettings);
+    if (infotextEntries.length > 0) {
+        content.appendChild(createInfotextSettingsSection(infotextSettings, infotextEntries));
+    }
+
+    // Generation Summary (正規化済みのモデル・シード・サンプラー・LoRA 等) セクション
+    // (設定表がある場合は重複するため省略。モデルファイルのように生成設定を持たないものは Model Card / Model Analysis に任せる)
+    const normalized = normalizeMetadata(metadata);
+    const summaryText = formatNormalizedSummary(normalized);
+    if (infotextEntries.length === 0 && summaryText && (normalized.seed !== null || normalized.steps !== null || normalized.sampler)) {
+        content.appendChild(createSection('Generation Summary', summaryText, 'generation-summary-section'));
+    }
+
+    // ComfyUI でサンプラーが複数ある場合 (Hires fix・Refiner 等) は各サンプラーの設定を表示
+    if (normalized.samplers.length > 1) {
+        const samplersText = normalized.samplers.map(formatComfySamplerSummary).join('\n\n');
+        content.appendChild(createSection('Samplers', samplersText, 'comfy-samplers-section'));
+    }
+
+    // ComfyUI の prompt (API 形式の JSON) は折りたたみ表示
+    if (normalized.samplers.length > 0 && metadata.prompt) {
+        const promptJson = parseComfyPrompt(metadata.prompt);
+        const promptSection = createSection('Prompt JSON', promptJson ? JSON.stringify(promptJson, null, 2) : metadata.prompt, 'comfy-prompt-json-section');
+        makeSectionCollapsible(promptSection);
+        content.appendChild(promptSection);
+    }
+
+    // ComfyUI の workflow はノードグラフとして描画し、元の JSON は折りたたみ表示
+    const workflowGraph = metadata.workflow && !metadata.parameters ? parseComfyWorkflow(metadata.workflow) : null;
+    if (workflowGraph) {
+        content.appendChild(createWorkflowGraphSection(workflowGraph));
+        const workflowText = typeof metadata.workflow === 'string' ? metadata.workflow : JSON.stringify(metadata.workflow);
+        let workflowJson = workflowText;
+        try {
+            workflowJson = JSON.stringify(JSON.parse(workflowText), null, 2);
+        } catch (e) {
+            // 整形できない場合はそのまま表示
+        }
+        const workflowSection = createSection('Workflow JSON', workflowJson, 'comfy-workflow-json-section');
+        makeSectionCollapsible(workflowSection);
+        content.appendChild(workflowSection);
+    }
+
+    // Content Credentials (C2PA) セクション
+    if (metadata.C2PA && typeof metadata.C2PA === 'object') {
+        const c2paSection = createSection('Content Credentials', formatContentCredentials(metadata.C2PA), 'c2pa-section');
+        c2paSection.insertBefore(createContentCredentialsStatus(metadata.C2PA.signature), c2paSection.lastChild);
+        content.appendChild(c2paSection);
+    }
+
+    // Model Analysis (Safetensors テンソル解析) セクション
+    if (metadata.ModelAnalysis && typeof metadata.ModelAnalysis === 'object') {
+        content.appendChild(createSection('Model Analysis', formatModelAnalysis(metadata.ModelAnalysis), 'model-analysis-section'));
+    }
+
+    // LoRA Training (kohya-ss の ss_* キー) セクション
+    const trainingSummary = buildLoraTrainingSummary(metadata);
+    if (trainingSummary) {
+        content.appendChild(createLoraTrainingSection(trainingSummary));
+    }
+
+    // Merge Recipe (マージ済みチェックポイントの構成) セクション
+    const mergeTree = buildMergeRecipeTree(metadata);
+    if (mergeTree) {
+        content.appendChild(createSection('Merge Recipe', formatMergeRecipeTree(mergeTree), 'merge-recipe-section'));
+    }
+
+    // Pickle Scan (.ckpt / .pt の危険なインポート) セクション
+    if (metadata.PickleScan && typeof metadata.PickleScan === 'object') {
+        content.appendChild(createSection('Pickle Scan', formatPickleScan(metadata.PickleScan), 'pickle-scan-section'));
+    }
+
+    // Parser Warnings (CRC 不一致・途切れたチャンク等) セクション
+    if (Array.isArray(metadata.ParseWarnings) && metadata.ParseWarnings.length > 0) {
+        content.appendChild(createSection('Parser Warnings', formatParseWarnings(metadata.ParseWarnings), 'parse-warnings-section'));
+    }
+
+    // Other Settings の値を文字列化
+    // XMP は名前空間付きのキー/値ペアなので "prefix:Name: 値" の行形式で表示する
+    const formatOtherValue = (key, value) => {
+        if (key === 'XMP' && value && typeof value === 'object') {
+            return Object.entries(value).map(([k, v]) => `${k}: ${v}`).join('\n');
+        }
+        return typeof value === 'object' ? JSON.stringify(value, null, 2) : String(value);
+    };
+
     // Other Settings セクション（特別処理）
     const otherSection = document.createElement('div');
     otherSection.className = 'ai-meta-section other-section';
@@ -393,7 +465,7 @@ function createModal(metadata) {
     if (other && typeof other === 'object' && Object.keys(other).length > 0) {
         for (const [key, value] of Object.entries(other)) {
             // 値が長い場合は改行を入れる
-            const valueStr = typeof value === 'object' ? JSON.stringify(value, null, 2) : String(value);
+            const valueStr = formatOtherValue(key, value);
             otherText += `${key}:\n${valueStr}\n\n`;
         }
         otherText = otherText.trim();
@@ -427,45 +499,9 @@ function createModal(metadata) {
             valueDiv.style.fontSize = '0.9em';
 
             // 値が長いJSON等の場合は整形
-            const valueStr = typeof value === 'object' ? JSON.stringify(value, null, 2) : String(value);
-
-            // parameters_settingsの場合、項目ごとに異なる色でハイライト
-            if (key === 'parameters_settings' && typeof valueStr === 'string') {
-                // XSS対策: HTMLエンティティをエスケープしてからハイライト処理を行う
-                const escapeHtml = (str) => str.replace(/[&<>"']/g, m => ({
-                    '&': '&amp;', '<': '&lt;', '>': '&gt;', '"': '&quot;', "'": '&#39;'
-                }[m]));
-
-                let highlighted = escapeHtml(valueStr);
-
-                // 1. Model関連 (青系)
-                highlighted = highlighted.replace(
-                    /(Model:\s*[^,]+)/gi,
-                    '<span style="color: #4a9eff; font-weight: bold;">$1</span>'
-                );
-
-                // 2. ADetailer関連 (紫系)
-                highlighted = highlighted.replace(
-                    /(ADetailer[^:]*:\s*[^,]+)/gi,
-                    '<span style="color: #bb86fc; font-weight: bold;">$1</span>'
-                );
-
-                // 3. Hires関連 (緑系)
-                highlighted = highlighted.replace(
-                    /(Hires\s+checkpoint:\s*[^,]+|Hires\s+(?:Module\s+\d+|CFG\s+Scale|upscale|steps|upscaler):\s*[^,]+)/gi,
-                    '<span style="color: #03dac6; font-weight: bold;">$1</span>'
-                );
-
-                // 4. Lora関連 (黄系)
-                highlighted = highlighted.replace(
-                    /(Lora\s+hashes:\s*(?:"[^"]+"|\{[^\}]+\}|[^,]+))/gi,
-                    '<span style="color: #ffcb2b; font-weight: bold;">$1</span>'
-                );
-
-                valueDiv.innerHTML = highlighted;
-            } else {
-                valueDiv.textContent = valueStr;
-            }
+            const valueStr = formatOtherValue(key, value);
+
+            valueDiv.textContent = valueStr;
 
             itemDiv.appendChild(keySpan);
             itemDiv.appendChild(valueDiv);
@@ -478,7 +514,10 @@ function createModal(metadata) {
 
     otherSection.appendChild(otherHeader);
     otherSection.appendChild(otherTextArea);
-    content.appendChild(otherSection);
+    // 設定を Generation Settings の表や Workflow Graph で表示済みなら、空の Other Settings は出さない
+    if (otherText || (infotextEntries.length === 0 && !workflowGraph)) {
+        content.appendChild(otherSection);
+    }
 
     // フッター
     const footer = document.createElement('div');
@@ -544,6 +583,1143 @@ function createModal(metadata) {
     return overlay;
 }
 
+/**
+ * ZIP アーカイブの内容一覧モーダルを作成
+ * @param {string} filename - アーカイブのファイル名
+ * @param {Object} listing - background の handleListZip の結果 { totalSize, entryCount, entries }
+ * @returns {HTMLElement} - モーダルオーバーレイ要素
+ */
+function createArchiveModal(filename, listing) {
+    // ダウンローダーの上に重ねて表示する
+    const overlay = document.createElement('div');
+    overlay.className = 'ai-meta-modal-overlay stacked';
+
+    const modal = document.createElement('div');
+    modal.className = 'ai-meta-modal ai-meta-archive-modal';
+
+    const header = document.createElement('div');
+    header.className = 'ai-meta-modal-header';
+
+    const title = document.createElement('h2');
+    title.textContent = `Archive Contents - ${filename}`;
+    title.title = filename;
+
+    const closeBtn = document.createElement('button');
+    closeBtn.className = 'ai-meta-close-btn';
+    closeBtn.innerHTML = '&times;';
+    closeBtn.title = 'Close';
+
+    header.appendChild(title);
+    header.appendChild(closeBtn);
+
+    const content = document.createElement('div');
+    content.className = 'ai-meta-modal-content';
+
+    // 概要 (ファイル数・展開後サイズ・アーカイブサイズ)
+    const entries = listing.entries || [];
+    const uncompressed = entries.reduce((sum, entry) => sum + entry.size, 0);
+    const summary = document.createElement('div');
+    summary.className = 'ai-meta-archive-summary';
+    summary.textContent = `${listing.entryCount} files · ${formatBytes(uncompressed)} uncompressed · ${formatBytes(listing.totalSize)} archive`;
+    if (listing.entryCount > entries.length) {
+        summary.textContent += ` (showing first ${entries.length})`;
+    }
+    content.appendChild(summary);
+
+    const table = document.createElement('table');
+    table.className = 'ai-meta-archive-table';
+    const headRow = table.createTHead().insertRow();
+    ['Name', 'Size', 'Compression', ''].forEach(text => {
+        const th = document.createElement('th');
+        th.textContent = text;
+        headRow.appendChild(th);
+    });
+
+    const body = table.createTBody();
+    for (const entry of entries) {
+        const row = body.insertRow();
+
+        const nameCell = row.insertCell();
+        nameCell.className = 'ai-meta-archive-name';
+        nameCell.textContent = entry.encrypted ? `🔒 ${entry.name}` : entry.name;
+        nameCell.title = entry.name;
+
+        row.insertCell().textContent = formatBytes(entry.size);
+
+        // 圧縮率は deflate 等で元サイズが分かる場合のみ
+        const ratio = entry.size > 0 && entry.method !== 'stored' ? ` (${Math.round(entry.compressedSize / entry.size * 100)}%)` : '';
+        row.insertCell().textContent = `${entry.method}${ratio}`;
+
+        const actionCell = row.insertCell();
+        if (entry.metadata) {
+            const viewBtn = document.createElement('button');
+            viewBtn.className = 'ai-meta-copy-btn';
+            viewBtn.textContent = 'View Metadata';
+            viewBtn.addEventListener('click', (e) => {
+                e.stopPropagation();
+                const metadataModal = createModal(entry.metadata);
+                metadataModal.classList.add('stacked');
+                document.body.appendChild(metadataModal);
+            });
+            actionCell.appendChild(viewBtn);
+        }
+    }
+    content.appendChild(table);
+
+    modal.appendChild(header);
+    modal.appendChild(content);
+    overlay.appendChild(modal);
+
+    // イベントハンドラ (ダウンローダーは開いたままなのでスクロールロックは触らない)
+    const close = () => {
+        if (overlay.parentNode) {
+            overlay.parentNode.removeChild(overlay);
+        }
+        document.removeEventListener('keydown', escHandler);
+    };
+    const escHandler = (e) => {
+        // メタデータモーダルが上に開いている間はそちらを優先
+        const overlays = document.querySelectorAll('.ai-meta-modal-overlay');
+        if (e.key === 'Escape' && overlays[overlays.length - 1] === overlay) close();
+    };
+
+    closeBtn.addEventListener('click', close);
+    overlay.addEventListener('click', (e) => {
+        if (e.target === overlay) close();
+    });
+    document.addEventListener('keydown', escHandler);
+
+    return overlay;
+}
+
+/**
+ * セクションを見出しのクリックで開閉できるようにする (初期状態は閉じる)
+ * @param {HTMLElement} section - createSection で作成したセクション
+ */
+function makeSectionCollapsible(section) {
+    const header = section.querySelector('.ai-meta-section-header');
+    const label = section.querySelector('.ai-meta-section-label');
+    const title = label.textContent;
+
+    const setCollapsed = (collapsed) => {
+        section.classList.toggle('collapsed', collapsed);
+        label.textContent = `${collapsed ? '▶' : '▼'} ${title}`;
+    };
+
+    section.classList.add('ai-meta-collapsible');
+    header.addEventListener('click', () => setCollapsed(!section.classList.contains('collapsed')));
+    setCollapsed(true);
+}
+
+/**
+ * infotext のキーの色分けグループ (Model: 青 / ADetailer: 紫 / Hires: 緑 / Lora: 黄)
+ * @param {string} key - 設定のキー
+ * @returns {string} - 'model' | 'adetailer' | 'hires' | 'lora' | ''
+ */
+function getInfotextColorGroup(key) {
+    if (/^ADetailer/i.test(key)) return 'adetailer';
+    if (/^Hires\s+(?:checkpoint|Module\s+\d+|CFG\s+Scale|upscale|steps|upscaler)$/i.test(key)) return 'hires';
+    if (/^Lora\s+hashes$/i.test(key)) return 'lora';
+    if (/model$/i.test(key) || /^Module\s+\d+$/i.test(key)) return 'model';
+    return '';
+}
+
+/**
+ * A1111 / Forge の設定行を並べ替え可能な key/value 表として表示するセクションを作成
+ * 見出しのクリックで キー順 / 値順 (昇順 → 降順 → 元の順) に切り替える
+ * @param {string} settingsText - 設定行の元のテキスト (コピー用)
+ * @param {Array<{key: string, value: string|Object}>} entries - tokenizeInfotextSettings の結果
+ * @returns {HTMLElement}
+ */
+function createInfotextSettingsSection(settingsText, entries) {
+    const section = document.createElement('div');
+    section.className = 'ai-meta-section infotext-settings-section';
+
+    const header = document.createElement('div');
+    header.className = 'ai-meta-section-header';
+
+    const label = document.createElement('span');
+    label.className = 'ai-meta-section-label';
+    label.textContent = 'Generation Settings';
+
+    const copyBtn = document.createElement('button');
+    copyBtn.className = 'ai-meta-copy-btn';
+    copyBtn.textContent = 'Copy';
+    copyBtn.setAttribute('data-tooltip', 'Copy to clipboard');
+    setupCopyButton(copyBtn, settingsText);
+
+    header.appendChild(label);
+    header.appendChild(copyBtn);
+
+    const body = document.createElement('div');
+    body.className = 'ai-meta-text-area';
+
+    const rows = entries.map(({ key, value }, index) => ({
+        key,
+        value: typeof value === 'object' ? JSON.stringify(value, null, 2) : String(value),
+        index
+    }));
+
+    const table = document.createElement('table');
+    table.className = 'ai-meta-infotext-table';
+
+    const headRow = document.createElement('tr');
+    const sortState = { column: null, direction: 1 };
+    const headCells = ['key', 'value'].map(column => {
+        const th = document.createElement('th');
+        th.dataset.column = column;
+        th.title = 'Click to sort';
+        th.addEventListener('click', () => {
+            // 昇順 → 降順 → 元の順
+            if (sortState.column !== column) {
+                sortState.column = column;
+                sortState.direction = 1;
+            } else if (sortState.direction === 1) {
+                sortState.direction = -1;
+            } else {
+                sortState.column = null;
+            }
+            renderRows();
+        });
+        headRow.appendChild(th);
+        return th;
+    });
+    const thead = document.createElement('thead');
+    thead.appendChild(headRow);
+
+    const tbody = document.createElement('tbody');
+
+    const renderRows = () => {
+        headCells.forEach(th => {
+            const arrow = sortState.column === th.dataset.column ? (sortState.direction === 1 ? ' ▲' : ' ▼') : '';
+            th.textContent = (th.dataset.column === 'key' ? 'Key' : 'Value') + arrow;
+        });
+
+        const sorted = [...rows].sort((a, b) => {
+            if (!sortState.column) return a.index - b.index;
+            return a[sortState.column].localeCompare(b[sortState.column], undefined, { numeric: true }) * sortState.direction;
+        });
+
+        tbody.innerHTML = '';
+        for (const row of sorted) {
+            const tr = document.createElement('tr');
+            const group = getInfotextColorGroup(row.key);
+            if (group) tr.className = `group-${group}`;
+
+            const keyCell = document.createElement('th');
+            keyCell.textContent = row.key;
+            const valueCell = document.createElement('td');
+            valueCell.textContent = row.value;
+
+            tr.appendChild(keyCell);
+            tr.appendChild(valueCell);
+            tbody.appendChild(tr);
+        }
+    };
+    renderRows();
+
+    table.appendChild(thead);
+    table.appendChild(tbody);
+    body.appendChild(table);
+
+    section.appendChild(header);
+    section.appendChild(body);
+    return section;
+}
+
+/**
+ * Exif UserComment の再デコードで選択できる文字コード [TextDecoder のラベル, 表示名]
+ */
+const USER_COMMENT_ENCODINGS = [
+    ['utf-8', 'UTF-8'],
+    ['shift_jis', 'Shift_JIS'],
+    ['iso-2022-jp', 'ISO-2022-JP'],
+    ['euc-jp', 'EUC-JP'],
+    ['euc-kr', 'EUC-KR']
+];
+
+/**
+ * UserComment の文字コード表示と再デコード用の選択欄を作成
+ * @param {Object} info - parser の UserCommentEncoding { detected, identifier, bytes, selected }
+ * @param {Function} onChange - 文字コードが選択されたときのコールバック (encoding) => void
+ * @returns {HTMLElement}
+ */
+function createUserCommentEncodingBar(info, onChange) {
+    const labelOf = (encoding) => (USER_COMMENT_ENCODINGS.find(([value]) => value === encoding) || [encoding, encoding])[1];
+
+    const bar = document.createElement('div');
+    bar.className = 'ai-meta-encoding-bar';
+
+    const label = document.createElement('span');
+    label.textContent = `UserComment encoding: ${labelOf(info.detected)} (detected, identifier: ${info.identifier || 'none'})`;
+
+    const select = document.createElement('select');
+    select.title = 'Re-decode the Exif UserComment with another encoding';
+    for (const [value, name] of USER_COMMENT_ENCODINGS) {
+        const option = document.createElement('option');
+        option.value = value;
+        option.textContent = name;
+        select.appendChild(option);
+    }
+    select.value = info.selected || info.detected;
+    select.addEventListener('change', () => onChange(select.value));
+
+    bar.appendChild(label);
+    bar.appendChild(select);
+    return bar;
+}
+
+/**
+ * parser が保持した UserComment の元バイト列 (base64) を指定の文字コードでデコード
+ * @param {string} base64 - 元のバイト列
+ * @param {string} encoding - TextDecoder のラベル
+ * @returns {string|null} - デコード結果 (末尾の NULL は除去)、失敗時は null
+ */
+function decodeUserCommentBytes(base64, encoding) {
+    try {
+        const binary = atob(base64);
+        const bytes = new Uint8Array(binary.length);
+        for (let i = 0; i < binary.length; i++) {
+            bytes[i] = binary.charCodeAt(i);
+        }
+        const text = new TextDecoder(encoding).decode(bytes);
+        let end = text.length;
+        while (end > 0 && text.charCodeAt(end - 1) === 0) end--;
+        return text.slice(0, end);
+    } catch (e) {
+        console.error('[AI Meta Viewer] Failed to re-decode UserComment:', e);
+        return null;
+    }
+}
+
+/**
+ * C2PA 署名検証結果の表示要素を作成
+ * @param {Object} signature - 検証結果 { status: 'signature-only'|'invalid'|'unverified', message }
+ * @returns {HTMLElement}
+ */
+function createContentCredentialsStatus(signature) {
+    const sig = signature || { status: 'unverified', message: '' };
+    const labels = {
+        'signature-only': '◇ Signature intact, content binding not verified',
+        invalid: '✖ Signature invalid',
+        unverified: '? Signature not verified'
+    };
+    // 以前のバージョンでキャッシュされた 'valid' も画像との照合はしていないため同じ扱い
+    const statusKey = sig.status === 'valid' ? 'signature-only' : (labels[sig.status] ? sig.status : 'unverified');
+
+    const status = document.createElement('div');
+    status.className = `ai-meta-c2pa-status ${statusKey}`;
+    status.textContent = labels[statusKey];
+
+    if (sig.message) {
+        const message = document.createElement('span');
+        message.className = 'ai-meta-c2pa-message';
+        message.textContent = ` — ${sig.message}`;
+        status.appendChild(message);
+    }
+
+    return status;
+}
+
+/**
+ * C2PA マニフェストの概要をテキスト化
+ * @param {Object} c2pa - parser の C2PA 解析結果
+ * @returns {string}
+ */
+function formatContentCredentials(c2pa) {
+    const lines = [];
+    const sig = c2pa.signature || {};
+    // IPTC DigitalSourceType の URI は末尾の語 (trainedAlgorithmicMedia 等) のみ表示
+    const shortType = (uri) => uri ? uri.split('/').pop() : '';
+
+    if (sig.signer) lines.push(`Signed by: ${sig.signer}`);
+    if (sig.issuer) lines.push(`Issued by: ${sig.issuer}`);
+    if (sig.algorithm) lines.push(`Algorithm: ${sig.algorithm}`);
+    if (c2pa.claimGenerator) lines.push(`Claim generator: ${c2pa.claimGenerator}`);
+    if (c2pa.title || c2pa.format) lines.push(`Title: ${[c2pa.title, c2pa.format && `(${c2pa.format})`].filter(Boolean).join(' ')}`);
+
+    if (Array.isArray(c2pa.actions) && c2pa.actions.length > 0) {
+        lines.push('', 'Actions:');
+        for (const action of c2pa.actions) {
+            let line = `  - ${action.action}`;
+            if (action.digitalSourceType) line += ` [${shortType(action.digitalSourceType)}]`;
+            if (action.softwareAgent) line += ` by ${action.softwareAgent}`;
+            if (action.when) line += ` at ${action.when}`;
+            lines.push(line);
+            if (action.description) lines.push(`      ${action.description}`);
+        }
+    }
+
+    // 材料チェーンを入れ子で表示
+    const addIngredients = (ingredients, depth) => {
+        for (const ingredient of ingredients) {
+            const indent = '  '.repeat(depth + 1);
+            let line = `${indent}- ${ingredient.title || 'Untitled'}`;
+            if (ingredient.format) line += ` (${ingredient.format})`;
+            line += ` [${ingredient.relationship}]`;
+            if (ingredient.claimGenerator) line += ` ← ${ingredient.claimGenerator}`;
+            lines.push(line);
+            if (Array.isArray(ingredient.ingredients)) addIngredients(ingredient.ingredients, depth + 1);
+        }
+    };
+    if (Array.isArray(c2pa.ingredients) && c2pa.ingredients.length > 0) {
+        lines.push('', 'Ingredients:');
+        addIngredients(c2pa.ingredients, 0);
+    }
+
+    if (Array.isArray(sig.warnings) && sig.warnings.length > 0) {
+        lines.push('', 'Notes:');
+        sig.warnings.forEach(warning => lines.push(`  - ${warning}`));
+    }
+
+    return lines.join('\n');
+}
+
+/**
+ * Safetensors テンソル解析結果をテキスト化
+ * @param {Object} analysis - parser の ModelAnalysis 解析結果
+ * @returns {string}
+ */
+function formatModelAnalysis(analysis) {
+    const lines = [];
+    // パラメータ数を 2.57B / 151.1M 形式に
+    const formatCount = (n) => {
+        if (n >= 1e9) return `${(n / 1e9).toFixed(2)}B`;
+        if (n >= 1e6) return `${(n / 1e6).toFixed(1)}M`;
+        if (n >= 1e3) return `${(n / 1e3).toFixed(1)}K`;
+        return String(n);
+    };
+
+    lines.push(`Type: ${analysis.modelType}`);
+    lines.push(`Architecture: ${analysis.architecture}`);
+    if (Array.isArray(analysis.components) && analysis.components.length > 0) {
+        lines.push(`Components: ${analysis.components.join(', ')}`);
+    }
+    if (analysis.rank !== null && analysis.rank !== undefined) {
+        lines.push(`Rank (dim): ${analysis.rank}`);
+        lines.push(`Alpha: ${analysis.alpha !== null && analysis.alpha !== undefined ? analysis.alpha : 'Unknown'}`);
+    }
+    if (Array.isArray(analysis.precision) && analysis.precision.length > 0) {
+        const precision = analysis.precision.length === 1
+            ? analysis.precision[0].dtype
+            : analysis.precision.map(p => `${p.dtype} ${(p.ratio * 100).toFixed(1)}%`).join(', ');
+        lines.push(`Precision: ${precision}`);
+    }
+    lines.push(`Parameters: ${formatCount(analysis.parameterCount)} (${analysis.tensorCount} tensors)`);
+
+    return lines.join('\n');
+}
+
+/**
+ * Model Card の詳細表に表示する ModelSpec キーと表示名 (タイトル・サムネイル等はヘッダーに表示)
+ */
+const MODELSPEC_DETAIL_FIELDS = [
+    ['modelspec.architecture', 'Architecture'],
+    ['modelspec.implementation', 'Implementation'],
+    ['modelspec.resolution', 'Resolution'],
+    ['modelspec.prediction_type', 'Prediction type'],
+    ['modelspec.timestep_range', 'Timestep range'],
+    ['modelspec.encoder_layer', 'Encoder layer'],
+    ['modelspec.usage_hint', 'Usage hint'],
+    ['modelspec.tags', 'Tags'],
+    ['modelspec.merged_from', 'Merged from'],
+    ['modelspec.hash_sha256', 'SHA-256'],
+    ['modelspec.sai_model_spec', 'ModelSpec version']
+];
+
+/**
+ * サムネイルとして表示を許可する data URI (ラスター画像の base64 のみ)
+ */
+const MODELSPEC_THUMBNAIL_PATTERN = /^data:image\/(?:png|jpeg|jpg|webp|gif|avif);base64,[A-Za-z0-9+/=\s]+$/;
+
+/**
+ * Stability AI の ModelSpec (modelspec.* キー) を Model Card 用にまとめる
+ * @param {Object} metadata - Safetensors の __metadata__
+ * @returns {Object|null} - { title, author, date, description, license, triggerPhrase, thumbnail, details: [[label, value]] }
+ */
+function buildModelSpec(metadata) {
+    if (!Object.keys(metadata).some(key => key.startsWith('modelspec.'))) return null;
+
+    const get = (key) => {
+        const value = metadata[`modelspec.${key}`];
+        if (value === undefined || value === null) return '';
+        return (typeof value === 'object' ? JSON.stringify(value) : String(value)).trim();
+    };
+
+    const thumbnail = get('thumbnail');
+    const known = new Set(['modelspec.title', 'modelspec.author', 'modelspec.date', 'modelspec.description',
+        'modelspec.license', 'modelspec.trigger_phrase', 'modelspec.thumbnail']);
+
+    const details = [];
+    for (const [key, label] of MODELSPEC_DETAIL_FIELDS) {
+        known.add(key);
+        const value = get(key.slice('modelspec.'.length));
+        if (value) details.push([label, value]);
+    }
+    // 仕様に追加された未知のキーもそのまま表に出す
+    for (const key of Object.keys(metadata)) {
+        if (!key.startsWith('modelspec.') || known.has(key)) continue;
+        const value = get(key.slice('modelspec.'.length));
+        if (value) details.push([key.slice('modelspec.'.length), value]);
+    }
+
+    return {
+        title: get('title'),
+        author: get('author'),
+        date: get('date'),
+        description: get('description'),
+        license: get('license'),
+        triggerPhrase: get('trigger_phrase'),
+        // 巨大な base64 を表示しないよう、画像として描画できる data URI 以外は捨てる
+        thumbnail: MODELSPEC_THUMBNAIL_PATTERN.test(thumbnail) ? thumbnail : '',
+        details
+    };
+}
+
+/**
+ * Model Card をコピー用のテキストに変換 (サムネイルは除く)
+ * @param {Object} spec - buildModelSpec の戻り値
+ * @returns {string}
+ */
+function formatModelSpec(spec) {
+    const lines = [];
+    if (spec.title) lines.push(`Title: ${spec.title}`);
+    if (spec.author) lines.push(`Author: ${spec.author}`);
+    if (spec.date) lines.push(`Date: ${spec.date}`);
+    if (spec.license) lines.push(`License: ${spec.license}`);
+    if (spec.triggerPhrase) lines.push(`Trigger phrase: ${spec.triggerPhrase}`);
+    spec.details.forEach(([label, value]) => lines.push(`${label}: ${value}`));
+    if (spec.description) lines.push('', spec.description);
+    return lines.join('\n');
+}
+
+/**
+ * Model Card セクション (サムネイル・タイトル・ライセンス・トリガーフレーズ) を作成
+ * @param {Object} spec - buildModelSpec の戻り値
+ * @returns {HTMLElement}
+ */
+function createModelSpecSection(spec) {
+    const section = document.createElement('div');
+    section.className = 'ai-meta-section model-card-section';
+
+    const sectionHeader = document.createElement('div');
+    sectionHeader.className = 'ai-meta-section-header';
+
+    const label = document.createElement('span');
+    label.className = 'ai-meta-section-label';
+    label.textContent = 'Model Card';
+
+    const copyBtn = document.createElement('button');
+    copyBtn.className = 'ai-meta-copy-btn';
+    copyBtn.textContent = 'Copy';
+    copyBtn.setAttribute('data-tooltip', 'Copy model card');
+    setupCopyButton(copyBtn, formatModelSpec(spec));
+
+    sectionHeader.appendChild(label);
+    sectionHeader.appendChild(copyBtn);
+    section.appendChild(sectionHeader);
+
+    const card = document.createElement('div');
+    card.className = 'ai-meta-model-card';
+
+    if (spec.thumbnail) {
+        const img = document.createElement('img');
+        img.className = 'ai-meta-model-card-thumbnail';
+        img.src = spec.thumbnail;
+        img.alt = spec.title || 'Model thumbnail';
+        // 壊れた画像は枠ごと隠す
+        img.addEventListener('error', () => img.remove());
+        card.appendChild(img);
+    }
+
+    const info = document.createElement('div');
+    info.className = 'ai-meta-model-card-info';
+
+    const title = document.createElement('div');
+    title.className = 'ai-meta-model-card-title';
+    title.textContent = spec.title || 'Untitled model';
+    info.appendChild(title);
+
+    const byline = [spec.author, spec.date].filter(Boolean).join(' · ');
+    if (byline) {
+        const meta = document.createElement('div');
+        meta.className = 'ai-meta-model-card-byline';
+        meta.textContent = byline;
+        info.appendChild(meta);
+    }
+
+    if (spec.license) {
+        const license = document.createElement('div');
+        license.className = 'ai-meta-model-card-row';
+        const caption = document.createElement('span');
+        caption.className = 'ai-meta-training-caption';
+        caption.textContent = 'License';
+        const value = document.createElement('span');
+        value.className = 'ai-meta-model-card-license';
+        value.textContent = spec.license;
+        license.appendChild(caption);
+        license.appendChild(value);
+        info.appendChild(license);
+    }
+
+    if (spec.triggerPhrase) {
+        const trigger = document.createElement('div');
+        trigger.className = 'ai-meta-model-card-row';
+        const caption = document.createElement('span');
+        caption.className = 'ai-meta-training-caption';
+        caption.textContent = 'Trigger phrase';
+        const value = document.createElement('span');
+        value.className = 'ai-meta-training-chip';
+        value.textContent = spec.triggerPhrase;
+        const triggerCopy = document.createElement('button');
+        triggerCopy.className = 'ai-meta-copy-btn';
+        triggerCopy.textContent = 'Copy';
+        triggerCopy.setAttribute('data-tooltip', 'Copy trigger phrase');
+        setupCopyButton(triggerCopy, spec.triggerPhrase);
+        trigger.appendChild(caption);
+        trigger.appendChild(value);
+        trigger.appendChild(triggerCopy);
+        info.appendChild(trigger);
+    }
+
+    if (spec.description) {
+        const description = document.createElement('div');
+        description.className = 'ai-meta-model-card-description';
+        description.textContent = spec.description;
+        info.appendChild(description);
+    }
+
+    if (spec.details.length > 0) {
+        const table = document.createElement('table');
+        table.className = 'ai-meta-training-table';
+        for (const [key, value] of spec.details) {
+            const row = table.insertRow();
+            const th = document.createElement('th');
+            th.textContent = key;
+            row.appendChild(th);
+            row.insertCell().textContent = value;
+        }
+        info.appendChild(table);
+    }
+
+    card.appendChild(info);
+    section.appendChild(card);
+    return section;
+}
+
+/**
+ * LoRA Training セクションに表示する kohya-ss の学習設定キーと表示名
+ */
+const LORA_TRAINING_SETTINGS = [
+    ['ss_output_name', 'Output name'],
+    ['ss_base_model_version', 'Base model'],
+    ['ss_sd_model_name', 'Trained on'],
+    ['ss_network_module', 'Network module'],
+    ['ss_network_dim', 'Network dim'],
+    ['ss_network_alpha', 'Network alpha'],
+    ['ss_network_args', 'Network args'],
+    ['ss_resolution', 'Resolution'],
+    ['ss_learning_rate', 'Learning rate'],
+    ['ss_unet_lr', 'UNet LR'],
+    ['ss_text_encoder_lr', 'Text encoder LR'],
+    ['ss_optimizer', 'Optimizer'],
+    ['ss_lr_scheduler', 'LR scheduler'],
+    ['ss_num_epochs', 'Epochs'],
+    ['ss_epoch', 'Saved at epoch'],
+    ['ss_max_train_steps', 'Max steps'],
+    ['ss_steps', 'Steps'],
+    ['ss_batch_size_per_device', 'Batch size'],
+    ['ss_gradient_accumulation_steps', 'Gradient accumulation'],
+    ['ss_num_train_images', 'Training images'],
+    ['ss_num_reg_images', 'Regularization images'],
+    ['ss_clip_skip', 'Clip skip'],
+    ['ss_mixed_precision', 'Mixed precision'],
+    ['ss_noise_offset', 'Noise offset'],
+    ['ss_min_snr_gamma', 'Min SNR gamma'],
+    ['ss_seed', 'Seed'],
+    ['ss_training_started_at', 'Started'],
+    ['ss_training_finished_at', 'Finished']
+];
+
+/**
+ * トリガーワード候補から除外するキャプションの汎用タグ
+ */
+const LORA_GENERIC_TAGS = new Set([
+    '1girl', '1boy', 'solo', 'looking at viewer', 'simple background', 'white background',
+    'smile', 'blush', 'open mouth', 'closed mouth', 'long hair', 'short hair', 'upper body',
+    'full body', 'standing', 'realistic', 'photorealistic', 'outdoors', 'indoors'
+]);
+
+/**
+ * 表示するタグ頻度の最大行数
+ */
+const MAX_LORA_TAG_ROWS = 300;
+
+/**
+ * kohya-ss の ss_* キーから学習設定・データセットごとのタグ頻度・トリガーワード候補をまとめる
+ * @param {Object} metadata - Safetensors の __metadata__
+ * @returns {Object|null} - { settings: [[label, value]], folders: [{ name, repeats, imageCount, tags: [[tag, count]] }], triggers: string[] }
+ */
+function buildLoraTrainingSummary(metadata) {
+    if (!Object.keys(metadata).some(key => key.startsWith('ss_'))) return null;
+
+    const parseJson = (value) => {
+        if (value && typeof value === 'object') return value;
+        try {
+            return JSON.parse(value);
+        } catch (e) {
+            return null;
+        }
+    };
+
+    const settings = [];
+    for (const [key, label] of LORA_TRAINING_SETTINGS) {
+        let value = metadata[key];
+        if (value === undefined || value === null || value === '' || value === 'None') continue;
+        if (key === 'ss_training_started_at' || key === 'ss_training_finished_at') {
+            const date = new Date(Number(value) * 1000);
+            if (!isNaN(date.getTime())) value = date.toLocaleString();
+        } else if (typeof value === 'object') {
+            value = JSON.stringify(value);
+        }
+        settings.push([label, String(value)]);
+    }
+
+    // フォルダ (サブセット) ごとのタグ頻度。古い形式は ss_tag_frequency + ss_dataset_dirs、新しい形式は ss_datasets 内
+    const folders = [];
+    const addFolder = (name, frequency, info) => {
+        const counts = new Map();
+        for (const [tag, count] of Object.entries(frequency || {})) {
+            const normalized = tag.trim();
+            if (!normalized) continue;
+            counts.set(normalized, (counts.get(normalized) || 0) + Number(count || 0));
+        }
+        folders.push({
+            name,
+            repeats: info && info.n_repeats !== undefined ? Number(info.n_repeats) : (info && info.num_repeats !== undefined ? Number(info.num_repeats) : null),
+            imageCount: info && info.img_count !== undefined ? Number(info.img_count) : null,
+            tags: Array.from(counts.entries()).sort((a, b) => b[1] - a[1])
+        });
+    };
+
+    const tagFrequency = parseJson(metadata.ss_tag_frequency);
+    const datasetDirs = parseJson(metadata.ss_dataset_dirs) || {};
+    if (tagFrequency && typeof tagFrequency === 'object') {
+        for (const [name, frequency] of Object.entries(tagFrequency)) {
+            addFolder(name, frequency, datasetDirs[name]);
+        }
+    } else {
+        const datasets = parseJson(metadata.ss_datasets);
+        if (Array.isArray(datasets)) {
+            for (const dataset of datasets) {
+                const subsets = Array.isArray(dataset.subsets) ? dataset.subsets : [];
+                for (const [name, frequency] of Object.entries(dataset.tag_frequency || {})) {
+                    const subset = subsets.find(sub => sub.image_dir && (sub.image_dir === name || sub.image_dir.endsWith(`/${name}`) || sub.image_dir.endsWith(`\\${name}`)));
+                    addFolder(name, frequency, subset);
+                }
+            }
+        }
+    }
+
+    return { settings, folders, triggers: suggestLoraTriggers(folders) };
+}
+
+/**
+ * トリガーワード候補を推定
+ * フォルダ名 ("10_sks dog" の "sks dog") と、ほぼ全画像のキャプションに含まれる汎用的でないタグを候補にする
+ * @param {Array} folders - buildLoraTrainingSummary のフォルダ一覧
+ * @returns {string[]}
+ */
+function suggestLoraTriggers(folders) {
+    const triggers = [];
+    const add = (word) => {
+        if (word && !triggers.includes(word)) triggers.push(word);
+    };
+
+    for (const folder of folders) {
+        const match = folder.name.match(/^\d+_(.+)$/);
+        if (match && !LORA_GENERIC_TAGS.has(match[1].trim())) add(match[1].trim());
+    }
+
+    // 画像数が分かるフォルダでは、8 割以上の画像のキャプションに含まれるタグ
+    for (const folder of folders) {
+        if (!folder.imageCount) continue;
+        folder.tags
+            .filter(([tag, count]) => !LORA_GENERIC_TAGS.has(tag) && count / folder.imageCount >= 0.8)
+            .forEach(([tag]) => add(tag));
+    }
+
+    // 候補がなければ全フォルダ合計で最も多いタグ
+    if (triggers.length === 0) {
+        const totals = new Map();
+        folders.forEach(folder => folder.tags.forEach(([tag, count]) => totals.set(tag, (totals.get(tag) || 0) + count)));
+        Array.from(totals.entries())
+            .filter(([tag]) => !LORA_GENERIC_TAGS.has(tag))
+            .sort((a, b) => b[1] - a[1])
+            .slice(0, 3)
+            .forEach(([tag]) => add(tag));
+    }
+
+    return triggers.slice(0, 8);
+}
+
+/**
+ * LoRA Training セクション (学習設定表・トリガー候補・検索可能なタグ頻度) を作成
+ * @param {Object} summary - buildLoraTrainingSummary の戻り値
+ * @returns {HTMLElement}
+ */
+function createLoraTrainingSection(summary) {
+    const section = document.createElement('div');
+    section.className = 'ai-meta-section training-section';
+
+    const sectionHeader = document.createElement('div');
+    sectionHeader.className = 'ai-meta-section-header';
+
+    const label = document.createElement('span');
+    label.className = 'ai-meta-section-label';
+    label.textContent = 'LoRA Training';
+
+    const copyBtn = document.createElement('button');
+    copyBtn.className = 'ai-meta-copy-btn';
+    copyBtn.textContent = 'Copy';
+    copyBtn.setAttribute('data-tooltip', 'Copy training settings');
+    setupCopyButton(copyBtn, summary.settings.map(([key, value]) => `${key}: ${value}`).join('\n'));
+
+    sectionHeader.appendChild(label);
+    sectionHeader.appendChild(copyBtn);
+    section.appendChild(sectionHeader);
+
+    const body = document.createElement('div');
+    body.className = 'ai-meta-training';
+
+    // トリガーワード候補
+    if (summary.triggers.length > 0) {
+        const triggers = document.createElement('div');
+        triggers.className = 'ai-meta-training-triggers';
+
+        const triggerLabel = document.createElement('span');
+        triggerLabel.className = 'ai-meta-training-caption';
+        triggerLabel.textContent = 'Suggested triggers';
+        triggers.appendChild(triggerLabel);
+
+        summary.triggers.forEach(word => {
+            const chip = document.createElement('span');
+            chip.className = 'ai-meta-training-chip';
+            chip.textContent = word;
+            triggers.appendChild(chip);
+        });
+
+        const triggerCopy = document.createElement('button');
+        triggerCopy.className = 'ai-meta-copy-btn';
+        triggerCopy.textContent = 'Copy';
+        triggerCopy.setAttribute('data-tooltip', 'Copy trigger words');
+        setupCopyButton(triggerCopy, summary.triggers.join(', '));
+        triggers.appendChild(triggerCopy);
+
+        body.appendChild(triggers);
+    }
+
+    // 学習設定表
+    if (summary.settings.length > 0) {
+        const table = document.createElement('table');
+        table.className = 'ai-meta-training-table';
+        for (const [key, value] of summary.settings) {
+            const row = table.insertRow();
+            const th = document.createElement('th');
+            th.textContent = key;
+            row.appendChild(th);
+            row.insertCell().textContent = value;
+        }
+        body.appendChild(table);
+    }
+
+    // タグ頻度 (フォルダ選択 + 検索 + 横棒グラフ)
+    if (summary.folders.length > 0) {
+        const controls = document.createElement('div');
+        controls.className = 'ai-meta-training-controls';
+
+        const folderSelect = document.createElement('select');
+        const allOption = new Option(`All folders (${summary.folders.length})`, '');
+        folderSelect.appendChild(allOption);
+        summary.folders.forEach((folder, index) => {
+            const details = [folder.imageCount !== null ? `${folder.imageCount} images` : '', folder.repeats !== null ? `×${folder.repeats}` : '']
+                .filter(Boolean).join(', ');
+            folderSelect.appendChild(new Option(details ? `${folder.name} (${details})` : folder.name, String(index)));
+        });
+
+        const search = document.createElement('input');
+        search.type = 'search';
+        search.placeholder = 'Filter tags...';
+
+        controls.appendChild(folderSelect);
+        controls.appendChild(search);
+        body.appendChild(controls);
+
+        const list = document.createElement('div');
+        list.className = 'ai-meta-training-tags';
+        body.appendChild(list);
+
+        const render = () => {
+            const folders = folderSelect.value === '' ? summary.folders : [summary.folders[Number(folderSelect.value)]];
+            const counts = new Map();
+            folders.forEach(folder => folder.tags.forEach(([tag, count]) => counts.set(tag, (counts.get(tag) || 0) + count)));
+
+            const query = search.value.trim().toLowerCase();
+            const rows = Array.from(counts.entries())
+                .filter(([tag]) => !query || tag.toLowerCase().includes(query))
+                .sort((a, b) => b[1] - a[1]);
+            const max = rows.length > 0 ? rows[0][1] : 1;
+
+            list.textContent = '';
+            rows.slice(0, MAX_LORA_TAG_ROWS).forEach(([tag, count]) => {
+                const row = document.createElement('div');
+                row.className = 'ai-meta-training-tag';
+
+                const name = document.createElement('span');
+                name.className = 'ai-meta-training-tag-name';
+                name.textContent = tag;
+                name.title = tag;
+
+                const bar = document.createElement('span');
+                bar.className = 'ai-meta-training-tag-bar';
+                const fill = document.createElement('span');
+                fill.style.width = `${Math.max(1, count / max * 100)}%`;
+                bar.appendChild(fill);
+
+                const value = document.createElement('span');
+                value.className = 'ai-meta-training-tag-count';
+                value.textContent = String(count);
+
+                row.appendChild(name);
+                row.appendChild(bar);
+                row.appendChild(value);
+                list.appendChild(row);
+            });
+
+            if (rows.length === 0) {
+                list.textContent = 'No tags';
+            } else if (rows.length > MAX_LORA_TAG_ROWS) {
+                const more = document.createElement('div');
+                more.className = 'ai-meta-training-caption';
+                more.textContent = `${rows.length - MAX_LORA_TAG_ROWS} more tags (use the filter)`;
+                list.appendChild(more);
+            }
+        };
+
+        folderSelect.addEventListener('change', render);
+        search.addEventListener('input', render);
+        // 入力中のキーがページ側のショートカットに伝わらないように (Esc はモーダルを閉じるため通す)
+        search.addEventListener('keydown', e => {
+            if (e.key !== 'Escape') e.stopPropagation();
+        });
+        render();
+    }
+
+    section.appendChild(body);
+    return section;
+}
+
+/**
+ * マージレシピの入れ子の最大深さ (循環参照対策)
+ */
+const MAX_MERGE_RECIPE_DEPTH = 32;
+
+/**
+ * チェックポイントのマージレシピ (sd_merge_recipe / sd_merge_models) を木構造に変換
+ * A1111 の Checkpoint Merger と SuperMerger の形式に対応
+ * sd_merge_models に元モデル自身のレシピがあれば入れ子として展開し、同じモデルの 2 回目以降は展開しない
+ * @param {Object} metadata - Safetensors の __metadata__
+ * @returns {Object|null} - { method, multiplier, name, extras, sources: [{ role, weight, hash, name, recipe, repeated }] }
+ */
+function buildMergeRecipeTree(metadata) {
+    const parseJson = (value) => {
+        if (value && typeof value === 'object') return value;
+        if (typeof value !== 'string') return null;
+        try {
+            return JSON.parse(value);
+        } catch (e) {
+            return null;
+        }
+    };
+
+    const rootRecipe = parseJson(metadata.sd_merge_recipe);
+    if (!rootRecipe || typeof rootRecipe !== 'object') return null;
+    const models = parseJson(metadata.sd_merge_models) || {};
+    const expanded = new Set();
+
+    // sha256 または legacy_hash (短縮ハッシュ) でモデル情報を引く
+    const findModel = (key) => {
+        if (!key) return null;
+        if (models[key]) return { hash: key, ...models[key] };
+        const hash = Object.keys(models).find(h => models[h] && (models[h].legacy_hash === key || models[h].name === key));
+        return hash ? { hash, ...models[hash] } : null;
+    };
+
+    const formatNumber = (n) => String(Math.round(n * 1000) / 1000);
+
+    const buildNode = (recipe, depth) => {
+        const method = recipe.interp_method || recipe.mode || recipe.calcmode || 'Unknown';
+        const multiplier = recipe.multiplier !== undefined ? recipe.multiplier : recipe.alpha;
+        const m = Number(multiplier);
+
+        // 各モデルの寄与: Weighted sum = A×(1−M) + B×M, Add difference = A + (B−C)×M
+        const weights = {};
+        if (Number.isFinite(m)) {
+            if (/weight(ed)?\s*sum/i.test(method)) {
+                weights.A = `×${formatNumber(1 - m)}`;
+                weights.B = `×${formatNumber(m)}`;
+            } else if (/add\s*diff/i.test(method)) {
+                weights.A = '×1';
+                weights.B = `+${formatNumber(m)}`;
+                weights.C = `−${formatNumber(m)}`;
+            } else {
+                weights.B = `M=${formatNumber(m)}`;
+            }
+        }
+
+        const roles = [
+            ['A', recipe.primary_model_hash || recipe.model_a],
+            ['B', recipe.secondary_model_hash || recipe.model_b],
+            ['C', recipe.tertiary_model_hash || recipe.model_c]
+        ];
+
+        const sources = [];
+        for (const [role, key] of roles) {
+            if (!key) continue;
+            const model = findModel(key);
+            const hash = model ? model.hash : key;
+            const source = {
+                role,
+                weight: weights[role] || '',
+                hash: (model && model.legacy_hash) || (hash.length > 10 ? hash.substring(0, 10) : hash),
+                name: model && model.name ? model.name : (model ? '' : String(key)),
+                recipe: null,
+                repeated: false
+            };
+
+            const childRecipe = model ? parseJson(model.sd_merge_recipe) : null;
+            if (childRecipe && typeof childRecipe === 'object') {
+                if (expanded.has(hash)) {
+                    source.repeated = true;
+                } else if (depth < MAX_MERGE_RECIPE_DEPTH) {
+                    expanded.add(hash);
+                    source.recipe = buildNode(childRecipe, depth + 1);
+                }
+            }
+            sources.push(source);
+        }
+
+        const extras = [];
+        if (recipe.bake_in_vae && recipe.bake_in_vae !== 'None') extras.push(`VAE: ${recipe.bake_in_vae}`);
+        if (recipe.discard_weights) extras.push(`Discard: ${recipe.discard_weights}`);
+        if (recipe.weights_alpha) extras.push(`Block weights: ${recipe.weights_alpha}`);
+        if (recipe.beta !== undefined && recipe.beta !== null && recipe.beta !== '') extras.push(`Beta: ${recipe.beta}`);
+
+        return {
+            method,
+            multiplier: Number.isFinite(m) ? formatNumber(m) : null,
+            name: recipe.custom_name || '',
+            extras,
+            sources
+        };
+    };
+
+    return buildNode(rootRecipe, 0);
+}
+
+/**
+ * マージレシピの木構造をテキスト化
+ * @param {Object} tree - buildMergeRecipeTree の戻り値
+ * @returns {string}
+ */
+function formatMergeRecipeTree(tree) {
+    const lines = [];
+    const leafCounts = new Map();
+
+    const describe = (node) => {
+        let text = `${node.method}`;
+        if (node.multiplier !== null) text += ` (M=${node.multiplier})`;
+        if (node.name) text += ` → ${node.name}`;
+        return text;
+    };
+
+    const addNode = (node, prefix) => {
+        node.extras.forEach(extra => lines.push(`${prefix}   ${extra}`));
+        node.sources.forEach((source, index) => {
+            const isLast = index === node.sources.length - 1;
+            let line = `${prefix}${isLast ? '└─' : '├─'} ${source.role}`;
+            if (source.weight) line += ` ${source.weight}`;
+            line += `  ${source.name || 'Unknown model'}`;
+            if (source.hash) line += ` [${source.hash}]`;
+            if (source.repeated) line += '  (merge shown above)';
+            lines.push(line);
+
+            const childPrefix = prefix + (isLast ? '   ' : '│  ');
+            if (source.recipe) {
+                lines.push(`${childPrefix}Merge: ${describe(source.recipe)}`);
+                addNode(source.recipe, childPrefix);
+            } else if (!source.repeated) {
+                const key = `${source.name} [${source.hash}]`;
+                leafCounts.set(key, (leafCounts.get(key) || 0) + 1);
+            }
+        });
+    };
+
+    lines.push(`Merge: ${describe(tree)}`);
+    addNode(tree, '');
+
+    // 元になったモデル (葉) の一覧。同じモデルは 1 行にまとめる
+    if (leafCounts.size > 0) {
+        lines.push('', 'Source models:');
+        for (const [key, count] of leafCounts) {
+            lines.push(`  - ${key}${count > 1 ? ` ×${count}` : ''}`);
+        }
+    }
+
+    return lines.join('\n');
+}
+
+/**
+ * pickle 検査結果をテキスト化
+ * @param {Object} scan - background の handleScanPickle の結果
+ * @returns {string}
+ */
+function formatPickleScan(scan) {
+    const labels = {
+        unsafe: '✖ Unsafe: imports outside the torch / collections / numpy allowlist. Loading this file can execute arbitrary code.',
+        unknown: '? Could not be fully checked',
+        safe: '✔ Only allowlisted imports'
+    };
+    const lines = [labels[scan.status] || labels.unknown];
+
+    if (scan.entry) lines.push(`Pickle: ${scan.entry}`);
+    if (scan.truncated) lines.push('Note: only the beginning of the pickle was checked');
+    if (scan.error) lines.push(`Note: ${scan.error}`);
+
+    const imports = Array.isArray(scan.imports) ? scan.imports : [];
+    const unsafe = imports.filter(entry => !entry.safe);
+    const safe = imports.filter(entry => entry.safe);
+    if (unsafe.length > 0) {
+        lines.push('', 'Unsafe imports:');
+        unsafe.forEach(entry => lines.push(`  - ${entry.module}.${entry.name}`));
+    }
+    if (safe.length > 0) {
+        lines.push('', 'Allowed imports:');
+        safe.forEach(entry => lines.push(`  - ${entry.module}.${entry.name}`));
+    }
+
+    return lines.join('\n');
+}
+
+/**
+ * parser の警告一覧をテキスト化
+ * @param {Array<{type: string, detail: string}>} warnings - metadata.ParseWarnings
+ * @returns {string}
+ */
+function formatParseWarnings(warnings) {
+    return warnings.map(warning => `⚠ ${warning.type}${warning.detail ? `: ${warning.detail}` : ''}`).join('\n');
+}
+
 /**
  * ページ内ダウンローダー起動ボタンを作成
  * @returns {HTMLElement}
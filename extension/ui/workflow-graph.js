@@ -0,0 +1,498 @@
+// ui/workflow-graph.js - ComfyUI の workflow (LiteGraph 形式) を読み取り専用のグラフとして描画
+
+const SVG_NS = 'http://www.w3.org/2000/svg';
+
+/**
+ * LiteGraph の描画寸法 (ComfyUI の既定値)
+ */
+const WORKFLOW_TITLE_HEIGHT = 30;
+const WORKFLOW_SLOT_HEIGHT = 20;
+
+/**
+ * 描画するノード数の上限 (巨大な workflow でページが固まらないように)
+ */
+const MAX_WORKFLOW_GRAPH_NODES = 1000;
+
+/**
+ * 拡大率の範囲
+ */
+const WORKFLOW_MIN_ZOOM = 0.05;
+const WORKFLOW_MAX_ZOOM = 4;
+
+/**
+ * リンクの型ごとの色 (ComfyUI の既定テーマ)
+ */
+const WORKFLOW_LINK_COLORS = {
+    CLIP: '#ffd500',
+    CLIP_VISION: '#a8dadc',
+    CLIP_VISION_OUTPUT: '#ad7452',
+    CONDITIONING: '#ffa931',
+    CONTROL_NET: '#6ee7b7',
+    IMAGE: '#64b5f6',
+    LATENT: '#ff9cf9',
+    MASK: '#81c784',
+    MODEL: '#b39ddb',
+    NOISE: '#b0b0b0',
+    GUIDER: '#66ffff',
+    SAMPLER: '#ecb4b4',
+    SIGMAS: '#cdffcd',
+    UPSCALE_MODEL: '#c4b2d1',
+    VAE: '#ff6e6e'
+};
+
+/**
+ * ComfyUI の workflow を描画用の構造に変換
+ * リンクは旧形式 ([id, 元ノード, 元スロット, 先ノード, 先スロット, 型]) と新形式 (オブジェクト) の両方に対応
+ * @param {string|Object} workflow - workflow の値 (JSON 文字列)
+ * @returns {Object|null} - { nodes, links: Map<linkId, link>, groups }、ノードがない場合は null
+ */
+function parseComfyWorkflow(workflow) {
+    let data = workflow;
+    if (typeof workflow === 'string') {
+        try {
+            data = JSON.parse(workflow);
+        } catch (e) {
+            return null;
+        }
+    }
+    if (!data || typeof data !== 'object' || !Array.isArray(data.nodes) || data.nodes.length === 0) {
+        return null;
+    }
+
+    // pos / size は [x, y] または { 0: x, 1: y } で保存される
+    const toPair = (value, fallback) => {
+        if (!value || typeof value !== 'object') return fallback;
+        const first = Number(value[0]);
+        const second = Number(value[1]);
+        return Number.isFinite(first) && Number.isFinite(second) ? [first, second] : fallback;
+    };
+
+    const nodes = data.nodes
+        .filter(node => node && typeof node === 'object' && node.id !== undefined)
+        .slice(0, MAX_WORKFLOW_GRAPH_NODES)
+        .map(node => ({
+            id: String(node.id),
+            type: typeof node.type === 'string' ? node.type : '',
+            title: typeof node.title === 'string' && node.title ? node.title : (typeof node.type === 'string' ? node.type : `#${node.id}`),
+            pos: toPair(node.pos, [0, 0]),
+            size: toPair(node.size, [200, 80]),
+            collapsed: Boolean(node.flags && node.flags.collapsed),
+            // 2: ミュート (Never), 4: バイパス
+            mode: Number(node.mode) || 0,
+            color: sanitizeWorkflowColor(node.color),
+            bgcolor: sanitizeWorkflowColor(node.bgcolor),
+            inputs: Array.isArray(node.inputs) ? node.inputs.filter(Boolean) : [],
+            outputs: Array.isArray(node.outputs) ? node.outputs.filter(Boolean) : [],
+            widgetsValues: node.widgets_values
+        }));
+
+    const links = new Map();
+    for (const link of Array.isArray(data.links) ? data.links : []) {
+        const entry = Array.isArray(link)
+            ? { id: link[0], origin: link[1], originSlot: link[2], target: link[3], targetSlot: link[4], type: link[5] }
+            : (link && typeof link === 'object'
+                ? { id: link.id, origin: link.origin_id, originSlot: link.origin_slot, target: link.target_id, targetSlot: link.target_slot, type: link.type }
+                : null);
+        if (!entry || entry.id === undefined || entry.id === null) continue;
+        links.set(String(entry.id), {
+            id: String(entry.id),
+            origin: String(entry.origin),
+            originSlot: Number(entry.originSlot) || 0,
+            target: String(entry.target),
+            targetSlot: Number(entry.targetSlot) || 0,
+            type: typeof entry.type === 'string' ? entry.type : ''
+        });
+    }
+
+    const groups = (Array.isArray(data.groups) ? data.groups : [])
+        .filter(group => group && typeof group === 'object' && group.bounding)
+        .map(group => {
+            const bounding = group.bounding;
+            return {
+                title: typeof group.title === 'string' ? group.title : '',
+                x: Number(bounding[0]) || 0,
+                y: Number(bounding[1]) || 0,
+                width: Number(bounding[2]) || 0,
+                height: Number(bounding[3]) || 0,
+                color: sanitizeWorkflowColor(group.color) || '#3f789e'
+            };
+        });
+
+    return { nodes, links, groups };
+}
+
+/**
+ * workflow に保存された色をそのまま属性に使えるか確認 (#rgb / #rrggbb / #rrggbbaa のみ)
+ * @param {*} color
+ * @returns {string} - 使えない場合は ''
+ */
+function sanitizeWorkflowColor(color) {
+    return typeof color === 'string' && /^#[0-9a-f]{3,8}$/i.test(color) ? color : '';
+}
+
+/**
+ * ウィジェットの値を 1 行の表示用テキストにする
+ * @param {Array|Object} widgetsValues - widgets_values (配列、VideoHelperSuite 等はオブジェクト)
+ * @returns {string[]}
+ */
+function formatWorkflowWidgetValues(widgetsValues) {
+    const format = (value) => {
+        if (value === null || value === undefined) return '';
+        if (typeof value === 'object') return JSON.stringify(value);
+        return String(value);
+    };
+    if (Array.isArray(widgetsValues)) {
+        return widgetsValues.map(format);
+    }
+    if (widgetsValues && typeof widgetsValues === 'object') {
+        return Object.entries(widgetsValues).map(([key, value]) => `${key}: ${format(value)}`);
+    }
+    return [];
+}
+
+/**
+ * サンプラーからリンクを遡り、サンプラー・プロンプト・モデル等の経路にあるノードとリンクを集める
+ * @param {Object} graph - parseComfyWorkflow の結果
+ * @returns {{nodes: Set<string>, links: Set<string>}}
+ */
+function findWorkflowSamplerPath(graph) {
+    const nodesById = new Map(graph.nodes.map(node => [node.id, node]));
+    const path = { nodes: new Set(), links: new Set() };
+    const stack = graph.nodes.filter(node => COMFY_SAMPLER_PATTERN.test(node.type)).map(node => node.id);
+
+    while (stack.length > 0) {
+        const id = stack.pop();
+        if (path.nodes.has(id)) continue;
+        path.nodes.add(id);
+        const node = nodesById.get(id);
+        if (!node) continue;
+        for (const input of node.inputs) {
+            const link = graph.links.get(String(input.link));
+            if (!link) continue;
+            path.links.add(link.id);
+            stack.push(link.origin);
+        }
+    }
+    return path;
+}
+
+/**
+ * SVG 要素を作成
+ * @param {string} tag
+ * @param {Object} attributes
+ * @returns {SVGElement}
+ */
+function createSvgElement(tag, attributes = {}) {
+    const element = document.createElementNS(SVG_NS, tag);
+    for (const [name, value] of Object.entries(attributes)) {
+        element.setAttribute(name, String(value));
+    }
+    return element;
+}
+
+/**
+ * 表示幅に収まるよう文字列を切り詰める (等幅でない文字もあるので概算)
+ * @param {string} text
+ * @param {number} width - 使える幅 (px)
+ * @param {number} charWidth - 1 文字あたりの幅の目安 (px)
+ * @returns {string}
+ */
+function truncateWorkflowText(text, width, charWidth = 7) {
+    const maxChars = Math.max(4, Math.floor(width / charWidth));
+    const singleLine = text.replace(/\s+/g, ' ');
+    return singleLine.length > maxChars ? singleLine.substring(0, maxChars - 1) + '…' : singleLine;
+}
+
+/**
+ * ComfyUI の workflow を描画するセクションを作成
+ * ドラッグで移動、ホイールで拡大縮小、ノードのクリックで詳細を表示する
+ * @param {Object} graph - parseComfyWorkflow の結果
+ * @returns {HTMLElement}
+ */
+function createWorkflowGraphSection(graph) {
+    const section = document.createElement('div');
+    section.className = 'ai-meta-section workflow-graph-section';
+
+    const header = document.createElement('div');
+    header.className = 'ai-meta-section-header';
+
+    const label = document.createElement('span');
+    label.className = 'ai-meta-section-label';
+    label.textContent = `Workflow Graph (${graph.nodes.length} nodes)`;
+
+    const controls = document.createElement('div');
+    controls.className = 'ai-meta-workflow-controls';
+
+    const highlightBtn = document.createElement('button');
+    highlightBtn.className = 'ai-meta-copy-btn';
+    highlightBtn.textContent = 'Sampler Path';
+    highlightBtn.setAttribute('data-tooltip', 'Highlight the sampler / prompt path');
+
+    const fitBtn = document.createElement('button');
+    fitBtn.className = 'ai-meta-copy-btn';
+    fitBtn.textContent = 'Fit';
+    fitBtn.setAttribute('data-tooltip', 'Fit the whole graph');
+
+    controls.appendChild(highlightBtn);
+    controls.appendChild(fitBtn);
+    header.appendChild(label);
+    header.appendChild(controls);
+
+    const svg = createSvgElement('svg', { class: 'ai-meta-workflow-svg' });
+    const viewport = createSvgElement('g', { class: 'ai-meta-workflow-viewport' });
+    const groupLayer = createSvgElement('g');
+    const linkLayer = createSvgElement('g');
+    const nodeLayer = createSvgElement('g');
+    viewport.appendChild(groupLayer);
+    viewport.appendChild(linkLayer);
+    viewport.appendChild(nodeLayer);
+    svg.appendChild(viewport);
+
+    const inspector = document.createElement('div');
+    inspector.className = 'ai-meta-text-area ai-meta-workflow-inspector empty';
+    inspector.textContent = 'Click a node to inspect it.';
+
+    const nodesById = new Map(graph.nodes.map(node => [node.id, node]));
+    const path = findWorkflowSamplerPath(graph);
+
+    // グループ
+    for (const group of graph.groups) {
+        const groupElement = createSvgElement('g', { class: 'ai-meta-workflow-group' });
+        groupElement.appendChild(createSvgElement('rect', {
+            x: group.x, y: group.y, width: group.width, height: group.height, rx: 6,
+            fill: group.color, stroke: group.color
+        }));
+        const title = createSvgElement('text', { x: group.x + 10, y: group.y + 24 });
+        title.textContent = truncateWorkflowText(group.title, group.width - 20, 12);
+        groupElement.appendChild(title);
+        groupLayer.appendChild(groupElement);
+    }
+
+    // スロットの位置 (折りたたまれたノードはタイトルバーの端)
+    const slotPosition = (node, slot, isOutput) => {
+        if (node.collapsed) {
+            return [isOutput ? node.pos[0] + Math.min(node.size[0], 120) : node.pos[0], node.pos[1] - WORKFLOW_TITLE_HEIGHT / 2];
+        }
+        return [isOutput ? node.pos[0] + node.size[0] : node.pos[0], node.pos[1] + (slot + 0.7) * WORKFLOW_SLOT_HEIGHT];
+    };
+
+    // リンク (出力から入力への 3 次ベジェ曲線)
+    const linkElements = new Map();
+    for (const link of graph.links.values()) {
+        const origin = nodesById.get(link.origin);
+        const target = nodesById.get(link.target);
+        if (!origin || !target) continue;
+        const [x1, y1] = slotPosition(origin, link.originSlot, true);
+        const [x2, y2] = slotPosition(target, link.targetSlot, false);
+        const bend = Math.max(40, Math.abs(x2 - x1) * 0.5);
+        const wire = createSvgElement('path', {
+            class: 'ai-meta-workflow-link',
+            d: `M ${x1} ${y1} C ${x1 + bend} ${y1}, ${x2 - bend} ${y2}, ${x2} ${y2}`,
+            stroke: WORKFLOW_LINK_COLORS[link.type] || '#9a9a9a'
+        });
+        if (path.links.has(link.id)) wire.classList.add('in-path');
+        linkElements.set(link.id, wire);
+        linkLayer.appendChild(wire);
+    }
+
+    // ノード
+    const nodeElements = new Map();
+    for (const node of graph.nodes) {
+        const nodeElement = createSvgElement('g', { class: 'ai-meta-workflow-node', 'data-node-id': node.id });
+        if (node.mode === 2) nodeElement.classList.add('muted');
+        if (node.mode === 4) nodeElement.classList.add('bypassed');
+        if (path.nodes.has(node.id)) nodeElement.classList.add('in-path');
+        if (COMFY_SAMPLER_PATTERN.test(node.type)) nodeElement.classList.add('sampler');
+
+        const [x, y] = node.pos;
+        const width = node.collapsed ? Math.min(node.size[0], 120) : node.size[0];
+        const bodyHeight = node.collapsed ? 0 : node.size[1];
+
+        nodeElement.appendChild(createSvgElement('rect', {
+            class: 'ai-meta-workflow-node-body',
+            x, y: y - WORKFLOW_TITLE_HEIGHT, width, height: bodyHeight + WORKFLOW_TITLE_HEIGHT, rx: 6,
+            fill: node.bgcolor || '#353535'
+        }));
+        nodeElement.appendChild(createSvgElement('rect', {
+            class: 'ai-meta-workflow-node-title-bar',
+            x, y: y - WORKFLOW_TITLE_HEIGHT, width, height: WORKFLOW_TITLE_HEIGHT, rx: 6,
+            fill: node.color || '#222'
+        }));
+        const title = createSvgElement('text', { class: 'ai-meta-workflow-node-title', x: x + 10, y: y - 10 });
+        title.textContent = truncateWorkflowText(node.title, width - 20);
+        nodeElement.appendChild(title);
+
+        if (!node.collapsed) {
+            // スロット名
+            const slotRows = Math.max(node.inputs.length, node.outputs.length);
+            node.inputs.forEach((input, index) => {
+                const slotText = createSvgElement('text', { class: 'ai-meta-workflow-slot', x: x + 10, y: y + (index + 0.7) * WORKFLOW_SLOT_HEIGHT + 4 });
+                slotText.textContent = truncateWorkflowText(String(input.label || input.name || ''), width / 2 - 12);
+                nodeElement.appendChild(slotText);
+            });
+            node.outputs.forEach((output, index) => {
+                const slotText = createSvgElement('text', { class: 'ai-meta-workflow-slot output', x: x + width - 10, y: y + (index + 0.7) * WORKFLOW_SLOT_HEIGHT + 4 });
+                slotText.textContent = truncateWorkflowText(String(output.label || output.name || ''), width / 2 - 12);
+                nodeElement.appendChild(slotText);
+            });
+
+            // ウィジェットの値 (保存されたノードの高さに収まる分だけ)
+            const widgetTop = y + slotRows * WORKFLOW_SLOT_HEIGHT + 6;
+            const maxWidgetRows = Math.max(0, Math.floor((y + bodyHeight - widgetTop) / WORKFLOW_SLOT_HEIGHT));
+            formatWorkflowWidgetValues(node.widgetsValues).slice(0, maxWidgetRows).forEach((value, index) => {
+                const widgetText = createSvgElement('text', { class: 'ai-meta-workflow-widget', x: x + 10, y: widgetTop + index * WORKFLOW_SLOT_HEIGHT + 14 });
+                widgetText.textContent = truncateWorkflowText(value, width - 20);
+                nodeElement.appendChild(widgetText);
+            });
+        }
+
+        nodeElements.set(node.id, nodeElement);
+        nodeLayer.appendChild(nodeElement);
+    }
+
+    // 表示位置と拡大率
+    const view = { x: 0, y: 0, scale: 1 };
+    const applyView = () => {
+        viewport.setAttribute('transform', `translate(${view.x} ${view.y}) scale(${view.scale})`);
+    };
+
+    const fitToView = () => {
+        const boxes = [
+            ...graph.nodes.map(node => [node.pos[0], node.pos[1] - WORKFLOW_TITLE_HEIGHT, node.pos[0] + node.size[0], node.pos[1] + node.size[1]]),
+            ...graph.groups.map(group => [group.x, group.y, group.x + group.width, group.y + group.height])
+        ];
+        const minX = Math.min(...boxes.map(box => box[0]));
+        const minY = Math.min(...boxes.map(box => box[1]));
+        const maxX = Math.max(...boxes.map(box => box[2]));
+        const maxY = Math.max(...boxes.map(box => box[3]));
+        // 表示前 (DOM 追加前) は大きさが 0 なので CSS の既定サイズで計算
+        const viewWidth = svg.clientWidth || 560;
+        const viewHeight = svg.clientHeight || 360;
+        const padding = 20;
+        view.scale = Math.min(WORKFLOW_MAX_ZOOM, Math.max(WORKFLOW_MIN_ZOOM,
+            Math.min((viewWidth - padding * 2) / Math.max(1, maxX - minX), (viewHeight - padding * 2) / Math.max(1, maxY - minY))));
+        view.x = (viewWidth - (maxX - minX) * view.scale) / 2 - minX * view.scale;
+        view.y = (viewHeight - (maxY - minY) * view.scale) / 2 - minY * view.scale;
+        applyView();
+    };
+
+    // ノードの詳細 (種類・ウィジェットの値・入出力のつながり)
+    const inspectNode = (node) => {
+        nodeElements.forEach(element => element.classList.remove('selected'));
+        linkElements.forEach(element => element.classList.remove('selected'));
+        if (!node) {
+            inspector.textContent = 'Click a node to inspect it.';
+            inspector.classList.add('empty');
+            return;
+        }
+        nodeElements.get(node.id).classList.add('selected');
+
+        const lines = [`#${node.id} ${node.type}${node.title !== node.type ? ` (${node.title})` : ''}`];
+        if (node.mode === 2) lines.push('Muted');
+        if (node.mode === 4) lines.push('Bypassed');
+
+        const widgetValues = formatWorkflowWidgetValues(node.widgetsValues);
+        if (widgetValues.length > 0) {
+            lines.push('', 'Widgets:', ...widgetValues.map(value => `  ${value}`));
+        }
+
+        const describeNode = (id) => {
+            const other = nodesById.get(id);
+            return other ? `#${other.id} ${other.title}` : `#${id}`;
+        };
+        const inputLines = node.inputs.map(input => {
+            const link = graph.links.get(String(input.link));
+            if (link && linkElements.has(link.id)) linkElements.get(link.id).classList.add('selected');
+            return `  ${input.name || ''} (${input.type || ''})${link ? ` ← ${describeNode(link.origin)}` : ''}`;
+        });
+        if (inputLines.length > 0) lines.push('', 'Inputs:', ...inputLines);
+
+        const outputLines = node.outputs.map(output => {
+            const targets = (Array.isArray(output.links) ? output.links : [])
+                .map(linkId => graph.links.get(String(linkId)))
+                .filter(Boolean);
+            targets.forEach(link => {
+                if (linkElements.has(link.id)) linkElements.get(link.id).classList.add('selected');
+            });
+            return `  ${output.name || ''} (${output.type || ''})${targets.length ? ` → ${targets.map(link => describeNode(link.target)).join(', ')}` : ''}`;
+        });
+        if (outputLines.length > 0) lines.push('', 'Outputs:', ...outputLines);
+
+        inspector.textContent = lines.join('\n');
+        inspector.classList.remove('empty');
+    };
+
+    // ドラッグで移動 (ほとんど動かなかった場合はクリックとしてノードを選択)
+    // ポインターキャプチャ後の pointerup は svg 自体に届くため、対象ノードは pointerdown の時点で記録しておく
+    let drag = null;
+    svg.addEventListener('pointerdown', (e) => {
+        if (e.button !== 0) return;
+        const nodeElement = e.target.closest && e.target.closest('.ai-meta-workflow-node');
+        drag = { startX: e.clientX, startY: e.clientY, viewX: view.x, viewY: view.y, moved: false, nodeElement };
+        if (svg.setPointerCapture && e.pointerId !== undefined) svg.setPointerCapture(e.pointerId);
+    });
+    svg.addEventListener('pointermove', (e) => {
+        if (!drag) return;
+        const dx = e.clientX - drag.startX;
+        const dy = e.clientY - drag.startY;
+        if (Math.abs(dx) + Math.abs(dy) > 3) drag.moved = true;
+        if (drag.moved) {
+            view.x = drag.viewX + dx;
+            view.y = drag.viewY + dy;
+            applyView();
+        }
+    });
+    const endDrag = (e) => {
+        if (!drag) return;
+        const { moved, nodeElement } = drag;
+        drag = null;
+        if (!moved && e.type === 'pointerup') {
+            inspectNode(nodeElement ? nodesById.get(nodeElement.getAttribute('data-node-id')) : null);
+        }
+    };
+    svg.addEventListener('pointerup', endDrag);
+    svg.addEventListener('pointercancel', endDrag);
+
+    // ホイールでカーソル位置を中心に拡大縮小
+    svg.addEventListener('wheel', (e) => {
+        e.preventDefault();
+        const rect = svg.getBoundingClientRect();
+        const cursorX = e.clientX - rect.left;
+        const cursorY = e.clientY - rect.top;
+        const nextScale = Math.min(WORKFLOW_MAX_ZOOM, Math.max(WORKFLOW_MIN_ZOOM, view.scale * Math.exp(-e.deltaY * 0.0015)));
+        view.x = cursorX - (cursorX - view.x) * (nextScale / view.scale);
+        view.y = cursorY - (cursorY - view.y) * (nextScale / view.scale);
+        view.scale = nextScale;
+        applyView();
+    }, { passive: false });
+
+    // サンプラーの経路の強調 (経路がない workflow ではボタンを無効化)
+    const setHighlight = (enabled) => {
+        svg.classList.toggle('highlight-path', enabled);
+        highlightBtn.classList.toggle('active', enabled);
+    };
+    highlightBtn.addEventListener('click', (e) => {
+        e.stopPropagation();
+        setHighlight(!svg.classList.contains('highlight-path'));
+    });
+    if (path.nodes.size === 0) {
+        highlightBtn.disabled = true;
+    }
+
+    fitBtn.addEventListener('click', (e) => {
+        e.stopPropagation();
+        fitToView();
+    });
+
+    section.appendChild(header);
+    section.appendChild(svg);
+    section.appendChild(inspector);
+
+    fitToView();
+    // モーダルに追加されて大きさが決まった後に合わせ直す
+    requestAnimationFrame(() => {
+        if (svg.clientWidth) fitToView();
+    });
+
+    return section;
+}
@@ -0,0 +1,46 @@
+// pickle インポート検査 (parser.js の scanPickleImports) の回帰テスト
+// 実行: node test_pickle_scan.js
+const assert = require('assert');
+const fs = require('fs');
+const path = require('path');
+const vm = require('vm');
+
+const context = { console, TextDecoder, TextEncoder, URL, self: {} };
+context.globalThis = context;
+vm.createContext(context);
+for (const file of ['pako.js', 'c2pa.js', 'parser.js']) {
+    vm.runInContext(fs.readFileSync(path.join(__dirname, 'extension', file), 'utf8'), context, { filename: file });
+}
+
+const shortUnicode = (text) => [0x8C, text.length, ...Buffer.from(text, 'latin1')];
+const cases = [
+    {
+        // protocol 4 では name のドットを属性として辿るため torch + os.system は os.system に解決される
+        name: 'STACK_GLOBAL torch / os.system',
+        bytes: [0x80, 0x04, ...shortUnicode('torch'), ...shortUnicode('os.system'), 0x93, 0x2E],
+        unsafe: true
+    },
+    {
+        name: 'GLOBAL numpy.lib.npyio load',
+        bytes: [0x80, 0x02, ...Buffer.from('cnumpy.lib.npyio\nload\n', 'latin1'), 0x2E],
+        unsafe: true
+    },
+    {
+        name: 'GLOBAL torch._utils _rebuild_tensor_v2',
+        bytes: [0x80, 0x02, ...Buffer.from('ctorch._utils\n_rebuild_tensor_v2\n', 'latin1'), 0x2E],
+        unsafe: false
+    },
+    {
+        name: 'STACK_GLOBAL collections / OrderedDict',
+        bytes: [0x80, 0x04, ...shortUnicode('collections'), ...shortUnicode('OrderedDict'), 0x93, 0x2E],
+        unsafe: false
+    }
+];
+
+for (const testCase of cases) {
+    const result = context.scanPickleImports(Uint8Array.from(testCase.bytes));
+    assert.strictEqual(result.imports.length, 1, `${testCase.name}: import not detected`);
+    assert.strictEqual(result.unsafe, testCase.unsafe, `${testCase.name}: unsafe should be ${testCase.unsafe}`);
+    assert.strictEqual(result.imports[0].safe, !testCase.unsafe, `${testCase.name}: safe should be ${!testCase.unsafe}`);
+    console.log(`ok - ${testCase.name}`);
+}